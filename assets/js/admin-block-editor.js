@@ -0,0 +1,421 @@
+/**
+ * Registers the "Tweet Media" block and the "Twitter/X Media" document
+ * sidebar panel for the Block Editor.
+ */
+
+(function (wp) {
+  "use strict";
+
+  if (!wp || !wp.blocks || !wp.element) {
+    return;
+  }
+
+  const { createElement: el, Fragment, useState } = wp.element;
+  const { registerBlockType, createBlock } = wp.blocks;
+  const { useBlockProps, BlockControls } = wp.blockEditor;
+  const {
+    Button,
+    Notice,
+    Placeholder,
+    SelectControl,
+    Spinner,
+    TextControl,
+    ToolbarButton,
+    ToolbarGroup,
+  } = wp.components;
+
+  /**
+   * Fetches the media of a tweet, or a user's recent media, through the
+   * same REST route as the classic meta box.
+   */
+  function fetchMedia(type, value) {
+    return wp
+      .apiFetch({
+        path: wp.url.addQueryArgs("/twitter-importer/v1/media", {
+          type: type,
+          value: value,
+        }),
+      })
+      .then((items) => items.map((item, index) => ({ ...item, index })))
+      .catch((error) => {
+        throw new Error(
+          error.message || "An unknown error occurred. Please try again."
+        );
+      });
+  }
+
+  /**
+   * Builds core blocks for media items: a core/video per video, and the
+   * images as one core/image or core/gallery at the first image's position.
+   */
+  function itemsToBlocks(items) {
+    const images = items.filter((item) => item.type === "image");
+    const galleryAt = items.findIndex((item) => item.type === "image");
+    const blocks = [];
+
+    items.forEach((item, index) => {
+      if (item.type === "video") {
+        blocks.push(
+          createBlock("core/video", { src: item.src, poster: item.poster })
+        );
+      } else if (index === galleryAt) {
+        const imageBlocks = images.map((image) =>
+          createBlock("core/image", { url: image.src, linkDestination: "none" })
+        );
+        blocks.push(
+          imageBlocks.length > 1
+            ? createBlock("core/gallery", { linkTo: "none" }, imageBlocks)
+            : imageBlocks[0]
+        );
+      }
+    });
+    return blocks;
+  }
+
+  /**
+   * Grid of fetched items with a checkbox, type, views and tweet text each.
+   */
+  function MediaPreview({ items, selected, onToggle }) {
+    return el(
+      "div",
+      { className: "ti-media-picker-grid" },
+      items.map((item) =>
+        el(
+          "div",
+          { className: "ti-media-picker-item", key: item.index },
+          el(
+            "label",
+            { className: "ti-media-picker-thumb" },
+            el("input", {
+              type: "checkbox",
+              checked: selected.includes(item.index),
+              onChange: () => onToggle(item.index),
+            }),
+            el("img", {
+              src: item.type === "video" ? item.poster : item.src,
+              alt: "",
+            })
+          ),
+          el(
+            "div",
+            { className: "ti-media-picker-meta" },
+            el(
+              "span",
+              { className: "ti-media-picker-type" },
+              item.type === "video" ? "Video" : "Image"
+            ),
+            el("span", null, `${Number(item.views || 0).toLocaleString()} views`)
+          ),
+          item.text &&
+            el("p", { className: "ti-media-picker-text" }, item.text)
+        )
+      )
+    );
+  }
+
+  /**
+   * State shared by the block and the sidebar: the fetched items, the
+   * selection, and the loading/error flags.
+   */
+  function useMediaFetcher() {
+    const [items, setItems] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [isLoading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+
+    const load = (type, value) => {
+      if (value.trim() === "") {
+        setError(
+          type === "user"
+            ? "Please enter a twitter.com/x.com username"
+            : "Please enter a twitter.com/x.com status url"
+        );
+        return;
+      }
+      setLoading(true);
+      setError("");
+      setItems(null);
+      fetchMedia(type, value.trim())
+        .then((fetched) => {
+          setItems(fetched);
+          // A user's timeline starts with only the newest item selected.
+          setSelected(
+            type === "user" ? [0] : fetched.map((item) => item.index)
+          );
+        })
+        .catch((err) => setError(err.message))
+        .finally(() => setLoading(false));
+    };
+
+    const toggle = (index) =>
+      setSelected((current) =>
+        current.includes(index)
+          ? current.filter((i) => i !== index)
+          : current.concat(index)
+      );
+
+    const reset = () => {
+      setItems(null);
+      setSelected([]);
+      setError("");
+    };
+
+    const chosen = () =>
+      (items || []).filter((item) => selected.includes(item.index));
+
+    return { items, selected, isLoading, error, load, toggle, reset, chosen };
+  }
+
+  /**
+   * Search type, input and fetch button used by the block and the sidebar.
+   */
+  function FetchForm({ fetcher, type, setType, value, setValue }) {
+    return el(
+      Fragment,
+      null,
+      el(SelectControl, {
+        label: "Fetch by",
+        value: type,
+        options: [
+          { label: "Status URL / ID", value: "status" },
+          { label: "Username", value: "user" },
+        ],
+        onChange: setType,
+      }),
+      el(TextControl, {
+        label: type === "user" ? "Username" : "Tweet URL",
+        placeholder:
+          type === "user" ? "e.g., elonmusk" : "e.g., https://x.com/user/status/12345",
+        value: value,
+        onChange: setValue,
+        onKeyDown: (event) => {
+          if (event.key === "Enter") {
+            event.preventDefault();
+            fetcher.load(type, value);
+          }
+        },
+      }),
+      el(
+        Button,
+        {
+          variant: "secondary",
+          isBusy: fetcher.isLoading,
+          disabled: fetcher.isLoading,
+          onClick: () => fetcher.load(type, value),
+        },
+        fetcher.isLoading ? "Fetching..." : "Fetch"
+      ),
+      fetcher.isLoading && el(Spinner),
+      fetcher.error &&
+        el(Notice, { status: "error", isDismissible: false }, fetcher.error)
+    );
+  }
+
+  /**
+   * Editor preview of the media a block already holds.
+   */
+  function ItemsPreview({ items }) {
+    return el(
+      "div",
+      { className: "ti-tweet-media-preview" },
+      items.map((item, index) =>
+        item.type === "video"
+          ? el("video", {
+              key: index,
+              src: item.src,
+              poster: item.poster,
+              controls: true,
+            })
+          : el("img", { key: index, src: item.src, alt: "" })
+      )
+    );
+  }
+
+  registerBlockType("twitter-importer/tweet-media", {
+    apiVersion: 2,
+    title: "Tweet Media",
+    description: "Embed the photos and videos of a Twitter/X post.",
+    category: "embed",
+    icon: "twitter",
+    keywords: ["twitter", "x", "tweet", "video"],
+    attributes: {
+      url: { type: "string", default: "" },
+      items: { type: "array", default: [] },
+    },
+    supports: { html: false },
+
+    transforms: {
+      to: [
+        {
+          type: "block",
+          blocks: ["core/video"],
+          isMatch: ({ items }) =>
+            items.length > 0 && items.every((item) => item.type === "video"),
+          transform: ({ items }) => itemsToBlocks(items),
+        },
+        {
+          type: "block",
+          blocks: ["core/image"],
+          isMatch: ({ items }) =>
+            items.length === 1 && items[0].type === "image",
+          transform: ({ items }) => itemsToBlocks(items)[0],
+        },
+        {
+          type: "block",
+          blocks: ["core/gallery"],
+          isMatch: ({ items }) =>
+            items.length > 1 && items.every((item) => item.type === "image"),
+          transform: ({ items }) => itemsToBlocks(items)[0],
+        },
+      ],
+    },
+
+    edit({ attributes, setAttributes }) {
+      const blockProps = useBlockProps();
+      const fetcher = useMediaFetcher();
+      const [type, setType] = useState(
+        /^@?\w+$/.test(attributes.url) ? "user" : "status"
+      );
+      const [value, setValue] = useState(attributes.url);
+
+      if (attributes.items.length > 0) {
+        return el(
+          "div",
+          blockProps,
+          el(
+            BlockControls,
+            null,
+            el(
+              ToolbarGroup,
+              null,
+              el(ToolbarButton, {
+                icon: "update",
+                label: "Replace media",
+                onClick: () => setAttributes({ items: [] }),
+              })
+            )
+          ),
+          el(ItemsPreview, { items: attributes.items })
+        );
+      }
+
+      return el(
+        "div",
+        blockProps,
+        el(
+          Placeholder,
+          {
+            icon: "twitter",
+            label: "Tweet Media",
+            instructions:
+              "Paste a tweet URL or a username, then pick the media to embed.",
+          },
+          el(
+            "div",
+            { className: "ti-tweet-media-form" },
+            el(FetchForm, { fetcher, type, setType, value, setValue }),
+            fetcher.items &&
+              el(
+                Fragment,
+                null,
+                el(MediaPreview, {
+                  items: fetcher.items,
+                  selected: fetcher.selected,
+                  onToggle: fetcher.toggle,
+                }),
+                el(
+                  Button,
+                  {
+                    variant: "primary",
+                    disabled: fetcher.selected.length === 0,
+                    onClick: () =>
+                      setAttributes({
+                        url: value.trim(),
+                        items: fetcher
+                          .chosen()
+                          .map(({ type: itemType, src, poster }) =>
+                            itemType === "video"
+                              ? { type: itemType, src, poster }
+                              : { type: itemType, src }
+                          ),
+                      }),
+                  },
+                  "Embed Selected"
+                )
+              )
+          )
+        )
+      );
+    },
+
+    // Rendered on the server from the block's attributes.
+    save() {
+      return null;
+    },
+  });
+
+  /**
+   * Sidebar panel that inserts the chosen media as core blocks at the
+   * cursor, in a single undoable step.
+   */
+  function TweetMediaPanel() {
+    const fetcher = useMediaFetcher();
+    const [type, setType] = useState("status");
+    const [value, setValue] = useState("");
+    const SettingPanel =
+      (wp.editor && wp.editor.PluginDocumentSettingPanel) ||
+      (wp.editPost && wp.editPost.PluginDocumentSettingPanel);
+
+    const insert = () => {
+      const { rootClientId, index } = wp.data
+        .select("core/block-editor")
+        .getBlockInsertionPoint();
+      wp.data
+        .dispatch("core/block-editor")
+        .insertBlocks(itemsToBlocks(fetcher.chosen()), index, rootClientId);
+      fetcher.reset();
+      setValue("");
+    };
+
+    return el(
+      SettingPanel,
+      {
+        name: "ti-tweet-media-panel",
+        title: "Twitter/X Media",
+        className: "ti-tweet-media-panel",
+      },
+      el(FetchForm, { fetcher, type, setType, value, setValue }),
+      fetcher.items &&
+        el(
+          Fragment,
+          null,
+          el(MediaPreview, {
+            items: fetcher.items,
+            selected: fetcher.selected,
+            onToggle: fetcher.toggle,
+          }),
+          el(
+            Button,
+            {
+              variant: "primary",
+              disabled: fetcher.selected.length === 0,
+              onClick: insert,
+            },
+            "Insert at Cursor"
+          ),
+          el(Button, { variant: "tertiary", onClick: fetcher.reset }, "Cancel")
+        )
+    );
+  }
+
+  if (
+    wp.plugins &&
+    ((wp.editor && wp.editor.PluginDocumentSettingPanel) ||
+      (wp.editPost && wp.editPost.PluginDocumentSettingPanel))
+  ) {
+    wp.plugins.registerPlugin("ti-tweet-media", {
+      render: TweetMediaPanel,
+      icon: "twitter",
+    });
+  }
+})(window.wp);
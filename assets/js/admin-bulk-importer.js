@@ -0,0 +1,714 @@
+/**
+ * Manages the AJAX-driven "Bulk Importer" page for the Twitter Importer plugin.
+ */
+
+(function ($) {
+  "use strict";
+
+  const BulkImporter = {
+    // Mirrors TwitterImporter::TWITTER_STATUS_REGEX, plus bare status IDs.
+    statusRegex:
+      /^(?:https?:\/\/(?:(?:www|m(?:obile)?)\.)?(?:x|twitter)\.com\/(?:#!\/)?\w+\/status(?:es)?\/\d+\S*|\d+)$/,
+
+    // Post fields a file column can be mapped to.
+    mappingTargets: {
+      "": "— Ignore —",
+      url: "Tweet URL",
+      title: "Post Title",
+      status: "Status",
+      category: "Category",
+      tags: "Tags",
+      author: "Author",
+      date: "Publish Date",
+      excerpt: "Excerpt",
+      meta: "Custom Meta",
+    },
+
+    postStatuses: ["draft", "pending", "publish", "future"],
+
+    init: function () {
+      this.cacheDOMElements();
+      if (!this.$textarea.length) {
+        return;
+      }
+      this.bindEvents();
+      this.rows = [];
+      this.isBusy = false;
+    },
+
+    cacheDOMElements: function () {
+      this.$textarea = $("#ti_bulk_data");
+      this.$previewButton = $("#ti_bulk_preview_button");
+      this.$preview = $(".ti-bulk-preview");
+      this.$tableBody = this.$preview.find(".ti-bulk-table tbody");
+      this.$summary = this.$preview.find(".ti-bulk-summary");
+      this.$progress = this.$preview.find(".ti-bulk-progress");
+      this.$progressBar = this.$preview.find(".ti-bulk-progress-bar");
+      this.$importButton = $("#ti_bulk_import_button");
+      this.$retryButton = $("#ti_bulk_retry_button");
+      this.$duplicates = $("#ti_bulk_duplicates");
+      this.$fileInput = $("#ti_bulk_file");
+      this.$mapping = $(".ti-bulk-mapping");
+      this.$mappingBody = this.$mapping.find(".ti-bulk-mapping-table tbody");
+      this.$mappingNotice = this.$mapping.find(".ti-bulk-mapping-notice");
+      this.$applyMappingButton = $("#ti_bulk_apply_mapping");
+    },
+
+    bindEvents: function () {
+      this.$previewButton.on("click", this.handlePreview.bind(this));
+      this.$importButton.on("click", this.handleImport.bind(this));
+      this.$retryButton.on("click", this.handleRetry.bind(this));
+      this.$fileInput.on("change", this.handleFile.bind(this));
+      this.$applyMappingButton.on("click", this.handleApplyMapping.bind(this));
+      this.$duplicates.on("change", this.renderRows.bind(this));
+    },
+
+    /**
+     * Parses the textarea, flags malformed lines and resolves the rest
+     * against the API to preview their media.
+     */
+    handlePreview: function () {
+      if (this.isBusy) {
+        return;
+      }
+
+      this.$mapping.hide();
+      this.startPreview(this.parseLines(this.$textarea.val()));
+    },
+
+    /**
+     * Shows the given rows and resolves every valid one against the API.
+     */
+    startPreview: function (rows) {
+      this.rows = rows;
+      if (this.rows.length === 0) {
+        this.$preview.hide();
+        return;
+      }
+
+      this.$preview.show();
+      this.$progress.hide();
+      this.renderRows();
+
+      const toResolve = this.rows.filter((row) => row.status === "pending");
+      this.setBusy(true);
+      this.processRows(toResolve, this.resolveRow.bind(this), () => {
+        this.setBusy(false);
+      });
+    },
+
+    /**
+     * Splits the pasted data into rows, validating the TweetURL|Post Title format.
+     */
+    parseLines: function (text) {
+      const rows = [];
+      text.split(/\r?\n/).forEach((raw, index) => {
+        if (raw.trim() === "") {
+          return;
+        }
+
+        const parts = raw.split("|").map((part) => part.trim());
+        const row = {
+          line: index + 1,
+          url: parts[0] || "",
+          title: parts.slice(1).join("|"),
+          fields: {},
+          status: "pending",
+          message: "",
+          media: null,
+          postUrl: null,
+        };
+
+        if (parts.length !== 2) {
+          row.status = "invalid";
+          row.message = "Expected exactly one | between the URL and the title.";
+        } else if (!this.statusRegex.test(row.url)) {
+          row.status = "invalid";
+          row.message = "Not a Twitter/X status URL or ID.";
+        } else if (row.title === "") {
+          row.status = "invalid";
+          row.message = "Missing post title.";
+        }
+        rows.push(row);
+      });
+      return rows;
+    },
+
+    /**
+     * Reads an uploaded CSV or JSON file and shows the column-mapping step.
+     */
+    handleFile: function () {
+      const file = this.$fileInput[0].files[0];
+      if (!file || this.isBusy) {
+        return;
+      }
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        let data;
+        try {
+          data = /\.json$/i.test(file.name)
+            ? this.parseJSONFile(reader.result)
+            : this.parseCSVFile(reader.result);
+        } catch (error) {
+          this.$mapping.show();
+          this.$mappingBody.empty();
+          this.showMappingNotice(`Could not read ${file.name}: ${error.message}`);
+          return;
+        }
+
+        this.fileData = data;
+        this.$preview.hide();
+        this.renderMapping();
+      };
+      reader.readAsText(file);
+    },
+
+    /**
+     * Parses CSV text (with a header row) into column names and records.
+     */
+    parseCSVFile: function (text) {
+      text = text.replace(/^\uFEFF/, "");
+      const firstLine = text.split(/\r?\n/, 1)[0];
+      const delimiter =
+        (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+          ? ";"
+          : ",";
+
+      const table = [];
+      let record = [];
+      let value = "";
+      let inQuotes = false;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+          if (char === '"' && text[i + 1] === '"') {
+            value += '"';
+            i++;
+          } else if (char === '"') {
+            inQuotes = false;
+          } else {
+            value += char;
+          }
+        } else if (char === '"') {
+          inQuotes = true;
+        } else if (char === delimiter) {
+          record.push(value);
+          value = "";
+        } else if (char === "\n" || char === "\r") {
+          if (char === "\r" && text[i + 1] === "\n") {
+            i++;
+          }
+          record.push(value);
+          table.push(record);
+          record = [];
+          value = "";
+        } else {
+          value += char;
+        }
+      }
+      if (value !== "" || record.length > 0) {
+        record.push(value);
+        table.push(record);
+      }
+
+      const rows = table.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+      if (rows.length < 2) {
+        throw new Error("the file needs a header row and at least one data row.");
+      }
+
+      const columns = rows[0].map((column) => column.trim());
+      const records = rows.slice(1).map((cells, index) => {
+        const values = {};
+        columns.forEach((column, i) => {
+          values[column] = (cells[i] || "").trim();
+        });
+        // Line numbers count the header row, as in a spreadsheet.
+        return { line: index + 2, values: values };
+      });
+      return { columns: columns, records: records };
+    },
+
+    /**
+     * Parses a JSON array of objects into column names and records. A
+     * nested "meta" object becomes one "meta:key" column per key.
+     */
+    parseJSONFile: function (text) {
+      const items = JSON.parse(text);
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error("expected a non-empty array of objects.");
+      }
+
+      const columns = [];
+      const records = items.map((item, index) => {
+        const values = {};
+        const flat = Object.assign({}, item);
+        if (flat.meta && typeof flat.meta === "object" && !Array.isArray(flat.meta)) {
+          Object.keys(flat.meta).forEach((key) => {
+            flat[`meta:${key}`] = flat.meta[key];
+          });
+          delete flat.meta;
+        }
+
+        Object.keys(flat).forEach((key) => {
+          const value = flat[key];
+          values[key] = Array.isArray(value)
+            ? value.join(",")
+            : value == null
+              ? ""
+              : String(value).trim();
+          if (columns.indexOf(key) === -1) {
+            columns.push(key);
+          }
+        });
+        return { line: index + 1, values: values };
+      });
+      return { columns: columns, records: records };
+    },
+
+    /**
+     * Guesses the post field a column maps to from its header.
+     */
+    guessTarget: function (column) {
+      if (/^meta[:_]/i.test(column)) {
+        return "meta";
+      }
+      const aliases = {
+        url: ["url", "tweet", "tweeturl", "link", "statusurl", "status_url"],
+        title: ["title", "posttitle"],
+        status: ["status", "poststatus"],
+        category: ["category", "categories"],
+        tags: ["tags", "tag"],
+        author: ["author", "postauthor"],
+        date: ["date", "publishdate", "postdate", "publishedat"],
+        excerpt: ["excerpt", "summary"],
+      };
+      const normalized = column.toLowerCase().replace(/[^a-z_]/g, "");
+      return (
+        Object.keys(aliases).find((target) =>
+          aliases[target].indexOf(normalized) !== -1
+        ) || ""
+      );
+    },
+
+    /**
+     * Renders one row per file column with a field selector.
+     */
+    renderMapping: function () {
+      const sample = this.fileData.records[0].values;
+      const rows = this.fileData.columns.map((column, index) => {
+        const guess = this.guessTarget(column);
+        const options = Object.keys(this.mappingTargets)
+          .map(
+            (target) =>
+              `<option value="${target}" ${target === guess ? "selected" : ""}>${this.mappingTargets[target]}</option>`
+          )
+          .join("");
+        return `
+          <tr>
+            <td><code>${this.escapeHTML(column)}</code></td>
+            <td>${this.escapeHTML(sample[column])}</td>
+            <td><select data-column-index="${index}">${options}</select></td>
+          </tr>`;
+      });
+
+      this.$mappingBody.html(rows.join(""));
+      this.$mappingNotice.empty();
+      this.$mapping.show();
+    },
+
+    /**
+     * Builds rows from the file using the chosen mapping, validates them
+     * and moves on to the preview.
+     */
+    handleApplyMapping: function () {
+      if (!this.fileData || this.isBusy) {
+        return;
+      }
+
+      const mapping = {};
+      this.$mappingBody.find("select").each((_, el) => {
+        const target = $(el).val();
+        if (target) {
+          const column = this.fileData.columns[$(el).data("columnIndex")];
+          (mapping[target] = mapping[target] || []).push(column);
+        }
+      });
+
+      const missing = ["url", "title"].filter((target) => !mapping[target]);
+      const repeated = Object.keys(mapping).filter(
+        (target) => target !== "meta" && mapping[target].length > 1
+      );
+      if (missing.length > 0) {
+        this.showMappingNotice(
+          `Map a column to: ${missing.map((t) => this.mappingTargets[t]).join(", ")}.`
+        );
+        return;
+      }
+      if (repeated.length > 0) {
+        this.showMappingNotice(
+          `Only one column can be mapped to: ${repeated.map((t) => this.mappingTargets[t]).join(", ")}.`
+        );
+        return;
+      }
+
+      this.$mappingNotice.empty();
+      this.startPreview(
+        this.fileData.records.map((record) => this.buildRow(record, mapping))
+      );
+    },
+
+    /**
+     * Creates a preview row from a file record and validates its fields.
+     */
+    buildRow: function (record, mapping) {
+      const get = (target) =>
+        mapping[target] ? record.values[mapping[target][0]] || "" : "";
+
+      const fields = {};
+      ["status", "category", "tags", "author", "date", "excerpt"].forEach(
+        (target) => {
+          if (get(target) !== "") {
+            fields[target] = get(target);
+          }
+        }
+      );
+      (mapping.meta || []).forEach((column) => {
+        const key = column.replace(/^meta[:_]/i, "");
+        if (record.values[column] !== "") {
+          fields.meta = fields.meta || {};
+          fields.meta[key] = record.values[column];
+        }
+      });
+
+      const row = {
+        line: record.line,
+        url: get("url"),
+        title: get("title"),
+        fields: fields,
+        status: "pending",
+        message: "",
+        media: null,
+        postUrl: null,
+      };
+
+      const status = (fields.status || "").toLowerCase();
+      if (status) {
+        fields.status = status;
+      }
+
+      if (!this.statusRegex.test(row.url)) {
+        row.status = "invalid";
+        row.message = "Not a Twitter/X status URL or ID.";
+      } else if (row.title === "") {
+        row.status = "invalid";
+        row.message = "Missing post title.";
+      } else if (status && this.postStatuses.indexOf(status) === -1) {
+        row.status = "invalid";
+        row.message = `Invalid status "${status}".`;
+      } else if (fields.date && isNaN(Date.parse(fields.date))) {
+        row.status = "invalid";
+        row.message = `Invalid publish date "${fields.date}".`;
+      } else if (status === "future" && !fields.date) {
+        row.status = "invalid";
+        row.message = "Scheduled posts need a publish date.";
+      }
+      return row;
+    },
+
+    /**
+     * Shows an error above the column-mapping table.
+     */
+    showMappingNotice: function (message) {
+      this.$mappingNotice.html(
+        `<div class="notice notice-error inline"><p>${this.escapeHTML(message)}</p></div>`
+      );
+    },
+
+    /**
+     * Validates a row's fields on the server and looks up its media so its
+     * type and thumbnail can be previewed.
+     */
+    resolveRow: function (row) {
+      this.setRowStatus(row, "resolving");
+
+      return wp
+        .apiFetch({
+          path: "/twitter-importer/v1/bulk/preview",
+          method: "POST",
+          data: {
+            url: row.url,
+            title: row.title,
+            fields: row.fields,
+          },
+        })
+        .then((media) => {
+          row.media = media;
+          this.setRowStatus(row, "ready");
+        })
+        .catch((error) => {
+          // Fields the server refuses, such as an unknown author.
+          this.setRowStatus(
+            row,
+            error.code === "invalid_field" ? "invalid" : "unresolved",
+            this.getErrorMessage(error)
+          );
+        });
+    },
+
+    /**
+     * Imports every previewed row, one at a time.
+     */
+    handleImport: function () {
+      if (this.isBusy) {
+        return;
+      }
+      this.importRows(this.rows.filter((row) => row.status === "ready"));
+    },
+
+    /**
+     * Resolves and imports again every row that failed.
+     */
+    handleRetry: function () {
+      if (this.isBusy) {
+        return;
+      }
+      this.importRows(
+        this.rows.filter(
+          (row) => row.status === "failed" || row.status === "unresolved"
+        )
+      );
+    },
+
+    /**
+     * Imports the given rows sequentially, updating the progress bar as
+     * each one finishes.
+     */
+    importRows: function (rows) {
+      if (rows.length === 0) {
+        return;
+      }
+
+      let done = 0;
+      this.setBusy(true);
+      this.updateProgress(0, rows.length);
+
+      this.processRows(
+        rows,
+        (row) => {
+          const resolved = row.media
+            ? Promise.resolve()
+            : this.resolveRow(row);
+
+          return resolved
+            .then(() => (row.media ? this.importRow(row) : null))
+            .finally(() => {
+              done++;
+              this.updateProgress(done, rows.length);
+            });
+        },
+        () => {
+          this.setBusy(false);
+        }
+      );
+    },
+
+    /**
+     * Sends a single row to the server to create its post.
+     */
+    importRow: function (row) {
+      this.setRowStatus(row, "importing");
+
+      return wp
+        .apiFetch({
+          path: "/twitter-importer/v1/bulk/import",
+          method: "POST",
+          data: {
+            url: row.url,
+            title: row.title,
+            fields: row.fields,
+            duplicates: this.$duplicates.val(),
+          },
+        })
+        .then((response) => {
+          row.postUrl = response.post_url;
+          this.setRowStatus(row, "imported");
+        })
+        .catch((error) => {
+          if (error.code === "duplicate") {
+            row.postUrl = error.data && error.data.post_url;
+            this.setRowStatus(row, "skipped", this.getErrorMessage(error));
+          } else {
+            this.setRowStatus(row, "failed", this.getErrorMessage(error));
+          }
+        });
+    },
+
+    /**
+     * Runs a request for each row in turn, then calls onComplete.
+     */
+    processRows: function (rows, task, onComplete) {
+      let index = 0;
+      const next = () => {
+        if (index >= rows.length) {
+          onComplete();
+          return;
+        }
+        const row = rows[index++];
+        task(row).finally(next);
+      };
+      next();
+    },
+
+    /**
+     * Extracts an error message from a failed REST request.
+     */
+    getErrorMessage: function (error) {
+      return (error && error.message) || "An unknown error occurred.";
+    },
+
+    /**
+     * Updates a row's status and re-renders it.
+     */
+    setRowStatus: function (row, status, message) {
+      row.status = status;
+      row.message = message || "";
+      this.$tableBody
+        .find(`tr[data-line="${row.line}"]`)
+        .replaceWith(this.getRowHTML(row));
+      this.updateSummary();
+    },
+
+    /**
+     * Renders all rows into the preview table.
+     */
+    renderRows: function () {
+      this.$tableBody.html(this.rows.map((row) => this.getRowHTML(row)).join(""));
+      this.updateSummary();
+    },
+
+    /**
+     * Generates the HTML for a single preview/result row.
+     */
+    getRowHTML: function (row) {
+      const labels = {
+        pending: "Waiting...",
+        invalid: "Invalid line",
+        resolving: "Looking up media...",
+        unresolved: "Media not found",
+        ready: "Ready to import",
+        importing: "Importing...",
+        imported: "Imported",
+        skipped: "Skipped",
+        failed: "Failed",
+      };
+
+      let media = "";
+      if (row.media) {
+        media = `
+          <img src="${this.escapeHTML(row.media.thumbnail)}" alt="" class="ti-bulk-thumbnail">
+          <span class="ti-bulk-media-type">${this.escapeHTML(
+            row.media.count > 1 ? `${row.media.count} items` : row.media.type
+          )}</span>`;
+      }
+
+      const duplicateLabels = {
+        skip: "will be skipped",
+        update: "the post will be updated",
+        create: "will be imported again",
+      };
+      let existing = "";
+      if (row.media && row.media.existing_post_url && row.status === "ready") {
+        existing = `<br><span class="ti-bulk-message">Already imported (${
+          duplicateLabels[this.$duplicates.val()] || duplicateLabels.skip
+        }): <a href="${this.escapeHTML(row.media.existing_post_url)}" target="_blank">View Post</a></span>`;
+      }
+
+      let result = `<strong>${labels[row.status]}</strong>${existing}`;
+      if (row.message) {
+        result += `<br><span class="ti-bulk-message">${this.escapeHTML(row.message)}</span>`;
+      }
+      if ((row.status === "imported" || row.status === "skipped") && row.postUrl) {
+        result += ` <a href="${this.escapeHTML(row.postUrl)}" target="_blank">View Post</a>`;
+      }
+
+      return `
+        <tr data-line="${row.line}" class="ti-bulk-row-${row.status}">
+          <td class="ti-bulk-col-line">${row.line}</td>
+          <td class="ti-bulk-col-media">${media}</td>
+          <td class="ti-bulk-col-url">${this.escapeHTML(row.url)}</td>
+          <td>${this.escapeHTML(row.title)}${this.getFieldsHTML(row.fields)}</td>
+          <td>${result}</td>
+        </tr>`;
+    },
+
+    /**
+     * Lists a row's optional post fields under its title.
+     */
+    getFieldsHTML: function (fields) {
+      const items = [];
+      Object.keys(fields || {}).forEach((key) => {
+        if (key === "meta") {
+          Object.keys(fields.meta).forEach((metaKey) => {
+            items.push(`${metaKey}: ${fields.meta[metaKey]}`);
+          });
+        } else {
+          items.push(`${this.mappingTargets[key]}: ${fields[key]}`);
+        }
+      });
+      if (items.length === 0) {
+        return "";
+      }
+      return `<ul class="ti-bulk-fields">${items
+        .map((item) => `<li>${this.escapeHTML(item)}</li>`)
+        .join("")}</ul>`;
+    },
+
+    /**
+     * Summarises row outcomes and toggles the import/retry buttons.
+     */
+    updateSummary: function () {
+      const count = (status) =>
+        this.rows.filter((row) => row.status === status).length;
+
+      const ready = count("ready");
+      const failed = count("failed") + count("unresolved");
+
+      this.$summary.text(
+        `${this.rows.length} lines: ${ready} ready, ${count("imported")} imported, ${count("skipped")} skipped, ${failed} failed, ${count("invalid")} invalid.`
+      );
+      this.$importButton
+        .prop("disabled", this.isBusy || ready === 0)
+        .text(`Import Posts (${ready})`);
+      this.$retryButton.toggle(failed > 0).prop("disabled", this.isBusy);
+    },
+
+    /**
+     * Sets the progress bar to the share of finished rows.
+     */
+    updateProgress: function (done, total) {
+      this.$progress.show();
+      this.$progressBar.css("width", `${total ? (done / total) * 100 : 0}%`);
+    },
+
+    /**
+     * Locks the controls while lookups or imports are running.
+     */
+    setBusy: function (isBusy) {
+      this.isBusy = isBusy;
+      this.$previewButton.prop("disabled", isBusy);
+      this.$applyMappingButton.prop("disabled", isBusy);
+      this.$fileInput.prop("disabled", isBusy);
+      this.$textarea.prop("readonly", isBusy);
+      this.updateSummary();
+    },
+
+    /**
+     * Escapes a value for safe insertion into HTML (see admin-utils.js).
+     */
+    escapeHTML: tiUtils.escapeHTML,
+  };
+
+  $(document).ready(() => BulkImporter.init());
+})(jQuery);
@@ -1,5 +1,6 @@
 /**
- * Manages the main "Search & Import" page for the Twitter Importer plugin.
+ * Manages the main "Search & Import" page for the Twitter Importer plugin,
+ * and the "Import from Archive" page, which shares its results grid.
  */
 
 (function ($) {
@@ -10,10 +11,32 @@
       this.cacheDOMElements();
       this.bindEvents();
       this.selectedVideos = new Set();
+      this.itemCount = 0;
+      this.jobs = new Map();
+      this.pollTimer = null;
+      this.currentSearch = null;
+      this.nextCursor = null;
+      this.isLoadingMore = false;
+      this.previewTimer = null;
+      this.$lightbox = null;
+      this.$lightboxItem = $();
+      // The tile a Shift+click or Shift+arrow range starts from, and
+      // whether ranges select or deselect tiles.
+      this.$selectionAnchor = $();
+      this.rangeSelects = true;
+      this.observeLoadMore();
+      // Restore jobs queued before the page was (re)loaded.
+      this.pollJobs();
+      // The archive page lists its media straight away.
+      if (twitterImporter.searchOnLoad) {
+        this.handleSearch();
+      }
     },
 
     cacheDOMElements: function () {
       this.$searchButton = $("#search_button");
+      this.$saveWatcherButton = $("#save_watcher");
+      this.$refreshButton = $("#refresh_button");
       this.$searchInput = $("#search_query");
       this.$searchType = $('input[name="search_type"]');
       this.$resultsContent = $(".twitter-importer-results-content");
@@ -22,10 +45,33 @@
       this.$notifications = $("#twitter-importer-notifications");
       this.$selectAllButton = $("#select_all");
       this.$importSelectedButton = $("#import_selected");
+      this.$loadMore = $(".twitter-importer-load-more");
+      this.$loadMoreButton = $("#load_more");
+      this.$toolbar = $(".twitter-importer-results-toolbar");
+      this.$sortBy = $("#filter_sort_by");
+      this.$minViews = $("#filter_min_views");
+      this.$hideImported = $("#filter_hide_imported");
+      this.$filterUsername = $("#filter_username");
+      this.$importStatus = $("#import_post_status");
+      this.$importDate = $("#import_post_date");
+      this.$importType = $("#import_post_type");
+      this.$importAuthor = $("#import_post_author");
+      this.$importCategories = $("#import_categories");
+      this.$importTags = $("#import_tags");
+      this.$importTitleTemplate = $("#import_title_template");
+      this.$importTextAs = $("#import_text_as");
+      this.$importUseTweetDate = $("#import_use_tweet_date");
+      this.$importDuplicates = $("#import_duplicates");
+      this.$queue = $(".twitter-importer-queue");
+      this.$queueSummary = this.$queue.find(".twitter-importer-queue-summary");
+      this.$queueRows = this.$queue.find("tbody");
+      this.$queueClear = $("#queue_clear");
     },
 
     bindEvents: function () {
-      this.$searchButton.on("click", this.handleSearch.bind(this));
+      this.$searchButton.on("click", () => this.handleSearch());
+      this.$refreshButton.on("click", () => this.handleSearch(true));
+      this.$saveWatcherButton.on("click", this.handleSaveWatcher.bind(this));
       this.$searchInput.on("keypress", (e) => {
         if (e.which === 13) {
           e.preventDefault();
@@ -34,9 +80,30 @@
       });
       this.$resultsContent.on(
         "click",
-        ".twitter-importer-video-item",
+        ".twitter-importer-select input",
         this.handleItemClick.bind(this)
       );
+      this.$resultsContent.on("click", ".twitter-importer-preview-btn", (e) =>
+        this.openLightbox($(e.currentTarget).closest(".twitter-importer-video-item"))
+      );
+      this.$resultsContent.on(
+        "mouseenter",
+        ".twitter-importer-video-thumbnail",
+        this.startInlinePreview.bind(this)
+      );
+      this.$resultsContent.on(
+        "mouseleave",
+        ".twitter-importer-video-thumbnail",
+        this.stopInlinePreview.bind(this)
+      );
+      this.$resultsContent.on(
+        "keydown",
+        ".twitter-importer-video-item",
+        this.handleItemKeydown.bind(this)
+      );
+      this.$resultsContent.on("focusin", ".twitter-importer-video-item", (e) =>
+        this.setFocusableItem($(e.currentTarget))
+      );
       this.$resultsContent.on(
         "click",
         ".import-btn",
@@ -47,54 +114,197 @@
         "click",
         this.handleBulkImport.bind(this)
       );
+      this.$loadMoreButton.on("click", this.handleLoadMore.bind(this));
+      this.$sortBy
+        .add(this.$hideImported)
+        .add(this.$filterUsername)
+        .on("change", this.applyFilters.bind(this));
+      this.$minViews.on("input", this.applyFilters.bind(this));
+      this.$queue.on("click", ".queue-retry", (e) => {
+        this.handleJobAction("retry", $(e.currentTarget).data("jobId"));
+      });
+      this.$queue.on("click", ".queue-cancel", (e) => {
+        this.handleJobAction("cancel", $(e.currentTarget).data("jobId"));
+      });
+      this.$queueClear.on("click", () => this.handleJobAction("clear"));
+      this.$importStatus.on("change", () => {
+        this.$importDate
+          .closest("label")
+          .toggle(this.$importStatus.val() === "future");
+      });
+      this.$importDuplicates.on(
+        "change",
+        this.handleDuplicatePolicyChange.bind(this)
+      );
+    },
+
+    /**
+     * Loads the next page automatically when the "Load More" button
+     * scrolls into view.
+     */
+    observeLoadMore: function () {
+      if (!("IntersectionObserver" in window) || !this.$loadMore.length) {
+        return;
+      }
+      const observer = new IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          this.handleLoadMore();
+        }
+      });
+      observer.observe(this.$loadMore[0]);
     },
 
     /**
-     * Handles the search button click and initiates the AJAX request.
+     * Handles the search button click and requests the first page. The
+     * "Refresh" button passes refresh to skip cached API responses.
      */
-    handleSearch: function () {
+    handleSearch: function (refresh) {
       const query = this.$searchInput.val().trim();
       const type = this.$searchType.filter(":checked").val();
 
-      if (!query) {
+      if (!query && !twitterImporter.queryOptional) {
         this.showNotification("error", "Please enter a search query.");
         return;
       }
 
       this.setLoading(true);
       this.selectedVideos.clear();
+      this.currentSearch = { query: query, type: type, refresh: refresh ? 1 : 0 };
+      this.setCursor(null);
 
-      $.post(twitterImporter.ajaxUrl, {
-        action: "twitter_search",
-        nonce: twitterImporter.nonce,
-        query: query,
-        type: type,
-      })
-        .done((response) => {
-          if (response.success) {
-            this.renderResults(response.data.videos);
-          } else {
-            this.showNotification("error", response.data.message);
-            this.renderResults([]);
-          }
+      this.fetchResults(this.currentSearch)
+        .then((response) => {
+          this.renderResults(response.videos);
+          this.setCursor(response.cursor);
         })
-        .fail(() => {
-          this.showNotification("error", "An unknown error occurred.");
+        .catch((error) => {
+          this.showNotification("error", this.getErrorMessage(error));
           this.renderResults([]);
         })
-        .always(() => {
+        .finally(() => {
           this.setLoading(false);
         });
     },
 
+    /**
+     * Saves the current query and search type as a watcher that imports new
+     * media on a schedule, using the current import options.
+     */
+    handleSaveWatcher: function () {
+      const query = this.$searchInput.val().trim();
+      const type = this.$searchType.filter(":checked").val();
+
+      if (!query) {
+        this.showNotification("error", "Please enter a username or keywords to watch.");
+        return;
+      }
+      if (type === "tweet") {
+        this.showNotification(
+          "error",
+          "Watchers follow a username or a keyword search, not a single tweet."
+        );
+        return;
+      }
+
+      this.$saveWatcherButton.prop("disabled", true);
+      wp.apiFetch({
+        path: "/twitter-importer/v1/watchers",
+        method: "POST",
+        data: {
+          query: query,
+          type: type,
+          import_options: this.getImportOptions(),
+        },
+      })
+        .then((response) => {
+          this.showNotification(
+            "success",
+            `Watcher saved. New media will be imported every hour. <a href="${this.escapeHTML(response.edit_url)}">Manage watchers</a>`
+          );
+        })
+        .catch((error) => {
+          this.showNotification("error", this.getErrorMessage(error));
+        })
+        .finally(() => {
+          this.$saveWatcherButton.prop("disabled", false);
+        });
+    },
+
+    /**
+     * Fetches the next page of results for the current search and appends
+     * them to the grid, keeping existing selections and import states.
+     */
+    handleLoadMore: function () {
+      if (!this.nextCursor || !this.currentSearch || this.isLoadingMore) {
+        return;
+      }
+
+      const search = this.currentSearch;
+      this.isLoadingMore = true;
+      this.$loadMoreButton.prop("disabled", true).text("Loading...");
+
+      this.fetchResults(search, this.nextCursor)
+        .then((response) => {
+          // Ignore pages that belong to a search the user has since replaced.
+          if (search !== this.currentSearch) {
+            return;
+          }
+          this.appendResults(response.videos);
+          this.setCursor(response.cursor);
+        })
+        .catch((error) => {
+          if (search === this.currentSearch) {
+            this.showNotification("error", this.getErrorMessage(error));
+          }
+        })
+        .finally(() => {
+          this.isLoadingMore = false;
+          this.$loadMoreButton.prop("disabled", false).text("Load More");
+        });
+    },
+
+    /**
+     * Requests a page of results from the search route, or from the
+     * archive route on the Import from Archive page.
+     */
+    fetchResults: function (search, cursor) {
+      const args = {
+        query: search.query,
+        type: search.type,
+        refresh: search.refresh,
+      };
+      if (cursor) {
+        args.cursor = cursor;
+      }
+
+      return wp.apiFetch({
+        path: wp.url.addQueryArgs(
+          twitterImporter.searchPath || "/twitter-importer/v1/search",
+          args
+        ),
+      });
+    },
+
+    /**
+     * Stores the cursor for the next page and toggles the "Load More" control.
+     */
+    setCursor: function (cursor) {
+      this.nextCursor = cursor || null;
+      this.$loadMore.toggle(!!this.nextCursor);
+    },
+
     /**
      * Sets the loading state of the UI.
      */
     setLoading: function (isLoading) {
       this.$searchButton.prop("disabled", isLoading);
       if (isLoading) {
+        this.closeLightbox();
         this.$resultsHeader.hide();
-        this.$resultsContent.html('<div class="twitter-importer-loading"></div>');
+        this.$toolbar.hide();
+        this.$resultsContent
+          .removeAttr("role aria-multiselectable")
+          .html('<div class="twitter-importer-loading"></div>');
       }
     },
 
@@ -104,19 +314,157 @@
     renderResults: function (videos) {
       if (!videos || videos.length === 0) {
         this.$resultsHeader.hide();
+        this.$toolbar.hide();
+        this.$resultsContent.removeAttr("role aria-multiselectable");
         this.$resultsContent.html(
           '<div class="twitter-importer-no-results">No videos found for your search.</div>'
         );
         return;
       }
 
+      this.itemCount = 0;
       const html = videos.map((video) => this.getVideoItemHTML(video)).join("");
-      this.$resultsContent.html(html);
-      this.$resultsCount.text(`${videos.length} videos found.`);
+      this.$resultsContent
+        .html(html)
+        .attr({ role: "grid", "aria-multiselectable": "true" });
       this.$resultsHeader.show();
+      this.$toolbar.show();
+      this.applyJobStates();
+      this.refreshToolbar();
+      this.applyFilters();
+    },
+
+    /**
+     * Appends a further page of results, skipping items already in the grid.
+     */
+    appendResults: function (videos) {
+      const newVideos = (videos || []).filter(
+        (video) =>
+          !this.$resultsContent.find(
+            `.twitter-importer-video-item[data-video-id="${video.id}"]`
+          ).length
+      );
+      if (newVideos.length === 0) {
+        return;
+      }
+
+      const html = newVideos.map((video) => this.getVideoItemHTML(video)).join("");
+      this.$resultsContent.append(html);
+      this.applyJobStates();
+      this.refreshToolbar();
+      this.applyFilters();
+    },
+
+    /**
+     * Updates the results count from the tiles currently in the grid.
+     */
+    updateResultsCount: function () {
+      const $items = this.$resultsContent.find(".twitter-importer-video-item");
+      const total = $items.length;
+      const visible = $items.not(".is-filtered").length;
+      this.$resultsCount.text(
+        visible === total
+          ? `${total} videos found.`
+          : `Showing ${visible} of ${total} videos.`
+      );
+    },
+
+    /**
+     * Rebuilds the toolbar options that depend on the loaded results: the
+     * username filter and whether date sorting is available.
+     */
+    refreshToolbar: function () {
+      const usernames = new Set();
+      let hasDates = false;
+      this.getItems().each((_, el) => {
+        const video = $(el).data("videoData") || {};
+        if (video.userName) {
+          usernames.add(video.userName);
+        }
+        if (video.date) {
+          hasDates = true;
+        }
+      });
+
+      const current = this.$filterUsername.val();
+      const options = ['<option value="">All accounts</option>'].concat(
+        Array.from(usernames)
+          .sort((a, b) => a.localeCompare(b))
+          .map(
+            (name) =>
+              `<option value="${this.escapeHTML(name)}">@${this.escapeHTML(name)}</option>`
+          )
+      );
+      this.$filterUsername.html(options.join(""));
+      this.$filterUsername.val(usernames.has(current) ? current : "");
+      this.$filterUsername.closest("label").toggle(usernames.size > 1);
+
+      this.$sortBy.find('option[value^="date_"]').prop("disabled", !hasDates);
+      if (!hasDates && this.$sortBy.val().indexOf("date_") === 0) {
+        this.$sortBy.val("");
+      }
+    },
+
+    /**
+     * Sorts and filters the grid in place from the toolbar controls, using
+     * the data-video-data payload of each tile.
+     */
+    applyFilters: function () {
+      const sortBy = this.$sortBy.val();
+      const minViews = parseInt(this.$minViews.val(), 10) || 0;
+      const hideImported = this.$hideImported.is(":checked");
+      const username = this.$filterUsername.val();
+
+      const $items = this.getItems();
+      $items.each((_, el) => {
+        const $item = $(el);
+        const video = $item.data("videoData") || {};
+        const hidden =
+          (minViews > 0 && (Number(video.views) || 0) < minViews) ||
+          (hideImported && $item.hasClass("imported")) ||
+          (username && video.userName !== username);
+        $item.toggleClass("is-filtered", !!hidden);
+      });
+
+      const sorted = $items.get().sort((a, b) => {
+        const videoA = $(a).data("videoData") || {};
+        const videoB = $(b).data("videoData") || {};
+        switch (sortBy) {
+          case "views_desc":
+            return (Number(videoB.views) || 0) - (Number(videoA.views) || 0);
+          case "views_asc":
+            return (Number(videoA.views) || 0) - (Number(videoB.views) || 0);
+          case "date_desc":
+            return this.getTime(videoB.date) - this.getTime(videoA.date);
+          case "date_asc":
+            return this.getTime(videoA.date) - this.getTime(videoB.date);
+          default:
+            return $(a).data("index") - $(b).data("index");
+        }
+      });
+      this.$resultsContent.append(sorted);
+      this.setFocusableItem(this.getFocusableItem());
+
+      this.updateResultsCount();
       this.updateSelectionUI();
     },
 
+    /**
+     * Converts an API date value to a timestamp for sorting.
+     */
+    getTime: function (date) {
+      const time = date ? new Date(date).getTime() : 0;
+      return isNaN(time) ? 0 : time;
+    },
+
+    /**
+     * Returns all result tiles, or only those not hidden by the toolbar.
+     */
+    getItems: function (visibleOnly) {
+      const $items = this.$resultsContent.find(".twitter-importer-video-item");
+      return visibleOnly ? $items.not(".is-filtered") : $items;
+    },
+
     /**
      * Generates the HTML for a single video item.
      */
@@ -128,68 +476,294 @@
         : "N/A";
 
       const actionButton = isImported
-        ? `<a href="${video.post_url}" target="_blank" class="button imported-btn">View Post</a>`
+        ? this.getImportedActionsHTML(video.id, video.post_url)
         : `<button class="button button-primary import-btn" data-video-id="${video.id}">Import</button>`;
 
+      const index = this.itemCount++;
+      const isSelected = this.selectedVideos.has(video.id);
+      const selectedClass = isSelected ? "selected" : "";
+
+      const time = this.getTime(video.date);
+      const date = time
+        ? new Date(time).toLocaleDateString(undefined, { dateStyle: "medium" })
+        : "";
+      const dateHTML =
+        date && video.url
+          ? `<a href="${this.escapeHTML(video.url)}" target="_blank" rel="noopener" class="twitter-importer-video-date">${date}</a>`
+          : date;
+
       return `
-        <div class="twitter-importer-video-item ${itemClass}" data-video-id="${
+        <div class="twitter-importer-video-item ${itemClass} ${selectedClass}" role="row" tabindex="-1" aria-selected="${isSelected}" data-index="${index}" data-video-id="${
         video.id
-      }" data-video-data='${JSON.stringify(video)}'>
-          <div class="twitter-importer-video-thumbnail">
+      }" data-post-url="${this.escapeHTML(video.post_url || "")}" data-video-data='${JSON.stringify(video)
+        .replace(/&/g, "&amp;")
+        .replace(/'/g, "&#39;")}'>
+          <div class="twitter-importer-video-thumbnail" role="gridcell">
             <img src="${video.thumbnail}" alt="Video thumbnail">
+            <button type="button" class="twitter-importer-preview-btn" aria-label="Preview">
+              <span class="dashicons dashicons-controls-play"></span>
+            </button>
+            <label class="twitter-importer-select">
+              <input type="checkbox" tabindex="-1" ${isSelected ? "checked" : ""}>
+              <span class="screen-reader-text">Select</span>
+            </label>
           </div>
-          <div class="twitter-importer-video-info">
+          <div class="twitter-importer-video-info" role="gridcell">
+            <div class="twitter-importer-author">
+              ${
+                video.avatar
+                  ? `<img src="${this.escapeHTML(video.avatar)}" alt="" class="twitter-importer-avatar">`
+                  : ""
+              }
+              <div class="twitter-importer-author-names">
+                ${
+                  video.name && video.name !== video.userName
+                    ? `<span class="twitter-importer-author-name">${this.escapeHTML(video.name)}</span>`
+                    : ""
+                }
+                <span class="twitter-importer-username">@${this.escapeHTML(video.userName)}</span>
+              </div>
+            </div>
+            ${
+              video.text
+                ? `<p class="twitter-importer-video-text" title="${this.escapeHTML(video.text)}">${this.escapeHTML(video.text)}</p>`
+                : ""
+            }
             <div class="twitter-importer-video-meta">
-              <span class="twitter-importer-username">@${video.userName}</span>
               <span class="twitter-importer-views">${views}</span>
+              <span>${dateHTML}</span>
             </div>
           </div>
-          <div class="twitter-importer-video-actions">
+          <div class="twitter-importer-video-actions" role="gridcell">
             ${actionButton}
           </div>
         </div>`;
     },
 
     /**
-     * Handles a click on a video item to select/deselect it.
+     * Builds the actions of an already imported tile. Depending on the
+     * "Already Imported" option, the tweet can also be imported again as an
+     * update of its post or as a new post.
+     */
+    getImportedActionsHTML: function (videoId, postUrl) {
+      const labels = { update: "Update", create: "Import again" };
+      const policy = this.getDuplicatePolicy();
+      const action = labels[policy]
+        ? `<button class="button button-primary import-btn" data-video-id="${videoId}">${labels[policy]}</button> `
+        : '<span class="twitter-importer-item-status">Imported</span> ';
+
+      return `${action}<a href="${this.escapeHTML(
+        postUrl
+      )}" target="_blank" class="button imported-btn">View Post</a>${this.getHistoryLinkHTML(
+        videoId
+      )}`;
+    },
+
+    /**
+     * Returns the chosen "Already Imported" policy: skip, update or create.
+     */
+    getDuplicatePolicy: function () {
+      return this.$importDuplicates.val() || "skip";
+    },
+
+    /**
+     * Returns the tiles that can be selected: imported ones only when the
+     * duplicate policy lets them be imported again.
+     */
+    getSelectableItems: function () {
+      const $items = this.getItems(true).not(".importing, .queued");
+      return this.getDuplicatePolicy() === "skip"
+        ? $items.not(".imported")
+        : $items;
+    },
+
+    /**
+     * Redraws the imported tiles' actions for the new duplicate policy and
+     * drops them from the selection when they can no longer be imported.
+     */
+    handleDuplicatePolicyChange: function () {
+      const isSkip = this.getDuplicatePolicy() === "skip";
+      this.getItems()
+        .filter(".imported")
+        .each((_, el) => {
+          const $item = $(el);
+          const videoId = $item.data("videoId");
+          $item
+            .find(".twitter-importer-video-actions")
+            .html(this.getImportedActionsHTML(videoId, $item.attr("data-post-url")));
+          if (isSkip) {
+            this.setSelected($item, false);
+          }
+        });
+      this.updateSelectionUI();
+    },
+
+    /**
+     * Builds the link to a tweet's entry in the Import History screen.
+     */
+    getHistoryLinkHTML: function (videoId) {
+      if (!twitterImporter.historyUrl) {
+        return "";
+      }
+      return ` <a href="${twitterImporter.historyUrl}&s=${encodeURIComponent(
+        videoId
+      )}" class="twitter-importer-history-link">History</a>`;
+    },
+
+    /**
+     * Handles a click on a tile's checkbox to select/deselect it, or with
+     * Shift to select the range from the last clicked tile.
      */
     handleItemClick: function (e) {
+      const $item = $(e.currentTarget).closest(".twitter-importer-video-item");
+      if (e.shiftKey) {
+        this.selectRange($item);
+      } else {
+        this.toggleItem($item);
+      }
+    },
+
+    /**
+     * Handles the grid's keyboard controls on the focused tile: arrow keys,
+     * Home and End move, Shift+arrow extends the selection, Space toggles
+     * the tile and Enter imports it.
+     */
+    handleItemKeydown: function (e) {
+      // Leave keys on the tile's buttons and links to them.
+      if (e.target !== e.currentTarget) {
+        return;
+      }
+
       const $item = $(e.currentTarget);
-      if ($item.hasClass("imported") || $item.hasClass("importing")) {
+      const $items = this.getItems(true);
+      const index = $items.index($item);
+      const columns = this.getColumnCount($items);
+      const targets = {
+        ArrowLeft: index - 1,
+        ArrowRight: index + 1,
+        ArrowUp: index - columns,
+        ArrowDown: index + columns,
+        Home: 0,
+        End: $items.length - 1,
+      };
+
+      if (e.key in targets) {
+        e.preventDefault();
+        const $target = $items.eq(
+          Math.min(Math.max(targets[e.key], 0), $items.length - 1)
+        );
+        $target.trigger("focus");
+        if (e.shiftKey) {
+          this.selectRange($target, $item);
+        }
+      } else if (e.key === " ") {
+        e.preventDefault();
+        this.toggleItem($item);
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        if ($item.find(".import-btn").length) {
+          this.importVideos([$item.data("videoData")]);
+        }
+      }
+    },
+
+    /**
+     * Counts the tiles in the grid's first row, for moving up and down.
+     */
+    getColumnCount: function ($items) {
+      const top = $items.length ? $items[0].offsetTop : 0;
+      const columns = $items.filter((_, el) => el.offsetTop === top).length;
+      return Math.max(columns, 1);
+    },
+
+    /**
+     * Returns the tile that Tab moves into the grid: the last focused one
+     * while it is still shown, otherwise the first.
+     */
+    getFocusableItem: function () {
+      const $items = this.getItems(true);
+      const $current = $items.filter('[tabindex="0"]');
+      return $current.length ? $current : $items.first();
+    },
+
+    /**
+     * Makes a tile the grid's only tab stop, so Tab skips past the other
+     * tiles and the arrow keys move between them.
+     */
+    setFocusableItem: function ($item) {
+      this.getItems().not($item).attr("tabindex", "-1");
+      $item.attr("tabindex", "0");
+    },
+
+    /**
+     * Selects or deselects a tile, if it can be selected, and makes it the
+     * start of the next range.
+     */
+    toggleItem: function ($item) {
+      if (!$item.is(this.getSelectableItems())) {
         return;
       }
 
+      this.setSelected($item, !$item.hasClass("selected"));
+      this.$selectionAnchor = $item;
+      this.rangeSelects = $item.hasClass("selected");
+      this.updateSelectionUI();
+    },
+
+    /**
+     * Selects every selectable tile from the anchor to the given one, or
+     * deselects them when the anchor was last deselected. Without an
+     * anchor, the range starts at $from, or else at the tile itself.
+     */
+    selectRange: function ($item, $from) {
+      const $items = this.getItems(true);
+      if ($items.index(this.$selectionAnchor) === -1) {
+        this.$selectionAnchor = $from || $item;
+        this.rangeSelects = true;
+      }
+      const start = $items.index(this.$selectionAnchor);
+      const end = $items.index($item);
+
+      const selected = this.rangeSelects;
+      const $range = $items
+        .slice(Math.min(start, end), Math.max(start, end) + 1)
+        .filter(this.getSelectableItems());
+      $range.each((_, el) => this.setSelected($(el), selected));
+      this.updateSelectionUI();
+
+      if ($range.length > 1) {
+        this.speak(
+          `${$range.length} videos ${selected ? "selected" : "deselected"}.`
+        );
+      }
+    },
+
+    /**
+     * Sets a tile's selected state and its aria-selected attribute.
+     */
+    setSelected: function ($item, selected) {
       const videoId = $item.data("videoId");
-      if (this.selectedVideos.has(videoId)) {
-        this.selectedVideos.delete(videoId);
-        $item.removeClass("selected");
-      } else {
+      if (selected) {
         this.selectedVideos.add(videoId);
-        $item.addClass("selected");
+      } else {
+        this.selectedVideos.delete(videoId);
       }
-      this.updateSelectionUI();
+      $item
+        .toggleClass("selected", selected)
+        .attr("aria-selected", String(selected))
+        .find(".twitter-importer-select input")
+        .prop("checked", selected);
     },
 
     /**
      * Handles the "Select All" button click.
      */
     handleSelectAll: function () {
-      const $items = this.$resultsContent.find(
-        ".twitter-importer-video-item:not(.imported)"
-      );
-      const allSelected = this.selectedVideos.size === $items.length;
+      const $items = this.getSelectableItems();
+      const allSelected =
+        $items.length > 0 && $items.filter(".selected").length === $items.length;
 
-      $items.each((_, el) => {
-        const $item = $(el);
-        const videoId = $item.data("videoId");
-        if (allSelected) {
-          this.selectedVideos.delete(videoId);
-          $item.removeClass("selected");
-        } else {
-          this.selectedVideos.add(videoId);
-          $item.addClass("selected");
-        }
-      });
+      $items.each((_, el) => this.setSelected($(el), !allSelected));
       this.updateSelectionUI();
     },
 
@@ -197,10 +771,16 @@
      * Updates the UI related to selections (e.g., button text and state).
      */
     updateSelectionUI: function () {
-      const numSelected = this.selectedVideos.size;
-      const numSelectable = this.$resultsContent.find(
-        ".twitter-importer-video-item:not(.imported)"
-      ).length;
+      const $selectable = this.getSelectableItems();
+      const numSelected = $selectable.filter(".selected").length;
+      const numSelectable = $selectable.length;
+
+      this.getItems().each((_, el) => {
+        $(el)
+          .find(".twitter-importer-select input")
+          .prop("disabled", !$selectable.is(el));
+      });
+      this.updateLightbox();
 
       this.$importSelectedButton.prop("disabled", numSelected === 0);
       this.$importSelectedButton.text(`Import Selected (${numSelected})`);
@@ -212,6 +792,252 @@
       }
     },
 
+    /**
+     * Returns what a tile previews: its type and, when the browser can load
+     * it, the URL of its media. Archive files have no public URL, so their
+     * videos only show the poster.
+     */
+    getPreviewMedia: function (video) {
+      const media = (video.media || [])[0];
+      const url = video.download_url || "";
+      return {
+        type: media ? media.type : "video",
+        src: /^https?:\/\//.test(url) ? url : "",
+      };
+    },
+
+    /**
+     * Plays a tile's video muted over its thumbnail once the pointer has
+     * rested on it for a moment.
+     */
+    startInlinePreview: function (e) {
+      const $thumbnail = $(e.currentTarget);
+      const video = $thumbnail.closest(".twitter-importer-video-item").data("videoData") || {};
+      const media = this.getPreviewMedia(video);
+      if (media.type !== "video" || !media.src) {
+        return;
+      }
+
+      clearTimeout(this.previewTimer);
+      this.previewTimer = setTimeout(() => {
+        $thumbnail.append(
+          $('<video class="twitter-importer-inline-preview" muted loop autoplay playsinline></video>')
+            .prop("muted", true)
+            .attr("src", media.src)
+        );
+      }, 400);
+    },
+
+    /**
+     * Stops and removes the inline preview when the pointer leaves.
+     */
+    stopInlinePreview: function (e) {
+      clearTimeout(this.previewTimer);
+      $(e.currentTarget).find(".twitter-importer-inline-preview").remove();
+    },
+
+    /**
+     * Builds the lightbox the first time it is opened.
+     */
+    getLightbox: function () {
+      if (this.$lightbox) {
+        return this.$lightbox;
+      }
+
+      this.$lightbox = $(`
+        <div class="twitter-importer-lightbox" role="dialog" aria-modal="true" aria-label="Preview" hidden>
+          <div class="twitter-importer-lightbox-dialog">
+            <button type="button" class="twitter-importer-lightbox-close" aria-label="Close">&times;</button>
+            <div class="twitter-importer-lightbox-media"></div>
+            <div class="twitter-importer-lightbox-details">
+              <div class="twitter-importer-lightbox-info"></div>
+              <div class="twitter-importer-lightbox-actions">
+                <button type="button" class="button twitter-importer-lightbox-prev" aria-label="Previous">&lsaquo;</button>
+                <span class="twitter-importer-lightbox-position"></span>
+                <button type="button" class="button twitter-importer-lightbox-next" aria-label="Next">&rsaquo;</button>
+                <label class="twitter-importer-lightbox-select">
+                  <input type="checkbox"> Select
+                </label>
+                <button type="button" class="button button-primary twitter-importer-lightbox-import">Import</button>
+                <a href="#" target="_blank" class="button twitter-importer-lightbox-post">View Post</a>
+              </div>
+            </div>
+          </div>
+        </div>`).appendTo(document.body);
+
+      this.$lightbox.on("click", (e) => {
+        // A click on the backdrop closes the lightbox.
+        if (e.target === e.currentTarget) {
+          this.closeLightbox();
+        }
+      });
+      this.$lightbox.on("click", ".twitter-importer-lightbox-close", () =>
+        this.closeLightbox()
+      );
+      this.$lightbox.on("click", ".twitter-importer-lightbox-prev", () =>
+        this.moveLightbox(-1)
+      );
+      this.$lightbox.on("click", ".twitter-importer-lightbox-next", () =>
+        this.moveLightbox(1)
+      );
+      this.$lightbox.on("change", ".twitter-importer-lightbox-select input", () =>
+        this.toggleItem(this.$lightboxItem)
+      );
+      this.$lightbox.on("click", ".twitter-importer-lightbox-import", () => {
+        this.importVideos([this.$lightboxItem.data("videoData")]);
+        this.updateLightbox();
+      });
+      this.$lightbox.on("keydown", (e) => {
+        if (e.key === "Escape") {
+          this.closeLightbox();
+        } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+          // Leave the arrow keys to the video's own controls.
+          if (!$(e.target).is("video")) {
+            this.moveLightbox(e.key === "ArrowLeft" ? -1 : 1);
+          }
+        } else if (e.key === "Tab") {
+          this.trapLightboxFocus(e);
+        }
+      });
+      return this.$lightbox;
+    },
+
+    /**
+     * Keeps Tab and Shift+Tab cycling through the lightbox's own controls
+     * while it is open, as a modal dialog should.
+     */
+    trapLightboxFocus: function (e) {
+      const $focusable = this.$lightbox
+        .find('button, input, a[href], video[controls], [tabindex]:not([tabindex="-1"])')
+        .filter(":visible:not(:disabled)");
+      if (!$focusable.length) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = $focusable.get(0);
+      const last = $focusable.get(-1);
+      const index = $focusable.index(document.activeElement);
+      if (e.shiftKey && index <= 0) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (index === -1 || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    /**
+     * Opens the lightbox on a tile, playing its media with the tweet's text.
+     */
+    openLightbox: function ($item) {
+      const $lightbox = this.getLightbox();
+      const wasOpen = !$lightbox.prop("hidden");
+      const video = $item.data("videoData") || {};
+      const media = this.getPreviewMedia(video);
+
+      this.$lightboxItem = $item;
+      $lightbox
+        .find(".twitter-importer-lightbox-media")
+        .html(
+          media.type === "video" && media.src
+            ? `<video src="${this.escapeHTML(media.src)}" poster="${this.escapeHTML(video.thumbnail || "")}" controls autoplay playsinline></video>`
+            : `<img src="${this.escapeHTML(video.thumbnail || "")}" alt="">`
+        );
+      $lightbox.find(".twitter-importer-lightbox-info").html(
+        `<p class="twitter-importer-username">@${this.escapeHTML(video.userName)}</p>
+        ${video.text ? `<p class="twitter-importer-lightbox-text">${this.escapeHTML(video.text)}</p>` : ""}
+        <p class="twitter-importer-video-meta">${
+          video.views ? `${Number(video.views).toLocaleString()} views` : ""
+        }${
+          video.url
+            ? ` <a href="${this.escapeHTML(video.url)}" target="_blank" rel="noopener">View tweet</a>`
+            : ""
+        }</p>`
+      );
+      this.updateLightbox();
+
+      if (!wasOpen) {
+        $lightbox.prop("hidden", false);
+        $("body").addClass("twitter-importer-lightbox-open");
+        $lightbox.find(".twitter-importer-lightbox-close").trigger("focus");
+      }
+    },
+
+    /**
+     * Shows the previous or next tile still shown in the grid.
+     */
+    moveLightbox: function (step) {
+      const $items = this.getItems(true);
+      const index = $items.index(this.$lightboxItem);
+      const next = index + step;
+      if (index >= 0 && next >= 0 && next < $items.length) {
+        this.openLightbox($items.eq(next));
+      }
+    },
+
+    /**
+     * Closes the lightbox, stopping its video, and returns focus to the
+     * tile it was last showing.
+     */
+    closeLightbox: function () {
+      if (!this.$lightbox || this.$lightbox.prop("hidden")) {
+        return;
+      }
+      this.$lightbox.prop("hidden", true);
+      this.$lightbox.find(".twitter-importer-lightbox-media").empty();
+      $("body").removeClass("twitter-importer-lightbox-open");
+      this.$lightboxItem.trigger("focus");
+    },
+
+    /**
+     * Mirrors the shown tile's position, selection and import state in the
+     * lightbox's controls.
+     */
+    updateLightbox: function () {
+      if (!this.$lightbox || !this.$lightboxItem.length) {
+        return;
+      }
+
+      const $item = this.$lightboxItem;
+      const $items = this.getItems(true);
+      const index = $items.index($item);
+      const labels = {
+        queued: "Queued",
+        importing: "Importing...",
+        imported: "Imported",
+        "import-error": "Failed",
+      };
+      const state = Object.keys(labels).find((name) => $item.hasClass(name));
+      const $importButton = $item.find(".import-btn");
+      const canImport =
+        $importButton.length > 0 && !$item.is(".queued, .importing");
+
+      this.$lightbox
+        .find(".twitter-importer-lightbox-position")
+        .text(index >= 0 ? `${index + 1} / ${$items.length}` : "");
+      this.$lightbox
+        .find(".twitter-importer-lightbox-prev")
+        .prop("disabled", index <= 0);
+      this.$lightbox
+        .find(".twitter-importer-lightbox-next")
+        .prop("disabled", index < 0 || index >= $items.length - 1);
+      this.$lightbox
+        .find(".twitter-importer-lightbox-select input")
+        .prop({
+          checked: $item.hasClass("selected"),
+          disabled: !$item.is(this.getSelectableItems()),
+        });
+      this.$lightbox
+        .find(".twitter-importer-lightbox-import")
+        .prop("disabled", !canImport)
+        .text(canImport ? $importButton.text() : labels[state] || "Import");
+      this.$lightbox
+        .find(".twitter-importer-lightbox-post")
+        .attr("href", $item.attr("data-post-url") || "#")
+        .toggle(!!$item.attr("data-post-url"));
+    },
+
     /**
      * Handles the import of a single video.
      */
@@ -229,12 +1055,11 @@
      */
     handleBulkImport: function () {
       const videosToImport = [];
-      this.selectedVideos.forEach((videoId) => {
-        const $item = this.$resultsContent.find(
-          `.twitter-importer-video-item[data-video-id="${videoId}"]`
-        );
-        videosToImport.push($item.data("videoData"));
-      });
+      this.getSelectableItems()
+        .filter(".selected")
+        .each((_, el) => {
+          videosToImport.push($(el).data("videoData"));
+        });
 
       if (videosToImport.length > 0) {
         this.importVideos(videosToImport);
@@ -242,65 +1067,167 @@
     },
 
     /**
-     * Performs the AJAX request to import one or more videos.
+     * Collects the post options chosen in the "Import Options" panel.
+     */
+    getImportOptions: function () {
+      return {
+        post_status: this.$importStatus.val(),
+        post_date: this.$importDate.val(),
+        post_type: this.$importType.val(),
+        post_author: this.$importAuthor.val(),
+        categories: this.$importCategories.val() || [],
+        tags: this.$importTags.val(),
+        title_template: this.$importTitleTemplate.val(),
+        text_as: this.$importTextAs.val(),
+        use_tweet_date: this.$importUseTweetDate.is(":checked") ? 1 : 0,
+        duplicates: this.getDuplicatePolicy(),
+      };
+    },
+
+    /**
+     * Imports a single video right away, or queues several as background jobs.
      */
     importVideos: function (videos) {
-      const isBulk = videos.length > 1;
-      const action = isBulk ? "twitter_import_multiple" : "twitter_import";
-      const dataKey = isBulk ? "videos_data" : "video_data";
-      const data = isBulk ? videos : videos[0];
+      if (videos.length > 1) {
+        this.queueVideos(videos);
+        return;
+      }
+
+      const video = videos[0];
+      this.setItemState(video.id, "importing");
+      this.speak(
+        video.userName
+          ? `Importing the video by @${video.userName}...`
+          : "Importing the video..."
+      );
 
+      wp.apiFetch({
+        path: "/twitter-importer/v1/import",
+        method: "POST",
+        data: {
+          video: video,
+          options: this.getImportOptions(),
+          remember: true,
+        },
+      })
+        .then((response) => {
+          this.setItemState(video.id, "imported", response.post_url);
+          this.showNotification("success", "Video imported successfully.");
+        })
+        .catch((error) => {
+          if (error.code === "duplicate" && error.data && error.data.post_url) {
+            this.setItemState(video.id, "imported", error.data.post_url);
+            this.showNotification("warning", this.escapeHTML(error.message));
+            return;
+          }
+          const errorMsg =
+            error.message || "An unknown error occurred during import.";
+          this.showNotification("error", this.getErrorMessage(error));
+          this.setItemState(video.id, "error", errorMsg);
+        })
+        .finally(() => {
+          this.selectedVideos.delete(video.id);
+          this.updateSelectionUI();
+        });
+    },
+
+    /**
+     * Queues several videos as background import jobs and starts polling
+     * for their progress.
+     */
+    queueVideos: function (videos) {
       videos.forEach((video) => {
-        this.setItemState(video.id, "importing");
+        this.setItemState(video.id, "queued");
       });
+      this.speak(`Queuing ${videos.length} videos for import...`);
 
-      $.post(twitterImporter.ajaxUrl, {
-        action: action,
-        nonce: twitterImporter.nonce,
-        [dataKey]: JSON.stringify(data),
+      wp.apiFetch({
+        path: "/twitter-importer/v1/jobs",
+        method: "POST",
+        data: {
+          videos: videos,
+          options: this.getImportOptions(),
+          remember: true,
+        },
       })
-        .done((response) => {
-          if (response.success) {
-            if (isBulk) {
-              this.handleBulkImportResponse(response.data.results);
-            } else {
-              this.setItemState(data.id, "imported", response.data.post_url);
-              this.showNotification(
-                "success",
-                "Video imported successfully."
-              );
-            }
-          } else {
-            this.showNotification("error", response.data.message);
-            videos.forEach((video) =>
-              this.setItemState(video.id, "error", response.data.message)
-            );
-          }
+        .then((response) => {
+          this.updateJobs(this.mergeJobs(response.jobs));
+          this.showNotification(
+            "success",
+            `${videos.length} videos queued for import.`
+          );
+          this.pollJobs();
         })
-        .fail(() => {
-          const errorMsg = "An unknown error occurred during import.";
-          this.showNotification("error", errorMsg);
+        .catch((error) => {
+          const errorMsg =
+            error.message || "An unknown error occurred during import.";
+          this.showNotification("error", this.getErrorMessage(error));
           videos.forEach((video) => this.setItemState(video.id, "error", errorMsg));
         })
-        .always(() => {
-          this.selectedVideos.clear();
+        .finally(() => {
+          videos.forEach((video) => this.selectedVideos.delete(video.id));
           this.updateSelectionUI();
         });
     },
 
     /**
-     * Processes the response from a bulk import AJAX call.
+     * Adds newly queued jobs to the jobs already known to the page.
+     */
+    mergeJobs: function (jobs) {
+      const merged = new Map();
+      this.jobs.forEach((job) => merged.set(job.job_id || job.id, job));
+      jobs.forEach((job) => merged.set(job.job_id || job.id, job));
+      return Array.from(merged.values());
+    },
+
+    /**
+     * Fetches the current user's import jobs, and keeps polling while any
+     * are still queued or downloading.
+     */
+    pollJobs: function () {
+      clearTimeout(this.pollTimer);
+
+      wp.apiFetch({ path: "/twitter-importer/v1/jobs" })
+        .then((response) => {
+          this.updateJobs(response.jobs);
+          if (this.hasActiveJobs()) {
+            this.pollTimer = setTimeout(() => this.pollJobs(), 3000);
+          }
+        })
+        .catch(() => {});
+    },
+
+    /**
+     * Whether any known job is still waiting or running.
+     */
+    hasActiveJobs: function () {
+      return Array.from(this.jobs.values()).some(
+        (job) => job.status === "queued" || job.status === "downloading"
+      );
+    },
+
+    /**
+     * Applies a fresh list of jobs to the tiles and the queue panel, and
+     * reports jobs that have finished since the last update.
      */
-    handleBulkImportResponse: function (results) {
+    updateJobs: function (jobs) {
       let successCount = 0;
       let errorCount = 0;
+      const previous = this.jobs;
+      this.jobs = new Map();
 
-      results.forEach((result) => {
-        if (result.success) {
-          this.setItemState(result.id, "imported", result.post_url);
+      jobs.forEach((job) => {
+        const key = job.job_id || job.id;
+        const before = previous.get(key);
+        this.jobs.set(key, job);
+
+        if (before && before.status === job.status) {
+          return;
+        }
+        this.applyJobState(job);
+        if (before && job.status === "imported") {
           successCount++;
-        } else {
-          this.setItemState(result.id, "error", result.message);
+        } else if (before && job.status === "failed") {
           errorCount++;
         }
       });
@@ -317,6 +1244,125 @@
           `${errorCount} videos failed to import.`
         );
       }
+
+      this.renderQueue();
+      this.updateSelectionUI();
+    },
+
+    /**
+     * Reflects a job's status on its tile, if the tile is in the grid.
+     */
+    applyJobState: function (job) {
+      switch (job.status) {
+        case "queued":
+          this.setItemState(job.id, "queued");
+          break;
+        case "downloading":
+          this.setItemState(job.id, "downloading");
+          break;
+        case "imported":
+          this.setItemState(job.id, "imported", job.post_url);
+          break;
+        case "failed":
+          this.setItemState(job.id, "error", job.message);
+          break;
+      }
+    },
+
+    /**
+     * Re-applies known job states to tiles after results are (re)rendered.
+     */
+    applyJobStates: function () {
+      this.jobs.forEach((job) => this.applyJobState(job));
+    },
+
+    /**
+     * Renders the "Import Queue" panel listing the user's jobs.
+     */
+    renderQueue: function () {
+      const jobs = Array.from(this.jobs.values()).filter((job) => job.job_id);
+      this.$queue.toggle(jobs.length > 0);
+      if (jobs.length === 0) {
+        return;
+      }
+
+      const counts = { queued: 0, downloading: 0, imported: 0, failed: 0 };
+      jobs.forEach((job) => {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      });
+      const summary = `${counts.queued} queued, ${counts.downloading} downloading, ${counts.imported} imported, ${counts.failed} failed.`;
+      // Announce the queue's progress whenever a job moves on.
+      if (summary !== this.$queueSummary.text()) {
+        this.$queueSummary.text(summary);
+        this.speak(`Import queue: ${summary}`);
+      }
+
+      const labels = {
+        queued: "Queued",
+        downloading: "Downloading...",
+        imported: "Imported",
+        failed: "Failed",
+      };
+      const rows = jobs.map((job) => {
+        let details = this.escapeHTML(job.message || "");
+        if (job.status === "imported" && job.post_url) {
+          details = `<a href="${this.escapeHTML(job.post_url)}" target="_blank">View Post</a>`;
+        }
+
+        const actions = [];
+        if (job.status === "failed") {
+          actions.push(
+            `<button type="button" class="button button-small queue-retry" data-job-id="${this.escapeHTML(job.job_id)}">Retry</button>`
+          );
+        }
+        if (job.status === "queued" || job.status === "failed") {
+          actions.push(
+            `<button type="button" class="button button-small queue-cancel" data-job-id="${this.escapeHTML(job.job_id)}">Cancel</button>`
+          );
+        }
+
+        return `
+          <tr class="twitter-importer-job-${this.escapeHTML(job.status)}">
+            <td>${job.userName ? "@" + this.escapeHTML(job.userName) : ""}</td>
+            <td>${this.escapeHTML(job.id)}</td>
+            <td class="twitter-importer-job-status">${labels[job.status] || this.escapeHTML(job.status)}</td>
+            <td>${details}</td>
+            <td>${actions.join(" ")}</td>
+          </tr>`;
+      });
+      this.$queueRows.html(rows.join(""));
+      this.$queueClear.prop(
+        "disabled",
+        counts.imported === 0 && counts.failed === 0
+      );
+    },
+
+    /**
+     * Handles the retry, cancel and clear controls in the queue panel.
+     */
+    handleJobAction: function (jobAction, jobId) {
+      const requests = {
+        clear: { path: "/twitter-importer/v1/jobs", method: "DELETE" },
+        cancel: { path: `/twitter-importer/v1/jobs/${jobId}`, method: "DELETE" },
+        retry: { path: `/twitter-importer/v1/jobs/${jobId}/retry`, method: "POST" },
+      };
+
+      wp.apiFetch(requests[jobAction])
+        .then((response) => {
+          if (jobAction === "cancel") {
+            const job = this.jobs.get(jobId);
+            if (job) {
+              this.setItemState(job.id, "cancelled");
+            }
+          }
+          this.updateJobs(response.jobs);
+          if (this.hasActiveJobs()) {
+            this.pollJobs();
+          }
+        })
+        .catch((error) => {
+          this.showNotification("error", this.getErrorMessage(error));
+        });
     },
 
     /**
@@ -326,31 +1372,74 @@
       const $item = this.$resultsContent.find(
         `.twitter-importer-video-item[data-video-id="${videoId}"]`
       );
-      $item.removeClass("importing imported import-error selected");
+      $item
+        .removeClass("queued importing imported import-error selected")
+        .attr("aria-selected", "false")
+        .find(".twitter-importer-select input")
+        .prop("checked", false);
 
       switch (state) {
+        case "queued":
+          $item.addClass("queued");
+          $item
+            .find(".twitter-importer-video-actions")
+            .html('<span class="twitter-importer-item-status">Queued</span>');
+          break;
+        case "downloading":
+          $item.addClass("importing");
+          $item
+            .find(".twitter-importer-video-actions")
+            .html(
+              '<span class="twitter-importer-item-status">Downloading...</span>'
+            );
+          break;
         case "importing":
           $item.addClass("importing");
           break;
-        case "imported":
-          $item.addClass("imported");
+        case "cancelled":
           $item
             .find(".twitter-importer-video-actions")
             .html(
-              `<a href="${data}" target="_blank" class="button imported-btn">View Post</a>`
+              `<button class="button button-primary import-btn" data-video-id="${videoId}">Import</button>`
             );
           break;
+        case "imported":
+          $item.addClass("imported").attr("data-post-url", data);
+          $item
+            .find(".twitter-importer-video-actions")
+            .html(this.getImportedActionsHTML(videoId, data));
+          break;
         case "error":
           $item.addClass("import-error");
           $item
             .find(".twitter-importer-video-actions")
             .html(
-              `<p class="error-message" style="color: #d63638; font-size: 12px;">Error: ${data}</p>`
+              `<p class="error-message" style="color: #d63638; font-size: 12px;">Error: ${this.escapeHTML(data)}</p>`
             );
           break;
       }
     },
 
+    /**
+     * Builds the message of an AJAX error, naming the kind of API failure
+     * for the error codes the media sources return.
+     */
+    getErrorMessage: function (data) {
+      const labels = {
+        rate_limited: "Rate limited",
+        not_found: "Not found",
+        protected_account: "Protected account",
+        upstream_down: "API unavailable",
+        upstream_error: "API error",
+      };
+      const message = this.escapeHTML(
+        data?.message || "An unknown error occurred."
+      );
+      return labels[data?.code]
+        ? `<strong>${labels[data.code]}:</strong> ${message}`
+        : message;
+    },
+
     /**
      * Displays a notification message to the user.
      */
@@ -363,6 +1452,10 @@
       const $notice = $(notice).hide();
       this.$notifications.append($notice);
       $notice.fadeIn();
+      this.speak(
+        $notice.find("p").text(),
+        type === "error" ? "assertive" : "polite"
+      );
 
       $notice.find(".twitter-importer-notice-dismiss").on("click", function () {
         $(this).closest(".twitter-importer-notice").fadeOut(300, function () {
@@ -374,6 +1467,19 @@
         $notice.fadeOut(300, () => $notice.remove());
       }, 5000);
     },
+
+    /**
+     * Reads a message out to screen reader users, since the notifications
+     * fade away and the tiles change state silently.
+     */
+    speak: function (message, politeness) {
+      wp.a11y.speak(message, politeness || "polite");
+    },
+
+    /**
+     * Escapes a value for safe insertion into HTML (see admin-utils.js).
+     */
+    escapeHTML: tiUtils.escapeHTML,
   };
 
   $(document).ready(() => MainImporter.init());
@@ -0,0 +1,286 @@
+/**
+ * Adds a "From Twitter/X" tab to the media modal, next to "Upload files"
+ * and "Media Library", to search for tweets and import their media into
+ * the library without leaving the modal.
+ */
+
+(function (wp) {
+  "use strict";
+
+  if (!wp || !wp.media || !wp.media.view.MediaFrame) {
+    return;
+  }
+
+  const Select = wp.media.view.MediaFrame.Select;
+
+  /**
+   * The content of the tab: a search form, the results, and an import
+   * button that selects the new attachments in the modal.
+   */
+  const TwitterContent = wp.media.View.extend({
+    className: "ti-media-frame",
+
+    events: {
+      "submit .ti-media-frame-search": "handleSearch",
+      "click .ti-media-frame-more": "handleLoadMore",
+      "change .ti-media-picker-thumb input": "updateImportButton",
+      "click .ti-media-frame-import": "handleImport",
+    },
+
+    initialize: function () {
+      this.results = [];
+      this.cursor = null;
+      this.search = null;
+    },
+
+    render: function () {
+      this.$el.html(`
+        <form class="ti-media-frame-search">
+          <select class="ti-media-frame-type">
+            <option value="username">Username</option>
+            <option value="keywords">Keywords</option>
+            <option value="tweet">Tweet URL</option>
+          </select>
+          <input type="search" class="ti-media-frame-query" placeholder="Search Twitter/X..." />
+          <button type="submit" class="button">Search</button>
+          <span class="spinner"></span>
+        </form>
+        <div class="ti-media-frame-notice"></div>
+        <div class="ti-media-frame-results ti-media-picker-grid"></div>
+        <p class="ti-media-frame-footer">
+          <button type="button" class="button ti-media-frame-more" hidden>Load More</button>
+          <button type="button" class="button button-primary ti-media-frame-import" disabled>Import Selected</button>
+        </p>`);
+      return this;
+    },
+
+    /**
+     * Starts a new search with the form's type and query.
+     */
+    handleSearch: function (e) {
+      e.preventDefault();
+      const query = this.$(".ti-media-frame-query").val().trim();
+      if (!query) {
+        this.showNotice("error", "Please enter a search query.");
+        return;
+      }
+
+      this.search = { query: query, type: this.$(".ti-media-frame-type").val() };
+      this.results = [];
+      this.$(".ti-media-frame-results").empty();
+      this.fetchResults();
+    },
+
+    /**
+     * Appends the next page of the current search.
+     */
+    handleLoadMore: function () {
+      if (this.search && this.cursor) {
+        this.fetchResults(this.cursor);
+      }
+    },
+
+    /**
+     * Requests a page of results from the search page's REST route.
+     */
+    fetchResults: function (cursor) {
+      const search = this.search;
+      const args = { query: search.query, type: search.type };
+      if (cursor) {
+        args.cursor = cursor;
+      }
+
+      this.setLoading(true);
+      this.showNotice();
+      wp.apiFetch({
+        path: wp.url.addQueryArgs("/twitter-importer/v1/search", args),
+      })
+        .then((response) => {
+          // Ignore pages that belong to a search the user has since replaced.
+          if (search !== this.search) {
+            return;
+          }
+          this.appendResults(response.videos);
+          this.cursor = response.cursor;
+          if (this.results.length === 0) {
+            this.showNotice("info", "No media found.");
+          }
+        })
+        .catch((error) => {
+          this.showNotice(
+            "error",
+            error.message || "An unknown error occurred."
+          );
+        })
+        .finally(() => {
+          this.setLoading(false);
+          this.$(".ti-media-frame-more").prop("hidden", !this.cursor);
+        });
+    },
+
+    /**
+     * Adds result tiles with a checkbox each to the grid.
+     */
+    appendResults: function (videos) {
+      const start = this.results.length;
+      this.results.push(...videos);
+
+      const tiles = videos.map((video, i) => {
+        const views = Number(video.views || 0).toLocaleString();
+        return `
+          <div class="ti-media-picker-item">
+            <label class="ti-media-picker-thumb">
+              <input type="checkbox" value="${start + i}" />
+              <img src="${this.escapeHTML(video.thumbnail)}" alt="" />
+            </label>
+            <div class="ti-media-picker-meta">
+              <span class="ti-media-picker-type">${video.userName ? "@" + this.escapeHTML(video.userName) : ""}</span>
+              <span>${views} views</span>
+            </div>
+            ${video.text ? `<p class="ti-media-picker-text">${this.escapeHTML(video.text)}</p>` : ""}
+          </div>`;
+      });
+      this.$(".ti-media-frame-results").append(tiles.join(""));
+      this.updateImportButton();
+    },
+
+    /**
+     * Imports the video of each chosen tile, one at a time, and selects
+     * the attachments in the modal. Videos that are already in the
+     * library select their existing attachments instead.
+     */
+    handleImport: function () {
+      const videos = this.$(".ti-media-picker-thumb input:checked")
+        .map((i, input) => this.results[parseInt(input.value, 10)])
+        .get();
+      if (videos.length === 0) {
+        return;
+      }
+
+      const ids = [];
+      const errors = [];
+      this.setLoading(true);
+      this.$(".ti-media-frame-import").prop("disabled", true);
+      this.showNotice();
+
+      videos
+        .reduce(
+          (previous, video) =>
+            previous.then(() =>
+              wp
+                .apiFetch({
+                  path: "/twitter-importer/v1/media-library",
+                  method: "POST",
+                  // A tile is one video: import that item, not the
+                  // tweet's other photos and videos.
+                  data: {
+                    url: video.url || video.id,
+                    srcs: video.download_url ? [video.download_url] : undefined,
+                  },
+                })
+                .then((response) =>
+                  ids.push(...response.attachment_ids, ...response.existing_ids)
+                )
+                .catch((error) => {
+                  if (error.code === "duplicate" && error.data) {
+                    ids.push(...error.data.attachment_ids);
+                  } else {
+                    errors.push(error.message || "An unknown error occurred.");
+                  }
+                })
+            ),
+          Promise.resolve()
+        )
+        .then(() => {
+          this.setLoading(false);
+          this.updateImportButton();
+          if (errors.length > 0) {
+            this.showNotice("error", errors.join(" "));
+          }
+          if (ids.length > 0) {
+            this.selectAttachments(Array.from(new Set(ids)));
+          }
+        });
+    },
+
+    /**
+     * Selects attachments in the modal's current state and switches to the
+     * library, ready for insertion or to be set as the featured image.
+     */
+    selectAttachments: function (ids) {
+      const state = this.controller.state();
+      const selection = state.get("selection");
+      const library = state.get("library");
+
+      Promise.all(
+        ids.map((id) => {
+          const attachment = wp.media.attachment(id);
+          return attachment.fetch().then(() => attachment);
+        })
+      ).then((attachments) => {
+        if (library) {
+          library.add(attachments, { at: 0 });
+        }
+        if (selection) {
+          selection.reset(
+            selection.multiple ? attachments : attachments.slice(0, 1)
+          );
+        }
+        this.controller.content.mode("browse");
+      });
+    },
+
+    /**
+     * Enables the import button while any result is checked.
+     */
+    updateImportButton: function () {
+      this.$(".ti-media-frame-import").prop(
+        "disabled",
+        this.$(".ti-media-picker-thumb input:checked").length === 0
+      );
+    },
+
+    /**
+     * Shows the spinner and disables the search while a request runs.
+     */
+    setLoading: function (isLoading) {
+      this.$(".ti-media-frame-search .spinner").toggleClass("is-active", isLoading);
+      this.$(".ti-media-frame-search button").prop("disabled", isLoading);
+    },
+
+    /**
+     * Shows a notice above the results, or clears it when called without
+     * arguments.
+     */
+    showNotice: function (type, message) {
+      this.$(".ti-media-frame-notice").html(
+        type
+          ? `<div class="notice notice-${type} inline"><p>${this.escapeHTML(message)}</p></div>`
+          : ""
+      );
+    },
+
+    /**
+     * Escapes a value for safe insertion into HTML (see admin-utils.js).
+     */
+    escapeHTML: tiUtils.escapeHTML,
+  });
+
+  // Add the tab to the router of every frame based on the Select frame,
+  // which covers the Post frame, featured images and block editor modals.
+  const browseRouter = Select.prototype.browseRouter;
+  Select.prototype.browseRouter = function (routerView) {
+    browseRouter.apply(this, arguments);
+    routerView.set({
+      twitter: { text: tiMediaFrame.tabTitle, priority: 60 },
+    });
+  };
+
+  const bindHandlers = Select.prototype.bindHandlers;
+  Select.prototype.bindHandlers = function () {
+    bindHandlers.apply(this, arguments);
+    this.on("content:render:twitter", function () {
+      this.content.set(new TwitterContent({ controller: this }).render());
+    }, this);
+  };
+})(window.wp);
@@ -6,6 +6,8 @@
   "use strict";
 
   const MediaImporter = {
+    tweets: [],
+
     init: function () {
       this.cacheDOMElements();
       // Abort if the required elements are not on the page.
@@ -20,59 +22,251 @@
       this.$urlInput = this.$wrapper.find(".ti-media-url");
       this.$submitBtn = this.$wrapper.find(".ti-media-submit-btn");
       this.$messageDiv = this.$wrapper.find(".ti-media-message");
+      this.$preview = this.$wrapper.find(".ti-media-preview");
+      this.$previewTweets = this.$wrapper.find(".ti-media-preview-tweets");
+      this.$importBtn = this.$wrapper.find(".ti-media-import-btn");
+      this.$cancelBtn = this.$wrapper.find(".ti-media-cancel-btn");
     },
 
     bindEvents: function () {
-      this.$submitBtn.on("click", this.handleImport.bind(this));
-      this.$urlInput.on("keypress", (e) => {
-        if (e.which === 13) {
+      this.$submitBtn.on("click", this.handlePreview.bind(this));
+      this.$urlInput.on("keydown", (e) => {
+        // Enter adds a line; Ctrl/Cmd+Enter previews.
+        if (e.which === 13 && (e.ctrlKey || e.metaKey)) {
           e.preventDefault();
-          this.handleImport();
+          this.handlePreview();
         }
       });
+      this.$importBtn.on("click", this.handleImport.bind(this));
+      this.$cancelBtn.on("click", this.hidePreview.bind(this));
     },
 
     /**
-     * Handles the import button click and initiates the AJAX request.
+     * Reads the URLs, one per line, without blanks or repeats.
      */
-    handleImport: function () {
-      const url = this.$urlInput.val().trim();
+    getURLs: function () {
+      const urls = this.$urlInput
+        .val()
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== "");
+      return Array.from(new Set(urls));
+    },
+
+    /**
+     * Looks up the media of every tweet, one at a time, and shows them for
+     * the user to choose from before anything is downloaded.
+     */
+    handlePreview: function () {
+      const urls = this.getURLs();
 
-      if (!url) {
+      if (urls.length === 0) {
         this.showMessage("error", tiMediaLibrary.empty_url_message);
         return;
       }
 
       this.setLoading(true);
+      this.hidePreview();
+
+      this.tweets = [];
+      this.runSequentially(urls, (url) =>
+        wp
+          .apiFetch({
+            path: wp.url.addQueryArgs("/twitter-importer/v1/media-library", {
+              url: url,
+            }),
+          })
+          .then((tweet) => this.tweets.push({ url: url, ...tweet }))
+          .catch((error) =>
+            this.tweets.push({
+              url: url,
+              items: [],
+              error: error.message || tiMediaLibrary.error_message,
+            })
+          )
+      ).then(() => {
+        this.setLoading(false);
+        this.$messageDiv.empty().removeClass().addClass("ti-media-message");
+        this.renderPreview();
+      });
+    },
+
+    /**
+     * Calls the callback for each value in turn, waiting for the promise
+     * it returns before moving on to the next one.
+     */
+    runSequentially: function (values, callback) {
+      return values.reduce(
+        (previous, value) => previous.then(() => callback(value)),
+        Promise.resolve()
+      );
+    },
+
+    /**
+     * Renders each tweet's media with a checkbox. Items that are already
+     * in the library can't be chosen again.
+     */
+    renderPreview: function () {
+      const html = this.tweets.map((tweet, tweetIndex) => {
+        const heading = tweet.username
+          ? `@${this.escapeHTML(tweet.username)} · ${this.escapeHTML(tweet.tweet_id)}`
+          : this.escapeHTML(tweet.tweet_id || tweet.url);
+
+        if (tweet.error) {
+          return `
+            <div class="ti-media-preview-tweet">
+              <h4>${this.escapeHTML(tweet.url)}</h4>
+              <div class="notice notice-error inline"><p>${this.escapeHTML(tweet.error)}</p></div>
+            </div>`;
+        }
+
+        const tiles = tweet.items
+          .map((item) => {
+            const thumb = item.type === "video" ? item.poster : item.src;
+            const imported = item.attachment_id > 0;
+            const status = imported
+              ? `<a href="${this.escapeHTML(item.edit_url)}" target="_blank">Already in library</a>`
+              : `${Number(item.views || 0).toLocaleString()} views`;
+            return `
+              <div class="ti-media-picker-item${imported ? " ti-media-imported" : ""}">
+                <label class="ti-media-picker-thumb">
+                  <input type="checkbox" data-tweet="${tweetIndex}" value="${item.index}" ${imported ? "disabled" : "checked"} />
+                  <img src="${this.escapeHTML(thumb || "")}" alt="" />
+                </label>
+                <div class="ti-media-picker-meta">
+                  <span class="ti-media-picker-type">${item.type === "video" ? "Video" : "Image"}</span>
+                  <span>${status}</span>
+                </div>
+              </div>`;
+          })
+          .join("");
+        const text = tweet.items.find((item) => item.text)?.text || "";
+
+        return `
+          <div class="ti-media-preview-tweet">
+            <h4><a href="${this.escapeHTML(tweet.url)}" target="_blank" rel="noopener">${heading}</a></h4>
+            ${text ? `<p class="ti-media-picker-text">${this.escapeHTML(text)}</p>` : ""}
+            <div class="ti-media-picker-grid">${tiles}</div>
+          </div>`;
+      });
+
+      this.$previewTweets.html(html.join(""));
+      this.$preview.show();
+    },
+
+    /**
+     * Empties and hides the preview.
+     */
+    hidePreview: function () {
+      this.$previewTweets.empty();
+      this.$preview.hide();
+    },
+
+    /**
+     * Imports the chosen items of each previewed tweet, one tweet at a
+     * time, then reports and highlights the new attachments.
+     */
+    handleImport: function () {
+      const requests = this.tweets
+        .map((tweet, tweetIndex) => ({
+          url: tweet.url,
+          indexes: this.$previewTweets
+            .find(`input[data-tweet="${tweetIndex}"]:checked`)
+            .map((i, input) => parseInt(input.value, 10))
+            .get(),
+        }))
+        .filter((request) => request.indexes.length > 0);
+
+      if (requests.length === 0) {
+        this.showMessage("warning", tiMediaLibrary.empty_selection_message);
+        return;
+      }
+
+      this.setLoading(true);
+      this.$importBtn.prop("disabled", true);
 
-      const ajaxData = {
-        action: "ti_media_library_import",
-        url: url,
-        _ajax_nonce: tiMediaLibrary.nonce,
-      };
-
-      $.post(tiMediaLibrary.ajaxUrl, ajaxData)
-        .done((response) => {
-          if (response.success) {
-            this.showMessage("success", response.data.message);
-            this.$urlInput.val("");
-            // Refresh the media library view if it's open.
-            if (wp && wp.media && wp.media.frame) {
-              wp.media.frame.content
-                .mode("browse")
-                .get()
-                .collection.props.set({ ignore: +new Date() });
+      const attachments = [];
+      const warnings = [];
+      const errors = [];
+      this.runSequentially(requests, (request) =>
+        wp
+          .apiFetch({
+            path: "/twitter-importer/v1/media-library",
+            method: "POST",
+            data: request,
+          })
+          .then((response) => attachments.push(...response.attachments))
+          .catch((error) => {
+            if (error.code === "duplicate") {
+              warnings.push(`${request.url}: ${error.message}`);
+            } else {
+              errors.push(
+                `${request.url}: ${error.message || tiMediaLibrary.error_message}`
+              );
             }
-          } else {
-            this.showMessage("error", response.data.message);
-          }
-        })
-        .fail(() => {
-          this.showMessage("error", tiMediaLibrary.error_message);
-        })
-        .always(() => {
-          this.setLoading(false);
+          })
+      ).then(() => {
+        this.setLoading(false);
+        this.$importBtn.prop("disabled", false);
+        this.hidePreview();
+        this.showResults(attachments, warnings, errors);
+        if (attachments.length > 0) {
+          this.$urlInput.val("");
+          this.highlightAttachments(attachments.map((item) => item.id));
+        }
+      });
+    },
+
+    /**
+     * Lists the new attachments, and any tweets that were refused or failed.
+     */
+    showResults: function (attachments, warnings, errors) {
+      const lines = [];
+      if (attachments.length > 0) {
+        const links = attachments
+          .map(
+            (item) =>
+              `<a href="${this.escapeHTML(item.edit_url)}" target="_blank">${this.escapeHTML(item.title || `#${item.id}`)}</a>`
+          )
+          .join(", ");
+        lines.push(
+          `Import successful! ${attachments.length} media item${attachments.length === 1 ? "" : "s"} added: ${links}`
+        );
+      }
+      warnings.concat(errors).forEach((line) => lines.push(this.escapeHTML(line)));
+
+      let type = "success";
+      if (errors.length > 0) {
+        type = attachments.length > 0 ? "warning" : "error";
+      } else if (warnings.length > 0 && attachments.length === 0) {
+        type = "warning";
+      }
+      this.showMessage(type, lines.join("<br>"));
+    },
+
+    /**
+     * Adds the new attachments to the open Media Library grid and marks
+     * them, so they stand out from what was already there.
+     */
+    highlightAttachments: function (ids) {
+      const frame = wp.media && wp.media.frame;
+      const library = frame && frame.state && frame.state().get("library");
+      if (!library) {
+        return;
+      }
+
+      ids.forEach((id) => {
+        const attachment = wp.media.attachment(id);
+        attachment.fetch().then(() => {
+          library.add(attachment, { at: 0 });
+          // The attachment's view is rendered once the collection updates.
+          setTimeout(() => {
+            $(`.attachments .attachment[data-id="${id}"]`).addClass(
+              "ti-media-new"
+            );
+          }, 0);
         });
+      });
     },
 
     /**
@@ -85,7 +279,7 @@
           .html(
             '<span class="spinner is-active" style="float:none; vertical-align: middle;"></span>'
           )
-          .removeClass("notice-error notice-success")
+          .removeClass("notice-error notice-success notice-warning")
           .addClass("notice-info");
       }
     },
@@ -96,9 +290,14 @@
     showMessage: function (type, text) {
       this.$messageDiv
         .html(`<p>${text}</p>`)
-        .removeClass("notice-info notice-error notice-success")
+        .removeClass("notice-info notice-error notice-success notice-warning")
         .addClass(`notice notice-${type}`);
     },
+
+    /**
+     * Escapes a value for safe insertion into HTML (see admin-utils.js).
+     */
+    escapeHTML: tiUtils.escapeHTML,
   };
 
   $(document).ready(() => MediaImporter.init());
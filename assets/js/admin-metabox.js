@@ -18,6 +18,7 @@ class TI_Metabox_Handler {
     this.descriptionP = this.container.querySelector("#ti-fetch-description");
     this.btnStatus = this.container.querySelector('button[data-type="status"]');
     this.btnUser = this.container.querySelector('button[data-type="user"]');
+    this.pickerDiv = this.container.querySelector("#ti-media-picker");
 
     // Abort if any element is missing
     if (
@@ -33,10 +34,12 @@ class TI_Metabox_Handler {
     }
 
     this.currentFetchType = "status"; // Default fetch type
+    this.fetched = null; // The last fetch: { type, value, items }
 
     this.handleFetch = this.handleFetch.bind(this);
     this.handleTypeSwitch = this.handleTypeSwitch.bind(this);
     this.handleDismiss = this.handleDismiss.bind(this);
+    this.handlePickerClick = this.handlePickerClick.bind(this);
 
     this.bindEvents();
   }
@@ -55,6 +58,9 @@ class TI_Metabox_Handler {
     this.btnStatus.addEventListener("click", this.handleTypeSwitch);
     this.btnUser.addEventListener("click", this.handleTypeSwitch);
     this.noticeDiv.addEventListener("click", this.handleDismiss);
+    if (this.pickerDiv) {
+      this.pickerDiv.addEventListener("click", this.handlePickerClick);
+    }
   }
 
   /**
@@ -111,38 +117,225 @@ class TI_Metabox_Handler {
 
     this.setLoadingState(true);
 
-    // Use jQuery only for the AJAX call for WordPress compatibility
-    jQuery
-      .ajax({
-        url: tiMetabox.ajaxUrl,
-        type: "POST",
-        data: {
-          action: "ti_fetch_media",
-          nonce: tiMetabox.nonce,
+    wp.apiFetch({
+      path: wp.url.addQueryArgs("/twitter-importer/v1/media", {
+        type: this.currentFetchType,
+        value: value,
+      }),
+    })
+      .then((items) => {
+        this.fetched = {
           type: this.currentFetchType,
           value: value,
-        },
-      })
-      .done((res) => {
-        if (!res.success) {
-          this.showNotice("error", res.data.message);
+          items: items.map((item, index) => ({ ...item, index })),
+        };
+
+        // Nothing is inserted until the editor picks it in the preview.
+        if (this.pickerDiv) {
+          this.renderPicker(this.fetched);
           return;
         }
-        this.showNotice("success", "Media inserted successfully!");
-        this.insertContent(res.data);
+        this.insertItems(this.fetched.items, "remote");
         this.sourceInput.value = ""; // Clear input on success
       })
-      .fail((jqXHR) => {
-        const message =
-          jqXHR.responseJSON?.data?.message ||
-          "An unknown error occurred. Please try again.";
-        this.showNotice("error", message);
+      .catch((error) => {
+        this.showNotice("error", this.getErrorMessage(error));
       })
-      .always(() => {
+      .finally(() => {
         this.setLoadingState(false);
       });
   }
 
+  /**
+   * Shows a preview grid of the fetched media with a checkbox, alt text
+   * and caption for each item, and the choice of where to insert from.
+   */
+  renderPicker(fetched) {
+    const { items } = fetched;
+    const isUser = fetched.type === "user";
+
+    const tiles = items
+      .map((item) => {
+        const thumb = item.type === "video" ? item.poster : item.src;
+        // A user's timeline starts with only the newest item selected.
+        const checked = !isUser || item.index === 0 ? "checked" : "";
+        const views = Number(item.views || 0).toLocaleString();
+        return `
+          <div class="ti-media-picker-item" data-index="${item.index}">
+            <label class="ti-media-picker-thumb">
+              <input type="checkbox" value="${item.index}" ${checked} />
+              <img src="${this.escapeHTML(thumb || "")}" alt="" />
+            </label>
+            <div class="ti-media-picker-meta">
+              <span class="ti-media-picker-type">${item.type === "video" ? "Video" : "Image"}</span>
+              <span>${views} views</span>
+            </div>
+            ${item.text ? `<p class="ti-media-picker-text">${this.escapeHTML(item.text)}</p>` : ""}
+            ${
+              item.type === "image"
+                ? '<input type="text" class="ti-media-picker-alt" placeholder="Alt text" />'
+                : ""
+            }
+            <input type="text" class="ti-media-picker-caption" placeholder="Caption" />
+          </div>`;
+      })
+      .join("");
+
+    const heading = isUser
+      ? `The latest ${items.length} media items of @${this.escapeHTML(fetched.value.replace(/^@/, ""))}. Choose what to insert:`
+      : `This tweet has ${items.length} media item${items.length === 1 ? "" : "s"}. Choose what to insert:`;
+
+    this.pickerDiv.innerHTML = `
+      <p><strong>${heading}</strong></p>
+      <div class="ti-media-picker-grid">${tiles}</div>
+      <fieldset class="ti-media-picker-source">
+        <label><input type="radio" name="ti_media_source" value="remote" checked /> Embed from the remote URL</label>
+        <label><input type="radio" name="ti_media_source" value="library" /> Add to the Media Library first</label>
+      </fieldset>
+      <p>
+        <button type="button" class="button button-primary" data-picker-action="insert">Insert Selected</button>
+        <button type="button" class="button" data-picker-action="cancel">Cancel</button>
+      </p>`;
+    this.pickerDiv.style.display = "";
+  }
+
+  /**
+   * Handles the insert/cancel buttons of the media picker.
+   */
+  handlePickerClick(event) {
+    const action = event.target.dataset.pickerAction;
+    if (!action) {
+      return;
+    }
+
+    if (action === "insert") {
+      const items = Array.from(
+        this.pickerDiv.querySelectorAll(".ti-media-picker-item")
+      )
+        .filter((tile) => tile.querySelector("input[type=checkbox]").checked)
+        .map((tile) => ({
+          ...this.fetched.items[parseInt(tile.dataset.index, 10)],
+          alt: tile.querySelector(".ti-media-picker-alt")?.value.trim() || "",
+          caption:
+            tile.querySelector(".ti-media-picker-caption")?.value.trim() || "",
+        }));
+      if (items.length === 0) {
+        this.showNotice("error", "Select at least one media item.");
+        return;
+      }
+      const source =
+        this.pickerDiv.querySelector("input[name=ti_media_source]:checked")
+          ?.value || "remote";
+      this.insertItems(items, source);
+      this.sourceInput.value = "";
+    }
+
+    this.hidePicker();
+  }
+
+  /**
+   * Empties and hides the media picker.
+   */
+  hidePicker() {
+    if (this.pickerDiv) {
+      this.pickerDiv.innerHTML = "";
+      this.pickerDiv.style.display = "none";
+    }
+  }
+
+  /**
+   * Inserts the chosen items, sideloading them into the library first when
+   * asked to. Several images in the Classic Editor always need library
+   * attachments for a [gallery].
+   */
+  insertItems(items, source) {
+    const images = items.filter((item) => item.type === "image");
+    let sideload = [];
+    if (source === "library") {
+      sideload = items;
+    } else if (!this.isBlockEditor() && images.length > 1) {
+      sideload = images;
+    }
+
+    if (sideload.length === 0) {
+      this.insertContent(items);
+      this.showNotice("success", "Media inserted successfully!");
+      return;
+    }
+
+    this.setLoadingState(true);
+    wp.apiFetch({
+      path: "/twitter-importer/v1/media/sideload",
+      method: "POST",
+      data: {
+        type: this.fetched.type,
+        value: this.fetched.value,
+        // The server matches items by tweet and URL, not position.
+        items: sideload.map((item) => ({
+          tweet_id: item.tweet_id || "",
+          src: item.src,
+          alt: item.alt || "",
+          caption: item.caption || "",
+        })),
+        post_id: tiMetabox.postId,
+      },
+    })
+      .then((localItems) => {
+        // Swap the remote items for their library copies, keeping order.
+        const local = new Map(
+          localItems.map((item) => [sideload[item.index].index, item])
+        );
+        this.insertContent(
+          items.map((item) =>
+            local.has(item.index)
+              ? { ...local.get(item.index), alt: item.alt, caption: item.caption }
+              : item
+          )
+        );
+        this.showNotice("success", "Media inserted successfully!");
+      })
+      .catch((error) => {
+        this.showNotice("error", this.getErrorMessage(error));
+      })
+      .finally(() => {
+        this.setLoadingState(false);
+      });
+  }
+
+  /**
+   * Builds the Classic Editor markup of a single image, wrapped in a
+   * [caption] shortcode when it has a caption.
+   */
+  getImageHTML(image) {
+    const img = `<img src="${this.escapeHTML(image.src)}" alt="${this.escapeHTML(image.alt || "")}"${
+      image.id ? ` class="wp-image-${image.id}"` : ""
+    } />`;
+    if (!image.caption) {
+      return img;
+    }
+    const id = image.id ? ` id="attachment_${image.id}"` : "";
+    return `[caption${id} align="alignnone"]${img} ${this.escapeHTML(image.caption)}[/caption]`;
+  }
+
+  /**
+   * Escapes a value for safe insertion into HTML (see admin-utils.js).
+   */
+  escapeHTML(value) {
+    return tiUtils.escapeHTML(value);
+  }
+
+  /**
+   * Whether the Block Editor is active on this screen.
+   */
+  isBlockEditor() {
+    return !!(
+      window.wp &&
+      window.wp.data &&
+      window.wp.blocks &&
+      window.wp.data.dispatch("core/block-editor")
+    );
+  }
+
   /**
    * Toggles the UI between a loading and idle state.
    */
@@ -153,13 +346,34 @@ class TI_Metabox_Handler {
       this.sourceInput.disabled = true;
       this.noticeDiv.innerHTML = "";
       this.noticeDiv.className = "";
+      this.hidePicker();
     } else {
-      this.fetchButton.textContent = "Fetch & Insert";
+      this.fetchButton.textContent = "Fetch";
       this.fetchButton.disabled = false;
       this.sourceInput.disabled = false;
     }
   }
 
+  /**
+   * Builds the message of an AJAX error, naming the kind of API failure
+   * for the error codes the media sources return.
+   */
+  getErrorMessage(data) {
+    const labels = {
+      rate_limited: "Rate limited",
+      not_found: "Not found",
+      protected_account: "Protected account",
+      upstream_down: "API unavailable",
+      upstream_error: "API error",
+    };
+    const message = this.escapeHTML(
+      data?.message || "An unknown error occurred. Please try again."
+    );
+    return labels[data?.code]
+      ? `<strong>${labels[data.code]}:</strong> ${message}`
+      : message;
+  }
+
   /**
    * Displays a success or error notice to the user within the meta box.
    */
@@ -177,36 +391,80 @@ class TI_Metabox_Handler {
   }
 
   /**
-   * Inserts the fetched media content into the correct editor.
+   * Inserts the fetched media items into the correct editor. Several
+   * images become a gallery: a core/gallery block in the Block Editor, or
+   * a [gallery] shortcode of library attachments in the Classic Editor.
    */
-  insertContent(content) {
-    let insertCode = "";
-    if (content.type === "image") {
-      insertCode = `<img src="${content.src}" alt="" />`;
-    } else {
-      insertCode = `[video src="${content.src}" poster="${content.poster}"]`;
-    }
+  insertContent(items) {
+    const images = items.filter((item) => item.type === "image");
+    const galleryAt = items.findIndex((item) => item.type === "image");
 
     // Block Editor logic
-    if (
-      window.wp &&
-      window.wp.data &&
-      window.wp.data.dispatch("core/block-editor")
-    ) {
-      const block =
-        content.type === "image"
-          ? window.wp.blocks.createBlock("core/image", {
-              url: content.src,
+    if (this.isBlockEditor()) {
+      const blocks = [];
+      items.forEach((item, index) => {
+        if (item.type === "video") {
+          blocks.push(
+            window.wp.blocks.createBlock("core/video", {
+              src: item.src,
+              poster: item.poster,
+              id: item.id,
+              caption: this.escapeHTML(item.caption || ""),
+            })
+          );
+        } else if (index === galleryAt) {
+          const imageBlocks = images.map((image) =>
+            window.wp.blocks.createBlock("core/image", {
+              url: image.src,
+              id: image.id,
+              alt: image.alt || "",
+              caption: this.escapeHTML(image.caption || ""),
               linkDestination: "none",
             })
-          : window.wp.blocks.createBlock("core/video", {
-              src: content.src,
-              poster: content.poster,
-            });
-      window.wp.data.dispatch("core/block-editor").insertBlocks(block);
+          );
+          blocks.push(
+            imageBlocks.length > 1
+              ? window.wp.blocks.createBlock(
+                  "core/gallery",
+                  { linkTo: "none" },
+                  imageBlocks
+                )
+              : imageBlocks[0]
+          );
+        }
+      });
+      // Insert at the cursor as a single undoable step.
+      const { rootClientId, index } = window.wp.data
+        .select("core/block-editor")
+        .getBlockInsertionPoint();
+      window.wp.data
+        .dispatch("core/block-editor")
+        .insertBlocks(blocks, index, rootClientId);
       return;
     }
 
+    const parts = [];
+    items.forEach((item, index) => {
+      if (item.type === "video") {
+        const video = item.poster
+          ? `[video src="${item.src}" poster="${item.poster}"]`
+          : `[video src="${item.src}"]`;
+        parts.push(
+          item.caption
+            ? `<figure>${video}<figcaption>${this.escapeHTML(item.caption)}</figcaption></figure>`
+            : video
+        );
+      } else if (index === galleryAt) {
+        // Gallery captions and alt text come from the attachments.
+        parts.push(
+          images.length > 1
+            ? `[gallery ids="${images.map((image) => image.id).join(",")}"]`
+            : this.getImageHTML(images[0])
+        );
+      }
+    });
+    const insertCode = parts.join("\n\n");
+
     // Classic Editor logic
     if (
       typeof tinyMCE !== "undefined" &&
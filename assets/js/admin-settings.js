@@ -0,0 +1,112 @@
+/**
+ * Handles the "Test connection" box on the settings page.
+ */
+
+(function ($) {
+  "use strict";
+
+  const SourceTester = {
+    init: function () {
+      this.cacheDOMElements();
+      // Abort if the required elements are not on the page.
+      if (!this.$button.length) {
+        return;
+      }
+      this.bindEvents();
+    },
+
+    cacheDOMElements: function () {
+      this.$source = $("#ti_test_source");
+      this.$value = $("#ti_test_value");
+      this.$button = $("#ti_test_button");
+      this.$results = $(".ti-source-test-results");
+    },
+
+    bindEvents: function () {
+      this.$button.on("click", this.handleTest.bind(this));
+      this.$value.on("keypress", (e) => {
+        if (e.which === 13) {
+          e.preventDefault();
+          this.handleTest();
+        }
+      });
+    },
+
+    /**
+     * Asks the selected source(s) for the tweet and lists their answers.
+     */
+    handleTest: function () {
+      const value = this.$value.val().trim();
+      if (!value) {
+        this.showError("Please enter a tweet URL or ID to test with.");
+        return;
+      }
+
+      this.$button.prop("disabled", true).text("Testing...");
+      this.$results.html('<span class="spinner is-active"></span>');
+
+      wp.apiFetch({
+        path: "/twitter-importer/v1/sources/test",
+        method: "POST",
+        data: {
+          source: this.$source.val(),
+          value: value,
+        },
+      })
+        .then((response) => {
+          this.$results.html(
+            response.results.map(this.getResultHTML.bind(this)).join("")
+          );
+        })
+        .catch((error) => {
+          this.showError(
+            error?.message || "An unknown error occurred. Please try again."
+          );
+        })
+        .finally(() => {
+          this.$button.prop("disabled", false).text("Test connection");
+        });
+    },
+
+    /**
+     * Builds the block showing one source's answer.
+     */
+    getResultHTML: function (result) {
+      const status = result.success
+        ? `<span class="ti-source-test-ok">OK</span> ${result.sample.length} media item(s) in ${result.time} ms`
+        : `<span class="ti-source-test-failed">Failed</span> <code>${this.escapeHTML(
+            result.code
+          )}</code> ${this.escapeHTML(result.message)}`;
+
+      return `
+        <div class="ti-source-test-result">
+          <p><strong>${this.escapeHTML(result.label)}</strong> (<code>${this.escapeHTML(
+        result.id
+      )}</code>): ${status}</p>
+          ${
+            result.success
+              ? `<pre>${this.escapeHTML(JSON.stringify(result.sample, null, 2))}</pre>`
+              : ""
+          }
+        </div>`;
+    },
+
+    /**
+     * Shows an error in place of the results.
+     */
+    showError: function (message) {
+      this.$results.html(
+        `<div class="notice notice-error inline"><p>${this.escapeHTML(
+          message
+        )}</p></div>`
+      );
+    },
+
+    /**
+     * Escapes a value for safe insertion into HTML (see admin-utils.js).
+     */
+    escapeHTML: tiUtils.escapeHTML,
+  };
+
+  $(document).ready(() => SourceTester.init());
+})(jQuery);
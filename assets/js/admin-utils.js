@@ -0,0 +1,27 @@
+/**
+ * Helpers shared by the plugin's admin scripts, which load this file as
+ * the "ti-utils-script" dependency.
+ */
+
+window.tiUtils = (function () {
+  "use strict";
+
+  return {
+    /**
+     * Escapes a value for safe insertion into HTML.
+     */
+    escapeHTML: function (value) {
+      const entities = {
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      };
+      return String(value == null ? "" : value).replace(
+        /[&<>"']/g,
+        (char) => entities[char]
+      );
+    },
+  };
+})();
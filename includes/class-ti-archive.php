@@ -0,0 +1,323 @@
+<?php
+/**
+ * Reader for official Twitter/X data archives.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+/**
+ * Reads the zip downloaded from X's "Download an archive of your data":
+ * the JS-wrapped JSON in data/tweets.js (data/tweet.js in older archives,
+ * split into -partN files for large accounts) and the media files in
+ * data/tweets_media/, named "<tweet id>-<original file name>".
+ */
+final class TI_Archive
+{
+    /**
+     * Folder of the media files inside the archive.
+     */
+    private const MEDIA_DIR = 'data/tweets_media/';
+
+    /**
+     * Path of the zip file.
+     */
+    private string $path;
+
+    private ?ZipArchive $zip = null;
+
+    public function __construct(string $path)
+    {
+        $this->path = $path;
+    }
+
+    /**
+     * Opens the zip and checks it looks like a data archive.
+     *
+     * @return true|WP_Error
+     */
+    public function open()
+    {
+        if ($this->zip) {
+            return true;
+        }
+        if (!class_exists('ZipArchive')) {
+            return new WP_Error(
+                'zip_unsupported',
+                'Reading archives needs the PHP zip extension.'
+            );
+        }
+        if (!is_readable($this->path)) {
+            return new WP_Error('archive_missing', 'The archive file cannot be read.');
+        }
+
+        $zip = new ZipArchive();
+        if ($zip->open($this->path) !== true) {
+            return new WP_Error('archive_invalid', 'The file is not a valid zip archive.');
+        }
+        $this->zip = $zip;
+
+        if (empty($this->get_tweet_files())) {
+            $zip->close();
+            $this->zip = null;
+            return new WP_Error(
+                'archive_invalid',
+                'This zip is not a Twitter/X data archive: data/tweets.js is missing.'
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Returns the account's username and display name from data/account.js.
+     */
+    public function get_account(): array
+    {
+        $rows = $this->read_js_file('data/account.js');
+        $account = is_array($rows) ? ($rows[0]['account'] ?? []) : [];
+
+        return [
+            'username' => sanitize_text_field($account['username'] ?? ''),
+            'name' => sanitize_text_field(
+                $account['accountDisplayName'] ?? $account['username'] ?? ''
+            ),
+        ];
+    }
+
+    /**
+     * Lists every tweet with photos or videos, newest first, as
+     * {tweet_id, date, text, media: [{type, file, remote, poster}]} where
+     * file is the media file's name in the archive ('' when the archive
+     * left it out) and remote its original URL.
+     *
+     * @return array|WP_Error
+     */
+    public function get_media_tweets()
+    {
+        $opened = $this->open();
+        if (is_wp_error($opened)) {
+            return $opened;
+        }
+
+        $media_files = [];
+        for ($i = 0; $i < $this->zip->numFiles; $i++) {
+            $name = $this->zip->getNameIndex($i);
+            if (strpos($name, self::MEDIA_DIR) === 0) {
+                $media_files[substr($name, strlen(self::MEDIA_DIR))] = true;
+            }
+        }
+
+        $tweets = [];
+        foreach ($this->get_tweet_files() as $file) {
+            $rows = $this->read_js_file($file);
+            if (is_wp_error($rows)) {
+                return $rows;
+            }
+            foreach ($rows as $row) {
+                $tweet = $row['tweet'] ?? $row;
+                $entry = is_array($tweet) ? $this->format_tweet($tweet, $media_files) : null;
+                if ($entry) {
+                    $tweets[] = $entry;
+                }
+            }
+        }
+
+        usort($tweets, fn($a, $b) => strcmp($b['date'], $a['date']));
+        return $tweets;
+    }
+
+    /**
+     * Copies a media file out of the archive to a temporary file and
+     * returns its path.
+     *
+     * @return string|WP_Error
+     */
+    public function extract_media(string $file)
+    {
+        $stream = $this->open_media($file);
+        if (is_wp_error($stream)) {
+            return $stream;
+        }
+
+        // Videos can be large, so they are copied without loading them whole.
+        $tmp = wp_tempnam($file);
+        $handle = $tmp ? fopen($tmp, 'wb') : false;
+        $copied = $handle && stream_copy_to_stream($stream, $handle) !== false;
+        fclose($stream);
+        if ($handle) {
+            fclose($handle);
+        }
+        if (!$copied) {
+            if ($tmp) {
+                @unlink($tmp);
+            }
+            return new WP_Error('archive_extract_failed', 'Could not write a temporary file.');
+        }
+        return $tmp;
+    }
+
+    /**
+     * Returns a read stream for a media file in the archive.
+     *
+     * @return resource|WP_Error
+     */
+    public function open_media(string $file)
+    {
+        $opened = $this->open();
+        if (is_wp_error($opened)) {
+            return $opened;
+        }
+
+        // Only files directly inside tweets_media/ can be read.
+        $stream = $this->zip->getStream(self::MEDIA_DIR . basename($file));
+        if (!$stream) {
+            return new WP_Error(
+                'archive_file_missing',
+                sprintf('The archive does not contain %s.', basename($file))
+            );
+        }
+        return $stream;
+    }
+
+    /**
+     * Names of the files holding the tweets, in part order.
+     */
+    private function get_tweet_files(): array
+    {
+        $files = [];
+        for ($i = 0; $i < $this->zip->numFiles; $i++) {
+            $name = $this->zip->getNameIndex($i);
+            if (preg_match('#^data/tweets?(?:-part\d+)?\.js$#', $name)) {
+                $files[] = $name;
+            }
+        }
+        natsort($files);
+        return array_values($files);
+    }
+
+    /**
+     * Decodes an archive data file: JSON behind a
+     * "window.YTD.<name>.partN = " assignment.
+     *
+     * @return array|WP_Error
+     */
+    private function read_js_file(string $name)
+    {
+        $contents = $this->zip ? $this->zip->getFromName($name) : false;
+        if ($contents === false) {
+            return new WP_Error('archive_file_missing', sprintf('The archive does not contain %s.', $name));
+        }
+
+        $start = strpos($contents, '=');
+        $data = json_decode(
+            trim($start !== false ? substr($contents, $start + 1) : $contents),
+            true,
+            512,
+            JSON_BIGINT_AS_STRING
+        );
+        if (!is_array($data)) {
+            return new WP_Error('archive_invalid', sprintf('Could not parse %s.', $name));
+        }
+        return $data;
+    }
+
+    /**
+     * Formats an archived tweet, or returns null when it has no photos or
+     * videos.
+     */
+    private function format_tweet(array $tweet, array $media_files): ?array
+    {
+        $tweet_id = (string) ($tweet['id_str'] ?? $tweet['id'] ?? '');
+        $entities = $tweet['extended_entities']['media'] ?? [];
+        if ($tweet_id === '' || empty($entities)) {
+            return null;
+        }
+
+        $text = (string) ($tweet['full_text'] ?? $tweet['text'] ?? '');
+        $media = [];
+        foreach ($entities as $entity) {
+            // The t.co link to the media itself only clutters the text.
+            if (!empty($entity['url'])) {
+                $text = str_replace($entity['url'], '', $text);
+            }
+
+            $type = $entity['type'] ?? '';
+            if ($type === 'photo') {
+                $remote = $entity['media_url_https'] ?? '';
+                $media[] = [
+                    'type' => 'image',
+                    'file' => $this->find_media_file($tweet_id, $remote, $media_files),
+                    'remote' => $remote,
+                    'poster' => '',
+                ];
+            } elseif ($type === 'video' || $type === 'animated_gif') {
+                $remote = $this->get_best_variant($entity['video_info']['variants'] ?? []);
+                $media[] = [
+                    'type' => 'video',
+                    'file' => $this->find_media_file($tweet_id, $remote, $media_files, 'mp4'),
+                    'remote' => $remote,
+                    'poster' => $entity['media_url_https'] ?? '',
+                ];
+            }
+        }
+        if (empty($media)) {
+            return null;
+        }
+
+        $timestamp = strtotime($tweet['created_at'] ?? '');
+        return [
+            'tweet_id' => $tweet_id,
+            'date' => $timestamp ? gmdate('c', $timestamp) : '',
+            'text' => trim(html_entity_decode($text, ENT_QUOTES, 'UTF-8')),
+            'media' => $media,
+        ];
+    }
+
+    /**
+     * Returns the URL of the highest-bitrate MP4 variant of a video.
+     */
+    private function get_best_variant(array $variants): string
+    {
+        $best = null;
+        foreach ($variants as $variant) {
+            if (($variant['content_type'] ?? '') !== 'video/mp4' || empty($variant['url'])) {
+                continue;
+            }
+            if ($best === null || (int) ($variant['bitrate'] ?? 0) > (int) ($best['bitrate'] ?? 0)) {
+                $best = $variant;
+            }
+        }
+        return $best['url'] ?? '';
+    }
+
+    /**
+     * Finds the archive's copy of a media file: "<tweet id>-<file name of
+     * the original URL>", or any file of the tweet with the same extension.
+     */
+    private function find_media_file(
+        string $tweet_id,
+        string $remote,
+        array $media_files,
+        string $extension = ''
+    ): string {
+        $name = $tweet_id . '-' . basename((string) wp_parse_url($remote, PHP_URL_PATH));
+        if (isset($media_files[$name])) {
+            return $name;
+        }
+
+        $extension = $extension ?: pathinfo($name, PATHINFO_EXTENSION);
+        foreach (array_keys($media_files) as $file) {
+            if (
+                strpos($file, $tweet_id . '-') === 0 &&
+                strtolower(pathinfo($file, PATHINFO_EXTENSION)) === $extension
+            ) {
+                return $file;
+            }
+        }
+        return '';
+    }
+}
@@ -0,0 +1,143 @@
+<?php
+/**
+ * Media source for fxtwitter-compatible JSON APIs.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+/**
+ * Resolves single tweets through an fxtwitter-compatible status endpoint
+ * (api.fxtwitter.com or a self-hosted instance). These APIs have no search
+ * or timeline, so only tweet lookups are supported.
+ */
+final class TI_FxTwitter_Source extends TI_Remote_Media_Source
+{
+    public function get_label(): string
+    {
+        return __('fxtwitter-compatible API', 'twitter-importer');
+    }
+
+    public function search(string $type, string $query, string $cursor = '')
+    {
+        if ($type !== 'tweet') {
+            return $this->unsupported(
+                $type === 'username' ? 'username searches' : 'keyword searches'
+            );
+        }
+
+        $tweet = $this->get_tweet($query);
+        if (is_wp_error($tweet)) {
+            return $tweet;
+        }
+
+        $videos = [];
+        foreach ($tweet['media']['all'] ?? [] as $entity) {
+            $item = is_array($entity) ? $this->format_media_item($entity, $tweet) : null;
+            if ($item && $item['type'] === 'video') {
+                $videos[] = [
+                    'tweet_id' => $item['tweet_id'],
+                    'download_url' => $item['src'],
+                    'thumbnail' => $item['poster'],
+                    'views' => $item['views'],
+                    'text' => $item['text'],
+                    'created_at' => $tweet['created_at'] ?? null,
+                    'username' => $tweet['author']['screen_name'] ?? '',
+                    'name' => $tweet['author']['name'] ?? '',
+                    'avatar' => $tweet['author']['avatar_url'] ?? '',
+                    'url' => $tweet['url'] ?? '',
+                ];
+            }
+        }
+
+        return ['videos' => $videos, 'cursor' => null];
+    }
+
+    public function get_status_media(string $status_id)
+    {
+        $tweet = $this->get_tweet($status_id);
+        if (is_wp_error($tweet)) {
+            return $tweet;
+        }
+
+        $items = [];
+        foreach ($tweet['media']['all'] ?? [] as $entity) {
+            $item = is_array($entity) ? $this->format_media_item($entity, $tweet) : null;
+            if ($item) {
+                $items[] = $item;
+            }
+        }
+
+        return !empty($items)
+            ? $items
+            : new WP_Error(
+                'no_media_found',
+                'Could not find media for this request.'
+            );
+    }
+
+    public function get_latest_media(string $username)
+    {
+        return $this->unsupported('user timelines');
+    }
+
+    /**
+     * Fetches the "tweet" object of a status.
+     */
+    private function get_tweet(string $status_id)
+    {
+        $response = $this->request('status/' . absint($status_id));
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        if (!is_array($response) || empty($response['tweet']) || !is_array($response['tweet'])) {
+            return new WP_Error(
+                'no_media_found',
+                $response['message'] ?? 'Could not find media for this request.'
+            );
+        }
+        return $response['tweet'];
+    }
+
+    /**
+     * Formats an entry of tweet.media.all as a media item, or returns null
+     * when it is not a photo, video or GIF.
+     */
+    private function format_media_item(array $entity, array $tweet): ?array
+    {
+        if (empty($entity['url'])) {
+            return null;
+        }
+
+        $details = [
+            'tweet_id' => (string) ($tweet['id'] ?? ''),
+            'views' => (int) ($tweet['views'] ?? 0),
+            'text' => sanitize_textarea_field($tweet['text'] ?? ''),
+        ];
+
+        switch ($entity['type'] ?? '') {
+            case 'video':
+            case 'gif':
+                return [
+                    'type' => 'video',
+                    'src' => esc_url_raw($entity['url']),
+                    'poster' => esc_url_raw($entity['thumbnail_url'] ?? ''),
+                    'variants' => $this->format_variants($entity['variants'] ?? []),
+                    'width' => (int) ($entity['width'] ?? 0),
+                    'height' => (int) ($entity['height'] ?? 0),
+                    'duration' => (float) ($entity['duration'] ?? 0),
+                ] + $details;
+            case 'photo':
+                return [
+                    'type' => 'image',
+                    'src' => esc_url_raw($entity['url']),
+                ] + $details;
+        }
+        return null;
+    }
+}
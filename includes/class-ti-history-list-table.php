@@ -0,0 +1,238 @@
+<?php
+/**
+ * List table for the "Import History" page.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+if (!class_exists('WP_List_Table')) {
+    require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
+}
+
+/**
+ * Lists the import records kept by TwitterImporter, newest first, with
+ * re-download, poster refresh and detach actions.
+ */
+final class TI_History_List_Table extends WP_List_Table
+{
+    /**
+     * Labels of the import sources, keyed by source.
+     */
+    private array $sources;
+
+    public function __construct(array $sources)
+    {
+        $this->sources = $sources;
+        parent::__construct([
+            'singular' => 'record',
+            'plural' => 'records',
+            'ajax' => false,
+        ]);
+    }
+
+    public function get_columns(): array
+    {
+        return [
+            'cb' => '<input type="checkbox" />',
+            'tweet' => __('Tweet ID', 'twitter-importer'),
+            'username' => __('Username', 'twitter-importer'),
+            'post' => __('Post', 'twitter-importer'),
+            'attachments' => __('Attachments', 'twitter-importer'),
+            'date' => __('Imported', 'twitter-importer'),
+            'source' => __('Source', 'twitter-importer'),
+        ];
+    }
+
+    protected function get_sortable_columns(): array
+    {
+        return ['date' => ['date', true]];
+    }
+
+    protected function get_bulk_actions(): array
+    {
+        return [
+            'redownload' => __('Re-download missing media', 'twitter-importer'),
+            'refresh_poster' => __('Refresh poster / featured image', 'twitter-importer'),
+            'detach' => __('Detach record', 'twitter-importer'),
+        ];
+    }
+
+    public function prepare_items(): void
+    {
+        $per_page = $this->get_items_per_page('ti_history_per_page', 20);
+        $source = isset($_REQUEST['source']) ? sanitize_key($_REQUEST['source']) : '';
+        $search = isset($_REQUEST['s']) ? sanitize_text_field(wp_unslash($_REQUEST['s'])) : '';
+        $order = isset($_REQUEST['order']) && strtolower($_REQUEST['order']) === 'asc' ? 'ASC' : 'DESC';
+
+        $meta_query = [];
+        if (isset($this->sources[$source])) {
+            $meta_query[] = ['key' => '_ti_record_source', 'value' => $source];
+        }
+        if ($search !== '') {
+            $meta_query[] = [
+                'relation' => 'OR',
+                ['key' => '_ti_record_tweet_id', 'value' => $search],
+                ['key' => '_ti_record_username', 'value' => ltrim($search, '@'), 'compare' => 'LIKE'],
+            ];
+        }
+
+        $query = new WP_Query([
+            'post_type' => TwitterImporter::RECORD_POST_TYPE,
+            'post_status' => 'any',
+            'posts_per_page' => $per_page,
+            'paged' => $this->get_pagenum(),
+            'orderby' => 'date',
+            'order' => $order,
+            'meta_query' => $meta_query,
+        ]);
+
+        $this->items = $query->posts;
+        $this->_column_headers = [$this->get_columns(), [], $this->get_sortable_columns()];
+        $this->set_pagination_args([
+            'total_items' => $query->found_posts,
+            'per_page' => $per_page,
+        ]);
+    }
+
+    public function no_items(): void
+    {
+        esc_html_e('Nothing has been imported yet.', 'twitter-importer');
+    }
+
+    protected function extra_tablenav($which): void
+    {
+        if ($which !== 'top') {
+            return;
+        }
+        $current = isset($_REQUEST['source']) ? sanitize_key($_REQUEST['source']) : '';
+        ?>
+        <div class="alignleft actions">
+            <label for="ti-filter-source" class="screen-reader-text"><?php esc_html_e('Filter by source', 'twitter-importer'); ?></label>
+            <select name="source" id="ti-filter-source">
+                <option value=""><?php esc_html_e('All sources', 'twitter-importer'); ?></option>
+                <?php foreach ($this->sources as $source => $label) : ?>
+                    <option value="<?php echo esc_attr($source); ?>" <?php selected($current, $source); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <?php submit_button(__('Filter', 'twitter-importer'), '', 'filter_action', false); ?>
+        </div>
+        <?php
+    }
+
+    protected function column_cb($item): string
+    {
+        return sprintf('<input type="checkbox" name="records[]" value="%d" />', $item->ID);
+    }
+
+    protected function column_tweet($item): string
+    {
+        $tweet_id = get_post_meta($item->ID, '_ti_record_tweet_id', true);
+        $username = get_post_meta($item->ID, '_ti_record_username', true);
+        $url = $username !== ''
+            ? "https://x.com/{$username}/status/{$tweet_id}"
+            : "https://x.com/i/status/{$tweet_id}";
+
+        $importer = TwitterImporter::get_instance();
+        $actions = [
+            'redownload' => sprintf(
+                '<a href="%s">%s</a>',
+                esc_url($importer->get_history_action_url($item->ID, 'redownload')),
+                esc_html__('Re-download missing', 'twitter-importer')
+            ),
+        ];
+        if ($item->post_parent) {
+            $actions['refresh_poster'] = sprintf(
+                '<a href="%s">%s</a>',
+                esc_url($importer->get_history_action_url($item->ID, 'refresh_poster')),
+                esc_html__('Refresh poster', 'twitter-importer')
+            );
+        }
+        $actions['detach'] = sprintf(
+            '<a href="%s" class="ti-history-detach">%s</a>',
+            esc_url($importer->get_history_action_url($item->ID, 'detach')),
+            esc_html__('Detach', 'twitter-importer')
+        );
+
+        return sprintf(
+            '<a href="%s" target="_blank" rel="noopener"><code>%s</code></a>%s',
+            esc_url($url),
+            esc_html($tweet_id),
+            $this->row_actions($actions)
+        );
+    }
+
+    protected function column_username($item): string
+    {
+        $username = get_post_meta($item->ID, '_ti_record_username', true);
+        return $username !== '' ? esc_html('@' . $username) : '&mdash;';
+    }
+
+    protected function column_post($item): string
+    {
+        if (!$item->post_parent) {
+            return '&mdash;';
+        }
+        $post = get_post($item->post_parent);
+        if (!$post) {
+            return esc_html(sprintf(__('#%d (deleted)', 'twitter-importer'), $item->post_parent));
+        }
+
+        $title = get_the_title($post) ?: sprintf('#%d', $post->ID);
+        $link = get_edit_post_link($post->ID);
+        return sprintf(
+            '%s <span class="ti-history-post-type">%s</span>',
+            $link
+                ? sprintf('<a href="%s">%s</a>', esc_url($link), esc_html($title))
+                : esc_html($title),
+            esc_html(get_post_type_object($post->post_type)->labels->singular_name ?? $post->post_type)
+        );
+    }
+
+    protected function column_attachments($item): string
+    {
+        $media = get_post_meta($item->ID, '_ti_record_media', true);
+        $ids = [];
+        foreach (is_array($media) ? $media : [] as $entry) {
+            foreach (['id', 'poster_id'] as $key) {
+                if (!empty($entry[$key])) {
+                    $ids[] = (int) $entry[$key];
+                }
+            }
+        }
+        if (empty($ids)) {
+            return esc_html__('Remote only', 'twitter-importer');
+        }
+
+        return implode(', ', array_map(function ($id) {
+            $file = get_attached_file($id);
+            if ($file && file_exists($file)) {
+                return sprintf(
+                    '<a href="%s">%d</a>',
+                    esc_url(get_edit_post_link($id) ?: ''),
+                    $id
+                );
+            }
+            return sprintf(
+                '<span class="ti-history-missing" title="%s">%d</span>',
+                esc_attr__('Missing', 'twitter-importer'),
+                $id
+            );
+        }, $ids));
+    }
+
+    protected function column_date($item): string
+    {
+        return esc_html(get_the_date(get_option('date_format') . ' ' . get_option('time_format'), $item));
+    }
+
+    protected function column_source($item): string
+    {
+        $source = get_post_meta($item->ID, '_ti_record_source', true);
+        return esc_html($this->sources[$source] ?? $source);
+    }
+}
@@ -0,0 +1,332 @@
+<?php
+/**
+ * Download and processing steps for imported media files.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+/**
+ * Turns a remote media item into a file media_handle_sideload can take:
+ * picks the best video variant that fits the size limit, downloads it with
+ * that limit enforced, checks the file's real MIME type and names it
+ * "username-tweetid.ext". When ffmpeg is installed, it also grabs poster
+ * frames and reads video dimensions and durations.
+ */
+final class TI_Media_Pipeline
+{
+    /**
+     * MIME types that may be imported, by media type. Other plugins can
+     * change them through the twitter_importer_allowed_mime_types filter.
+     */
+    private const ALLOWED_MIME_TYPES = [
+        'image' => ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+        'video' => ['video/mp4', 'video/quicktime', 'video/webm'],
+    ];
+
+    /**
+     * Seconds to wait for a media download.
+     */
+    private const DOWNLOAD_TIMEOUT = 120;
+
+    /**
+     * Maximum file sizes in bytes, keyed by media type; 0 means no limit.
+     */
+    private array $max_sizes;
+
+    /**
+     * Paths of the binaries looked up so far, or '' when missing.
+     */
+    private array $binaries = [];
+
+    public function __construct(int $max_image_size, int $max_video_size)
+    {
+        $this->max_sizes = [
+            'image' => $max_image_size,
+            'video' => $max_video_size,
+        ];
+    }
+
+    /**
+     * Downloads a media item into a temporary file. $file holds the item's
+     * type ('video' or 'image'), the file name to use without extension,
+     * and, for videos, any variants and the duration.
+     *
+     * @return array|WP_Error A name/tmp_name/type array.
+     */
+    public function download(string $url, array $file)
+    {
+        $type = $this->get_type($file);
+        if ($type === 'video' && !empty($file['variants'])) {
+            $url = $this->pick_variant($file['variants'], $url, (float) ($file['duration'] ?? 0));
+        }
+        if (!wp_http_validate_url($url)) {
+            return new WP_Error('invalid_url', 'The media URL is not valid.');
+        }
+
+        $tmp = wp_tempnam(basename((string) wp_parse_url($url, PHP_URL_PATH)));
+        if (!$tmp) {
+            return new WP_Error('tmp_file_failed', 'Could not create a temporary file.');
+        }
+
+        // Stop reading one byte past the limit, which is enough to tell
+        // the file is too large without downloading all of it.
+        $limit = $this->max_sizes[$type];
+        $response = wp_safe_remote_get($url, [
+            'timeout' => self::DOWNLOAD_TIMEOUT,
+            'stream' => true,
+            'filename' => $tmp,
+            'limit_response_size' => $limit ? $limit + 1 : null,
+        ]);
+        if (is_wp_error($response)) {
+            @unlink($tmp);
+            return $response;
+        }
+        $code = (int) wp_remote_retrieve_response_code($response);
+        if ($code !== 200) {
+            @unlink($tmp);
+            return new WP_Error(
+                'http_' . $code,
+                sprintf('The download failed with HTTP status %d.', $code)
+            );
+        }
+
+        return $this->prepare($tmp, $file, $url);
+    }
+
+    /**
+     * Checks a downloaded or extracted file against the size limit and the
+     * allowed MIME types of its media type, and names it. The file is
+     * deleted when it is refused.
+     *
+     * @return array|WP_Error A name/tmp_name/type array.
+     */
+    public function prepare(string $tmp, array $file, string $url = '')
+    {
+        $type = $this->get_type($file);
+        $limit = $this->max_sizes[$type];
+        $size = (int) filesize($tmp);
+        if ($limit && $size > $limit) {
+            @unlink($tmp);
+            return new WP_Error(
+                'file_too_large',
+                sprintf(
+                    'The %1$s is larger than the %2$s limit for imported %1$ss.',
+                    $type,
+                    size_format($limit)
+                )
+            );
+        }
+        if ($size === 0) {
+            @unlink($tmp);
+            return new WP_Error('empty_file', 'The downloaded file is empty.');
+        }
+
+        $url_name = basename((string) (wp_parse_url($url, PHP_URL_PATH) ?: $url));
+        $mime = $this->detect_mime_type($tmp, $url_name);
+        $allowed = apply_filters(
+            'twitter_importer_allowed_mime_types',
+            self::ALLOWED_MIME_TYPES[$type],
+            $type
+        );
+        if (!in_array($mime, (array) $allowed, true)) {
+            @unlink($tmp);
+            return new WP_Error(
+                'invalid_mime_type',
+                sprintf(
+                    'The file is %1$s, which is not an allowed %2$s type.',
+                    $mime !== '' ? $mime : 'of an unknown type',
+                    $type
+                )
+            );
+        }
+
+        $name = sanitize_file_name((string) ($file['name'] ?? ''));
+        if ($name === '') {
+            $name = sanitize_file_name(pathinfo($url_name, PATHINFO_FILENAME)) ?: 'tweet-media';
+        }
+
+        return [
+            'name' => $name . '.' . $this->get_extension($mime),
+            'tmp_name' => $tmp,
+            'type' => $mime,
+        ];
+    }
+
+    /**
+     * Grabs a frame of a video as a JPEG in a temporary file, one second
+     * in or at the start for shorter videos.
+     *
+     * @return string|WP_Error The path of the image.
+     */
+    public function extract_poster(string $video_path)
+    {
+        $ffmpeg = $this->find_binary('ffmpeg');
+        if (!$ffmpeg) {
+            return new WP_Error('ffmpeg_unavailable', 'ffmpeg is not installed.');
+        }
+
+        $tmp = wp_tempnam('poster.jpg');
+        if (!$tmp) {
+            return new WP_Error('tmp_file_failed', 'Could not create a temporary file.');
+        }
+
+        foreach (['1', '0'] as $seek) {
+            exec(sprintf(
+                '%s -y -loglevel error -ss %s -i %s -frames:v 1 -f mjpeg %s 2>&1',
+                escapeshellarg($ffmpeg),
+                $seek,
+                escapeshellarg($video_path),
+                escapeshellarg($tmp)
+            ), $output, $status);
+            clearstatcache(true, $tmp);
+            if ($status === 0 && filesize($tmp) > 0) {
+                return $tmp;
+            }
+        }
+
+        @unlink($tmp);
+        return new WP_Error('poster_extraction_failed', 'ffmpeg could not read a frame of the video.');
+    }
+
+    /**
+     * Reads a video's width, height and duration in seconds with ffprobe,
+     * or returns an empty array when it is not installed or fails.
+     */
+    public function probe_video(string $video_path): array
+    {
+        $ffprobe = $this->find_binary('ffprobe');
+        if (!$ffprobe) {
+            return [];
+        }
+
+        exec(sprintf(
+            '%s -v error -select_streams v:0 -show_entries stream=width,height:format=duration -of json %s',
+            escapeshellarg($ffprobe),
+            escapeshellarg($video_path)
+        ), $output, $status);
+        $probe = $status === 0 ? json_decode(implode('', $output), true) : null;
+        if (!is_array($probe)) {
+            return [];
+        }
+
+        return array_filter([
+            'width' => (int) ($probe['streams'][0]['width'] ?? 0),
+            'height' => (int) ($probe['streams'][0]['height'] ?? 0),
+            'length' => (int) round((float) ($probe['format']['duration'] ?? 0)),
+        ]);
+    }
+
+    /**
+     * Picks the highest-bitrate MP4 variant that fits within the video size
+     * limit, going by its Content-Length or else its bitrate and the
+     * duration. Falls back to the item's own URL without MP4 variants.
+     */
+    private function pick_variant(array $variants, string $fallback, float $duration): string
+    {
+        $variants = array_filter(
+            $variants,
+            fn($variant) => is_array($variant) &&
+                !empty($variant['url']) &&
+                ($variant['content_type'] ?? 'video/mp4') === 'video/mp4'
+        );
+        if (empty($variants)) {
+            return $fallback;
+        }
+        usort(
+            $variants,
+            fn($a, $b) => (int) ($b['bitrate'] ?? 0) <=> (int) ($a['bitrate'] ?? 0)
+        );
+
+        $limit = $this->max_sizes['video'];
+        if (!$limit) {
+            return $variants[0]['url'];
+        }
+        foreach ($variants as $variant) {
+            $size = $this->get_remote_size($variant['url']);
+            if (!$size && $duration > 0) {
+                $size = (int) ((int) ($variant['bitrate'] ?? 0) * $duration / 8);
+            }
+            // An unknown size is tried; the download itself enforces the limit.
+            if ($size <= $limit) {
+                return $variant['url'];
+            }
+        }
+
+        // Nothing fits: the smallest variant fails with a clear error.
+        return end($variants)['url'];
+    }
+
+    /**
+     * Returns the Content-Length of a URL from a HEAD request, or 0.
+     */
+    private function get_remote_size(string $url): int
+    {
+        $response = wp_safe_remote_head($url, ['timeout' => 15, 'redirection' => 3]);
+        return is_wp_error($response)
+            ? 0
+            : (int) wp_remote_retrieve_header($response, 'content-length');
+    }
+
+    /**
+     * Detects a file's MIME type from its contents, falling back to the
+     * extension in its URL when the fileinfo extension is missing.
+     */
+    private function detect_mime_type(string $path, string $url_name): string
+    {
+        $mime = wp_get_image_mime($path);
+        if (!$mime && function_exists('finfo_open')) {
+            $finfo = finfo_open(FILEINFO_MIME_TYPE);
+            $mime = $finfo ? finfo_file($finfo, $path) : false;
+            if ($finfo) {
+                finfo_close($finfo);
+            }
+        } elseif (!$mime) {
+            $mime = wp_check_filetype($url_name)['type'];
+        }
+        return (string) $mime;
+    }
+
+    /**
+     * Returns the usual file extension of a MIME type, e.g. "mp4".
+     */
+    private function get_extension(string $mime): string
+    {
+        $extensions = array_search($mime, wp_get_mime_types(), true);
+        return $extensions !== false
+            ? explode('|', $extensions)[0]
+            : sanitize_key(substr(strrchr($mime, '/'), 1));
+    }
+
+    /**
+     * Normalizes the media type of a file description to 'video' or 'image'.
+     */
+    private function get_type(array $file): string
+    {
+        return ($file['type'] ?? '') === 'video' ? 'video' : 'image';
+    }
+
+    /**
+     * Finds an executable, set through the twitter_importer_ffmpeg_path or
+     * twitter_importer_ffprobe_path filter or looked up on the PATH.
+     * Returns an empty string when it is missing or exec() is disabled.
+     */
+    private function find_binary(string $name): string
+    {
+        if (!isset($this->binaries[$name])) {
+            $path = (string) apply_filters("twitter_importer_{$name}_path", '');
+            if (!function_exists('exec')) {
+                $path = '';
+            } elseif ($path === '') {
+                exec('command -v ' . escapeshellarg($name) . ' 2>/dev/null', $output, $status);
+                $path = $status === 0 ? trim((string) ($output[0] ?? '')) : '';
+            }
+            $this->binaries[$name] = $path !== '' && @is_executable($path) ? $path : '';
+        }
+        return $this->binaries[$name];
+    }
+}
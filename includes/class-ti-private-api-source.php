@@ -0,0 +1,193 @@
+<?php
+/**
+ * Media source for the private API configured as "API Base URL".
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+/**
+ * Talks to the private API's timeline/, search/, media/, media2/ and
+ * latest/ endpoints.
+ */
+final class TI_Private_API_Source extends TI_Remote_Media_Source
+{
+    public function get_label(): string
+    {
+        return __('Private API', 'twitter-importer');
+    }
+
+    public function search(string $type, string $query, string $cursor = '')
+    {
+        $endpoints = [
+            'username' => 'timeline/',
+            'keywords' => 'search/',
+            'tweet' => 'media/',
+        ];
+        if (!isset($endpoints[$type])) {
+            return new WP_Error(
+                'invalid_search_type',
+                'Invalid search type provided.'
+            );
+        }
+
+        $response = $this->request(
+            $endpoints[$type] . rawurlencode($query),
+            $cursor !== '' && $type !== 'tweet' ? ['cursor' => $cursor] : []
+        );
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        $result = [
+            'videos' => [],
+            'cursor' => $this->extract_cursor($response),
+        ];
+
+        // The external API might return videos in a nested key or as the top-level array.
+        // This code gracefully handles different response structures.
+        if (is_array($response)) {
+            if (isset($response[0]['tweet_id'])) {
+                $result['videos'] = $response;
+                return $result;
+            }
+            foreach ($response as $key => $value) {
+                if (is_array($value) && isset($value[0]['tweet_id'])) {
+                    $result['videos'] = $value;
+                    return $result;
+                }
+            }
+        }
+        return $result; // No videos found.
+    }
+
+    public function get_status_media(string $status_id)
+    {
+        $response_data = $this->request('media2/' . absint($status_id));
+
+        if (is_wp_error($response_data)) {
+            return $response_data;
+        }
+
+        return $this->format_media_response($response_data['response'] ?? []);
+    }
+
+    public function get_latest_media(string $username)
+    {
+        $response_data = $this->request('latest/' . rawurlencode($username));
+
+        if (is_wp_error($response_data)) {
+            return $response_data;
+        }
+
+        return $this->format_media_response($response_data['response'] ?? []);
+    }
+
+    /**
+     * Finds the next-page cursor in an API response, if the upstream sent one.
+     */
+    private function extract_cursor($response): ?string
+    {
+        if (!is_array($response)) {
+            return null;
+        }
+        foreach (['cursor', 'next_cursor', 'nextCursor', 'bottom_cursor'] as $key) {
+            if (!empty($response[$key]) && is_scalar($response[$key])) {
+                return (string) $response[$key];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Formats a raw API response into a consistent content array.
+     */
+    private function format_media_response($response)
+    {
+        if (empty($response) || !is_array($response)) {
+            return new WP_Error(
+                'no_media_found',
+                'Could not find media for this request.'
+            );
+        }
+
+        // Multi-media tweets list every entity under "media"; single-media
+        // responses describe the entity at the top level.
+        if (isset($response['media']) && is_array($response['media'])) {
+            $entities = $response['media'];
+        } elseif (isset($response[0])) {
+            $entities = $response;
+        } else {
+            $entities = [$response];
+        }
+
+        // Tweet-level details apply to each entity that lacks its own.
+        $tweet = isset($response[0]) ? [] : $response;
+
+        $items = [];
+        foreach ($entities as $entity) {
+            $item = is_array($entity)
+                ? $this->format_media_item($entity, $tweet)
+                : null;
+            if ($item) {
+                $items[] = $item;
+            }
+        }
+
+        return !empty($items)
+            ? $items
+            : new WP_Error(
+                'unsupported_media',
+                'No compatible media found in the response.'
+            );
+    }
+
+    /**
+     * Formats a single media entity as a {type, src, poster} array plus the
+     * tweet's ID, views and text, or returns null when the entity is not a
+     * supported photo or video.
+     */
+    private function format_media_item(array $entity, array $tweet = []): ?array
+    {
+        $type = $entity['type'] ?? '';
+        if (empty($entity['download_url'])) {
+            return null;
+        }
+
+        $details = [
+            'tweet_id' => (string) ($entity['tweet_id'] ?? $tweet['tweet_id'] ?? ''),
+            'views' => (int) ($entity['views'] ?? $tweet['views'] ?? 0),
+            'text' => sanitize_textarea_field(
+                $entity['text'] ?? $tweet['text'] ?? ''
+            ),
+        ];
+
+        if ($type === 'video' || $type === 'animated_gif') {
+            $video_info = is_array($entity['video_info'] ?? null) ? $entity['video_info'] : [];
+            return [
+                'type' => 'video',
+                'src' => esc_url_raw($entity['download_url']),
+                'poster' => esc_url_raw($entity['thumbnail'] ?? ''),
+                'variants' => $this->format_variants(
+                    $entity['variants'] ?? $video_info['variants'] ?? []
+                ),
+                'width' => (int) ($entity['width'] ?? $entity['original_info']['width'] ?? 0),
+                'height' => (int) ($entity['height'] ?? $entity['original_info']['height'] ?? 0),
+                'duration' => (float) ($entity['duration'] ?? 0) ?:
+                    (int) ($video_info['duration_millis'] ?? 0) / 1000,
+            ] + $details;
+        }
+        if ($type === 'image' || $type === 'photo') {
+            return [
+                'type' => 'image',
+                'src' => esc_url_raw($entity['download_url']),
+            ] + $details;
+        }
+        return null;
+    }
+}
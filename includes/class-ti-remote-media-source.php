@@ -0,0 +1,260 @@
+<?php
+/**
+ * Base class for media sources backed by a JSON API.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+/**
+ * Holds the base URL of a JSON API and performs its GET requests, caching
+ * successful responses in transients and backing off while the API is
+ * rate limited or down.
+ */
+abstract class TI_Remote_Media_Source implements TI_Media_Source
+{
+    /**
+     * Prefix of the transients caching responses and backoff state.
+     */
+    private const TRANSIENT_PREFIX = 'ti_api_';
+
+    /**
+     * Backoff used when a 429 or 503 response has no Retry-After header,
+     * doubled for each failure in a row up to MAX_BACKOFF, in seconds.
+     */
+    private const BASE_BACKOFF = 60;
+
+    private const MAX_BACKOFF = 900;
+
+    /**
+     * The API's base URL, with a trailing slash, or '' when not set.
+     */
+    protected string $base_url;
+
+    /**
+     * How long successful responses are cached, in seconds. 0 disables
+     * caching.
+     */
+    private int $cache_ttl;
+
+    /**
+     * Whether requests skip cached responses and replace them.
+     */
+    private bool $refresh = false;
+
+    public function __construct(string $base_url, int $cache_ttl = 0)
+    {
+        $this->base_url = $base_url !== '' ? trailingslashit($base_url) : '';
+        $this->cache_ttl = max(0, $cache_ttl);
+    }
+
+    public function is_configured(): bool
+    {
+        return $this->base_url !== '';
+    }
+
+    /**
+     * Makes the following requests fetch fresh responses instead of cached
+     * ones, e.g. for the search page's "Refresh" button.
+     */
+    public function set_refresh(bool $refresh): void
+    {
+        $this->refresh = $refresh;
+    }
+
+    /**
+     * Performs a GET request to an endpoint below the base URL and returns
+     * the decoded JSON. Failures carry the HTTP status and, when known, the
+     * seconds to wait before retrying as error data; error codes are
+     * rate_limited, not_found, protected_account, upstream_down and
+     * upstream_error.
+     */
+    protected function request(string $endpoint, array $query_args = [])
+    {
+        if (!$this->is_configured()) {
+            return new WP_Error('missing_api_url', 'API URL is not configured.');
+        }
+
+        $url = $this->base_url . ltrim($endpoint, '/');
+        if (!empty($query_args)) {
+            $url = add_query_arg(array_map('rawurlencode', $query_args), $url);
+        }
+
+        $cache_key = self::TRANSIENT_PREFIX . md5($url);
+        if ($this->cache_ttl && !$this->refresh) {
+            $cached = get_transient($cache_key);
+            if (is_array($cached)) {
+                return $cached;
+            }
+        }
+
+        $backoff_key = self::TRANSIENT_PREFIX . 'backoff_' . md5($this->base_url);
+        $backoff = get_transient($backoff_key);
+        if (is_array($backoff) && $backoff['until'] > time()) {
+            return $this->get_backoff_error($backoff);
+        }
+
+        $args = [
+            'timeout' => 60,
+            'headers' => [
+                'Accept' => 'application/json',
+                'User-Agent' =>
+                    'WordPress/TwitterImporter ' . get_bloginfo('version'),
+            ],
+        ];
+        $response = wp_remote_get($url, $args);
+
+        if (is_wp_error($response)) {
+            return new WP_Error(
+                'upstream_down',
+                sprintf('%s could not be reached: %s', $this->get_label(), $response->get_error_message())
+            );
+        }
+
+        $status = (int) wp_remote_retrieve_response_code($response);
+        if ($status === 429 || $status === 503) {
+            $failures = is_array($backoff) ? $backoff['failures'] + 1 : 1;
+            $retry_after = $this->parse_retry_after(
+                wp_remote_retrieve_header($response, 'retry-after')
+            ) ?? min(self::BASE_BACKOFF * 2 ** ($failures - 1), self::MAX_BACKOFF);
+
+            $backoff = [
+                'until' => time() + $retry_after,
+                'failures' => $failures,
+                'status' => $status,
+            ];
+            // Remember the failure count a while after the wait ends, so
+            // repeated rate limits back off further.
+            set_transient($backoff_key, $backoff, $retry_after + self::MAX_BACKOFF);
+            return $this->get_backoff_error($backoff);
+        }
+        if ($status < 200 || $status >= 300) {
+            return $this->get_status_error($status);
+        }
+
+        $body = wp_remote_retrieve_body($response);
+        $data = json_decode($body, true);
+
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            return new WP_Error(
+                'json_decode_error',
+                'Failed to decode API response.'
+            );
+        }
+
+        if (is_array($backoff)) {
+            delete_transient($backoff_key);
+        }
+        if ($this->cache_ttl && is_array($data)) {
+            set_transient($cache_key, $data, $this->cache_ttl);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Error returned for requests the source cannot answer.
+     */
+    protected function unsupported(string $what): WP_Error
+    {
+        return new WP_Error(
+            'unsupported_request',
+            sprintf('%s does not support %s.', $this->get_label(), $what)
+        );
+    }
+
+    /**
+     * Normalizes a video's variants to {url, bitrate, content_type} arrays,
+     * accepting Twitter's "bit_rate" spelling too, so the media pipeline
+     * can pick the best one.
+     */
+    protected function format_variants($variants): array
+    {
+        $formatted = [];
+        foreach (is_array($variants) ? $variants : [] as $variant) {
+            if (!is_array($variant) || empty($variant['url'])) {
+                continue;
+            }
+            $formatted[] = [
+                'url' => esc_url_raw($variant['url']),
+                'bitrate' => (int) ($variant['bitrate'] ?? $variant['bit_rate'] ?? 0),
+                'content_type' => sanitize_text_field($variant['content_type'] ?? 'video/mp4'),
+            ];
+        }
+        return $formatted;
+    }
+
+    /**
+     * Error for a request made, or refused, while backing off.
+     */
+    private function get_backoff_error(array $backoff): WP_Error
+    {
+        $retry_after = max(1, $backoff['until'] - time());
+        $wait = human_time_diff(time(), time() + $retry_after);
+
+        return $backoff['status'] === 429
+            ? new WP_Error(
+                'rate_limited',
+                sprintf('%s is rate limiting requests. Try again in %s.', $this->get_label(), $wait),
+                ['status' => 429, 'retry_after' => $retry_after]
+            )
+            : new WP_Error(
+                'upstream_down',
+                sprintf('%s is temporarily unavailable. Try again in %s.', $this->get_label(), $wait),
+                ['status' => $backoff['status'], 'retry_after' => $retry_after]
+            );
+    }
+
+    /**
+     * Error for a non-2xx response other than 429 and 503.
+     */
+    private function get_status_error(int $status): WP_Error
+    {
+        if ($status === 404 || $status === 410) {
+            return new WP_Error(
+                'not_found',
+                'The tweet or account was not found. It may have been deleted.',
+                ['status' => $status]
+            );
+        }
+        if ($status === 401 || $status === 403) {
+            return new WP_Error(
+                'protected_account',
+                'This account is protected or suspended, or the tweet is not visible without logging in.',
+                ['status' => $status]
+            );
+        }
+        if ($status >= 500) {
+            return new WP_Error(
+                'upstream_down',
+                sprintf('%s is having problems (HTTP %d). Try again later.', $this->get_label(), $status),
+                ['status' => $status]
+            );
+        }
+        return new WP_Error(
+            'upstream_error',
+            sprintf('%s responded with HTTP %d.', $this->get_label(), $status),
+            ['status' => $status]
+        );
+    }
+
+    /**
+     * Reads a Retry-After header, given in seconds or as an HTTP date, as
+     * a number of seconds capped at an hour.
+     */
+    private function parse_retry_after($header): ?int
+    {
+        $header = is_array($header) ? reset($header) : (string) $header;
+        if ($header === '' || $header === false) {
+            return null;
+        }
+        $seconds = ctype_digit($header)
+            ? (int) $header
+            : (int) strtotime($header) - time();
+        return $seconds > 0 ? min($seconds, HOUR_IN_SECONDS) : null;
+    }
+}
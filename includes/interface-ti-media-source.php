@@ -0,0 +1,55 @@
+<?php
+/**
+ * Interface for the backends TwitterImporter fetches media from.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+/**
+ * A media source resolves searches, tweets and timelines to normalized
+ * arrays, so the importer never sees a backend's own response shape.
+ * Sources are registered through the twitter_importer_media_sources filter
+ * and tried in the order chosen in the settings.
+ *
+ * Search results are arrays with at least tweet_id, download_url and
+ * thumbnail, plus any of views, text, created_at, username, name, avatar
+ * and url. Media items are {type: 'video'|'image', src, poster, tweet_id,
+ * views, text} arrays; videos may add their variants ({url, bitrate,
+ * content_type}), width, height and duration in seconds.
+ *
+ * Every method returns a WP_Error on failure; 'unsupported_request' means
+ * the source cannot answer that kind of request at all.
+ */
+interface TI_Media_Source
+{
+    /**
+     * Human-readable name shown in the settings.
+     */
+    public function get_label(): string;
+
+    /**
+     * Whether the source has what it needs (a URL, a folder...) to be used.
+     */
+    public function is_configured(): bool;
+
+    /**
+     * Searches by 'username', 'keywords' or 'tweet' and returns
+     * ['videos' => array, 'cursor' => ?string].
+     */
+    public function search(string $type, string $query, string $cursor = '');
+
+    /**
+     * Returns the media items of a single tweet.
+     */
+    public function get_status_media(string $status_id);
+
+    /**
+     * Returns the media items of a user's latest tweet with media.
+     */
+    public function get_latest_media(string $username);
+}
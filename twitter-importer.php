@@ -2,7 +2,7 @@
 /**
  * Plugin Name: Twitter Importer
  * Plugin URI: https://github.com/chrismccoy/twitter-importer
- * Description: Search, fetch, and import Twitter/X media. Requires a private API URL configured in settings.
+ * Description: Search, fetch, and import Twitter/X media. Requires a media source, such as a private API URL, configured in settings.
  * Author: Chris McCoy
  * Version: 1.0.0
  * Text Domain: twitter-importer
@@ -12,6 +12,13 @@ if (!defined('ABSPATH')) {
     exit(); // Exit if accessed directly.
 }
 
+require_once plugin_dir_path(__FILE__) . 'includes/interface-ti-media-source.php';
+require_once plugin_dir_path(__FILE__) . 'includes/class-ti-remote-media-source.php';
+require_once plugin_dir_path(__FILE__) . 'includes/class-ti-private-api-source.php';
+require_once plugin_dir_path(__FILE__) . 'includes/class-ti-fxtwitter-source.php';
+require_once plugin_dir_path(__FILE__) . 'includes/class-ti-archive.php';
+require_once plugin_dir_path(__FILE__) . 'includes/class-ti-media-pipeline.php';
+
 /**
  * This class handles all functionality, including hooks, admin pages,
  * API communication, media importing, and WP-CLI commands.
@@ -28,6 +35,122 @@ final class TwitterImporter
      */
     public const OPTION_NAME = 'twitter_importer_settings';
 
+    /**
+     * The user meta key holding each user's last-used import options.
+     */
+    public const IMPORT_OPTIONS_META = 'twitter_importer_import_options';
+
+    /**
+     * Post statuses that can be chosen for imported posts.
+     */
+    private const IMPORT_POST_STATUSES = ['draft', 'pending', 'publish', 'future'];
+
+    /**
+     * What an import does with a tweet that was already imported: skip it,
+     * update the existing post, or create another post anyway.
+     */
+    private const DUPLICATE_POLICIES = ['skip', 'update', 'create'];
+
+    /**
+     * The private post type used to store queued import jobs.
+     */
+    public const JOB_POST_TYPE = 'ti_import_job';
+
+    /**
+     * Action Scheduler hook that processes a single import job.
+     */
+    public const JOB_HOOK = 'twitter_importer_process_job';
+
+    /**
+     * WP-Cron hook that works through the import queue when Action
+     * Scheduler is not available.
+     */
+    public const QUEUE_HOOK = 'twitter_importer_run_queue';
+
+    /**
+     * The private post type used to store watchers: saved usernames or
+     * keyword searches that are imported on a schedule.
+     */
+    public const WATCHER_POST_TYPE = 'ti_watcher';
+
+    /**
+     * WP-Cron hook that runs a single watcher.
+     */
+    public const WATCHER_HOOK = 'twitter_importer_run_watcher';
+
+    /**
+     * The private post type that records every import for the Import
+     * History screen.
+     */
+    public const RECORD_POST_TYPE = 'ti_import_record';
+
+    /**
+     * WP-Cron hook that creates Import History records for posts imported
+     * before it existed, and the option set once that is done.
+     */
+    public const BACKFILL_HOOK = 'twitter_importer_backfill_records';
+    public const BACKFILL_OPTION = 'twitter_importer_records_backfilled';
+
+    /**
+     * Import sources whose records stand for a post created from the tweet,
+     * as opposed to media added to the library or to an existing post.
+     */
+    private const POST_SOURCES = ['search', 'bulk', 'watcher', 'cli', 'archive', 'earlier'];
+
+    /**
+     * The user meta key holding the data archive each user loaded on the
+     * "Import from Archive" page.
+     */
+    public const ARCHIVE_META = 'twitter_importer_archive';
+
+    /**
+     * Prefix of media URLs that point at a file in the current user's data
+     * archive rather than on the web.
+     */
+    private const ARCHIVE_URL_SCHEME = 'ti-archive://';
+
+    /**
+     * Number of archived tweets listed per page.
+     */
+    private const ARCHIVE_PAGE_SIZE = 40;
+
+    /**
+     * Namespace of the plugin's REST API routes.
+     */
+    public const REST_NAMESPACE = 'twitter-importer/v1';
+
+    /**
+     * Most posts a single watcher run creates; the rest wait for the next run.
+     */
+    private const WATCHER_RUN_LIMIT = 10;
+
+    /**
+     * Number of runs kept in a watcher's run log.
+     */
+    private const WATCHER_LOG_SIZE = 20;
+
+    /**
+     * Seconds a WP-Cron queue run may spend before handing over to the next run.
+     */
+    private const QUEUE_TIME_LIMIT = 20;
+
+    /**
+     * Seconds after which a job stuck in "downloading" is considered failed.
+     */
+    private const JOB_STALE_AFTER = 15 * MINUTE_IN_SECONDS;
+
+    /**
+     * Default source line added under imported media. Tokens: {name},
+     * {username}, {url}, {date} and {text}.
+     */
+    public const DEFAULT_ATTRIBUTION_TEMPLATE =
+        'Source: <a href="{url}">{name} (@{username})</a>, {date}';
+
+    /**
+     * Number of recent media items the editor meta box lists in user mode.
+     */
+    private const EDITOR_RECENT_LIMIT = 12;
+
     /**
      * Regex to extract a Status ID from a Twitter/X URL.
      */
@@ -39,6 +162,16 @@ final class TwitterImporter
      */
     private array $options;
 
+    /**
+     * Registered media sources keyed by ID, built on first use.
+     */
+    private ?array $media_sources = null;
+
+    /**
+     * Download and processing steps for imported media, built on first use.
+     */
+    private ?TI_Media_Pipeline $media_pipeline = null;
+
     /**
      * Settings sections array.
      */
@@ -79,10 +212,39 @@ final class TwitterImporter
             [
                 'set_featured_image' => 'off',
                 'api_base_url' => '',
+                'attribution_template' => self::DEFAULT_ATTRIBUTION_TEMPLATE,
+                'duplicate_policy' => 'skip',
+                'fxtwitter_base_url' => '',
+                'source_order' => 'private_api, fxtwitter',
+                'cache_ttl' => 15,
+                'max_image_size' => 20,
+                'max_video_size' => 512,
             ]
         );
     }
 
+    /**
+     * Returns the site-wide duplicate policy from the settings.
+     */
+    private function get_duplicate_policy(): string
+    {
+        return in_array($this->options['duplicate_policy'], self::DUPLICATE_POLICIES, true)
+            ? $this->options['duplicate_policy']
+            : 'skip';
+    }
+
+    /**
+     * Labels of the duplicate policies, keyed by policy.
+     */
+    private function get_duplicate_policy_labels(): array
+    {
+        return [
+            'skip' => __('Skip it (keep the existing post)', 'twitter-importer'),
+            'update' => __('Update the existing post', 'twitter-importer'),
+            'create' => __('Create a new post anyway', 'twitter-importer'),
+        ];
+    }
+
     /**
      * Helper to retrieve the configured API Base URL.
      * returns string|false
@@ -97,6 +259,119 @@ final class TwitterImporter
         return trailingslashit($url);
     }
 
+    /**
+     * Returns every registered media source, keyed by ID. Other plugins can
+     * add their own TI_Media_Source through the
+     * twitter_importer_media_sources filter.
+     */
+    public function get_media_sources(): array
+    {
+        if ($this->media_sources === null) {
+            $sources = apply_filters(
+                'twitter_importer_media_sources',
+                [
+                    'private_api' => new TI_Private_API_Source(
+                        (string) $this->get_api_base_url(),
+                        $this->get_cache_ttl()
+                    ),
+                    'fxtwitter' => new TI_FxTwitter_Source(
+                        $this->options['fxtwitter_base_url'],
+                        $this->get_cache_ttl()
+                    ),
+                ],
+                $this->options
+            );
+            $this->media_sources = array_filter(
+                is_array($sources) ? $sources : [],
+                fn($source) => $source instanceof TI_Media_Source
+            );
+        }
+        return $this->media_sources;
+    }
+
+    /**
+     * Returns how long API responses are cached, in seconds.
+     */
+    private function get_cache_ttl(): int
+    {
+        return absint($this->options['cache_ttl']) * MINUTE_IN_SECONDS;
+    }
+
+    /**
+     * Returns the media pipeline, with the size limits from the settings.
+     */
+    private function get_media_pipeline(): TI_Media_Pipeline
+    {
+        if ($this->media_pipeline === null) {
+            $this->media_pipeline = new TI_Media_Pipeline(
+                absint($this->options['max_image_size']) * MB_IN_BYTES,
+                absint($this->options['max_video_size']) * MB_IN_BYTES
+            );
+        }
+        return $this->media_pipeline;
+    }
+
+    /**
+     * Returns the configured media sources in the fallback order from the
+     * settings; sources missing from that list are tried last.
+     */
+    private function get_ordered_media_sources(): array
+    {
+        $sources = array_filter(
+            $this->get_media_sources(),
+            fn($source) => $source->is_configured()
+        );
+
+        $ordered = [];
+        foreach (wp_parse_list($this->options['source_order']) as $id) {
+            if (isset($sources[$id])) {
+                $ordered[$id] = $sources[$id];
+            }
+        }
+        return $ordered + $sources;
+    }
+
+    /**
+     * Whether at least one media source is configured.
+     */
+    private function has_media_source(): bool
+    {
+        return !empty($this->get_ordered_media_sources());
+    }
+
+    /**
+     * Runs a request against each configured media source in turn and
+     * returns the first successful result. When every source fails, the
+     * first error is returned, preferring real failures over sources that
+     * do not support the request. With $refresh, sources skip their
+     * cached responses.
+     */
+    private function query_media_sources(callable $request, bool $refresh = false)
+    {
+        $error = null;
+        foreach ($this->get_ordered_media_sources() as $source) {
+            if ($source instanceof TI_Remote_Media_Source) {
+                $source->set_refresh($refresh);
+            }
+            $result = $request($source);
+            if (!is_wp_error($result)) {
+                return $result;
+            }
+            if (
+                $error === null ||
+                ($error->get_error_code() === 'unsupported_request' &&
+                    $result->get_error_code() !== 'unsupported_request')
+            ) {
+                $error = $result;
+            }
+        }
+
+        return $error ?? new WP_Error(
+            'missing_api_url',
+            'No media source is configured.'
+        );
+    }
+
     /**
      * This method registers all actions and filters used by the plugin.
      */
@@ -107,35 +382,50 @@ final class TwitterImporter
         add_action('admin_init', [$this, 'admin_init_settings']);
 
         // Scripts & Styles
+        add_action('init', [$this, 'register_shared_scripts']);
         add_action('admin_enqueue_scripts', [$this, 'admin_enqueue_scripts']);
 
-        // AJAX Handlers
-        add_action('wp_ajax_twitter_search', [$this, 'ajax_search_videos']);
-        add_action(
-            'wp_ajax_twitter_import',
-            [$this, 'ajax_import_single_video']
-        );
-        add_action(
-            'wp_ajax_twitter_import_multiple',
-            [$this, 'ajax_import_multiple_videos']
-        );
+        // Background Import Queue
+        add_action('init', [$this, 'register_job_post_type']);
+        add_action(self::JOB_HOOK, [$this, 'process_import_job']);
+        add_action(self::QUEUE_HOOK, [$this, 'run_import_queue']);
+
+        // Import History
+        add_action('init', [$this, 'register_record_post_type']);
+        add_action('admin_init', [$this, 'schedule_records_backfill']);
+        add_action(self::BACKFILL_HOOK, [$this, 'run_records_backfill']);
+
+        // Scheduled Watchers
+        add_action('init', [$this, 'register_watcher_post_type']);
+        add_action(self::WATCHER_HOOK, [$this, 'run_watcher']);
+        add_action('admin_post_ti_save_watcher', [$this, 'handle_save_watcher']);
         add_action(
-            'wp_ajax_ti_fetch_media',
-            [$this, 'ajax_fetch_media_for_editor']
+            'admin_post_ti_watcher_action',
+            [$this, 'handle_watcher_action']
         );
+
+        // Data Archive Importer
+        add_action('admin_post_ti_upload_archive', [$this, 'handle_upload_archive']);
+        add_action('admin_post_ti_remove_archive', [$this, 'handle_remove_archive']);
+
+        // REST API
+        add_action('rest_api_init', [$this, 'register_rest_routes']);
+
+        // AJAX Handlers
         add_action(
-            'wp_ajax_ti_media_library_import',
-            [$this, 'ajax_media_library_import']
+            'wp_ajax_ti_archive_file',
+            [$this, 'ajax_archive_file']
         );
 
         // Post Editor Meta Box
         add_action('add_meta_boxes', [$this, 'add_editor_meta_box']);
 
+        // Block Editor: "Tweet Media" block and sidebar panel
+        add_action('init', [$this, 'register_tweet_media_block']);
+
         // Media Library UI
         add_action('post-upload-ui', [$this, 'render_media_library_importer']);
-
-        // Bulk Importer Form Handler
-        add_action('admin_post_ti_bulk_import', [$this, 'handle_bulk_import']);
+        add_action('wp_enqueue_media', [$this, 'enqueue_media_frame_assets']);
 
         // Conditionally load the 'save_post' hook for setting the featured image.
         if (($this->options['set_featured_image'] ?? 'off') === 'on') {
@@ -144,14 +434,410 @@ final class TwitterImporter
 
         // Register WP-CLI commands if running in a CLI environment.
         if (defined('WP_CLI') && WP_CLI) {
-            WP_CLI::add_command('twitter get-media', [$this, 'cli_get_media']);
-            WP_CLI::add_command(
-                'twitter create-post',
-                [$this, 'cli_create_post']
-            );
+            $this->register_cli_commands();
         }
     }
 
+    /**
+     * Registers the twitter-importer/v1 REST routes used by the admin
+     * scripts, which external tools can call with an application password.
+     */
+    public function register_rest_routes(): void
+    {
+        $can = fn(string $capability) => fn() => current_user_can($capability);
+        $import_args = [
+            'options' => [
+                'description' => 'Import options, as on the search page: post_status, post_type, post_author, post_date, categories, tags, title_template, text_as, use_tweet_date and duplicates.',
+                'type' => 'object',
+                'default' => [],
+            ],
+            'remember' => [
+                'description' => 'Remember the options as the user\'s defaults on the search page.',
+                'type' => 'boolean',
+                'default' => false,
+            ],
+        ];
+        $video_schema = [
+            'type' => 'object',
+            'description' => 'A search result, or just the "id" or "url" of a tweet to look up.',
+            'properties' => [
+                'id' => ['type' => 'string'],
+                'url' => ['type' => 'string'],
+            ],
+            'anyOf' => [
+                ['type' => 'object', 'required' => ['id']],
+                ['type' => 'object', 'required' => ['url']],
+            ],
+        ];
+
+        // The media modal's "From Twitter/X" tab searches too, for anyone
+        // who can upload files.
+        register_rest_route(self::REST_NAMESPACE, '/search', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'rest_search'],
+            'permission_callback' => $can('upload_files'),
+            'args' => [
+                'query' => [
+                    'type' => 'string',
+                    'required' => true,
+                    'minLength' => 1,
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'type' => [
+                    'type' => 'string',
+                    'enum' => ['username', 'keywords', 'tweet'],
+                    'default' => 'username',
+                ],
+                'cursor' => ['type' => 'string', 'default' => ''],
+                'refresh' => [
+                    'description' => 'Skip cached API responses.',
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/archive', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'rest_archive_search'],
+            'permission_callback' => $can('manage_options'),
+            'args' => [
+                'query' => [
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'type' => [
+                    'type' => 'string',
+                    'enum' => ['all', 'video', 'image'],
+                    'default' => 'all',
+                ],
+                'cursor' => ['type' => 'integer', 'minimum' => 0, 'default' => 0],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/media', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'rest_get_media'],
+            'permission_callback' => $can('edit_posts'),
+            'args' => [
+                'value' => [
+                    'description' => 'Tweet URL or ID, or a username.',
+                    'type' => 'string',
+                    'required' => true,
+                    'minLength' => 1,
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'type' => [
+                    'type' => 'string',
+                    'enum' => ['status', 'user'],
+                    'default' => 'status',
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/import', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_import'],
+            'permission_callback' => $can('manage_options'),
+            'args' => ['video' => ['required' => true] + $video_schema] + $import_args,
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/jobs', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'rest_get_jobs'],
+                'permission_callback' => $can('manage_options'),
+            ],
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'rest_create_jobs'],
+                'permission_callback' => $can('manage_options'),
+                'args' => [
+                    'videos' => [
+                        'type' => 'array',
+                        'required' => true,
+                        'minItems' => 1,
+                        'items' => $video_schema,
+                    ],
+                ] + $import_args,
+            ],
+            [
+                'methods' => WP_REST_Server::DELETABLE,
+                'callback' => [$this, 'rest_clear_jobs'],
+                'permission_callback' => $can('manage_options'),
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/jobs/(?P<id>\d+)', [
+            'methods' => WP_REST_Server::DELETABLE,
+            'callback' => [$this, 'rest_cancel_job'],
+            'permission_callback' => $can('manage_options'),
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/jobs/(?P<id>\d+)/retry', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_retry_job'],
+            'permission_callback' => $can('manage_options'),
+        ]);
+
+        $tweet_url_arg = [
+            'description' => 'Tweet URL or ID.',
+            'type' => 'string',
+            'required' => true,
+            'minLength' => 1,
+            'sanitize_callback' => 'sanitize_text_field',
+        ];
+        register_rest_route(self::REST_NAMESPACE, '/media-library', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'rest_media_library_preview'],
+                'permission_callback' => $can('upload_files'),
+                'args' => ['url' => $tweet_url_arg],
+            ],
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'rest_media_library_import'],
+                'permission_callback' => $can('upload_files'),
+                'args' => [
+                    'url' => $tweet_url_arg,
+                    'indexes' => [
+                        'description' => 'Positions of the media items to import, as listed by the preview. Defaults to all of them.',
+                        'type' => 'array',
+                        'items' => ['type' => 'integer', 'minimum' => 0],
+                    ],
+                    'srcs' => [
+                        'description' => 'URLs of the media items to import, such as a search result\'s download_url, instead of their positions.',
+                        'type' => 'array',
+                        'items' => ['type' => 'string'],
+                    ],
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/media/sideload', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_sideload_media'],
+            'permission_callback' => $can('upload_files'),
+            'args' => [
+                'value' => [
+                    'description' => 'Tweet URL or ID, or a username, as sent to GET /media.',
+                    'type' => 'string',
+                    'required' => true,
+                    'minLength' => 1,
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'type' => [
+                    'type' => 'string',
+                    'enum' => ['status', 'user'],
+                    'default' => 'status',
+                ],
+                'post_id' => ['type' => 'integer', 'minimum' => 0, 'default' => 0],
+                'items' => [
+                    'description' => 'The media items to download, matched by tweet and URL, with an optional alt text and caption.',
+                    'type' => 'array',
+                    'required' => true,
+                    'minItems' => 1,
+                    'items' => [
+                        'type' => 'object',
+                        'required' => ['src'],
+                        'properties' => [
+                            'tweet_id' => ['type' => 'string', 'default' => ''],
+                            'src' => ['type' => 'string'],
+                            'alt' => ['type' => 'string', 'default' => ''],
+                            'caption' => ['type' => 'string', 'default' => ''],
+                        ],
+                    ],
+                ],
+            ],
+        ]);
+
+        $bulk_args = [
+            'url' => $tweet_url_arg,
+            'title' => [
+                'description' => 'Post title.',
+                'type' => 'string',
+                'default' => '',
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'fields' => [
+                'description' => 'Optional columns: status, category, tags, author, date, excerpt and meta.',
+                'type' => 'object',
+                'default' => [],
+            ],
+        ];
+        register_rest_route(self::REST_NAMESPACE, '/bulk/preview', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_bulk_preview'],
+            'permission_callback' => $can('publish_posts'),
+            'args' => $bulk_args,
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk/import', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_bulk_import'],
+            'permission_callback' => $can('publish_posts'),
+            'args' => array_merge($bulk_args, [
+                'title' => ['minLength' => 1] + $bulk_args['title'],
+                'duplicates' => [
+                    'description' => 'What to do when the tweet was already imported. Defaults to the setting.',
+                    'type' => 'string',
+                    'enum' => self::DUPLICATE_POLICIES,
+                ],
+            ]),
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/watchers', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_save_watcher'],
+            'permission_callback' => $can('manage_options'),
+            'args' => [
+                'query' => [
+                    'description' => 'Username or keywords to watch.',
+                    'type' => 'string',
+                    'required' => true,
+                    'minLength' => 1,
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'type' => [
+                    'type' => 'string',
+                    'enum' => ['username', 'keywords'],
+                    'default' => 'username',
+                ],
+                'import_options' => [
+                    'description' => 'Import options for the watcher\'s posts, as for POST /import.',
+                    'type' => 'object',
+                    'default' => [],
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/sources/test', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'rest_test_media_source'],
+            'permission_callback' => $can('manage_options'),
+            'args' => [
+                'value' => $tweet_url_arg,
+                'source' => [
+                    'description' => 'ID of the source to test. Defaults to every configured source.',
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_key',
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Registers the `wp twitter` commands. The newer commands share the
+     * --format and --dry-run arguments, declared here as synopses.
+     */
+    private function register_cli_commands(): void
+    {
+        WP_CLI::add_command('twitter get-media', [$this, 'cli_get_media']);
+        WP_CLI::add_command(
+            'twitter create-post',
+            [$this, 'cli_create_post']
+        );
+
+        $format = [
+            'type' => 'assoc',
+            'name' => 'format',
+            'description' => 'Render output in a particular format.',
+            'optional' => true,
+            'default' => 'table',
+            'options' => ['table', 'json', 'csv'],
+        ];
+        $fields = [
+            'type' => 'assoc',
+            'name' => 'fields',
+            'description' => 'Comma-separated fields to show.',
+            'optional' => true,
+        ];
+        $dry_run = fn(string $description) => [
+            'type' => 'flag',
+            'name' => 'dry-run',
+            'description' => $description,
+            'optional' => true,
+        ];
+        $duplicates = [
+            'type' => 'assoc',
+            'name' => 'duplicates',
+            'description' => 'What to do with tweets that were already imported. Defaults to the setting.',
+            'optional' => true,
+            'options' => self::DUPLICATE_POLICIES,
+        ];
+
+        WP_CLI::add_command('twitter search', [$this, 'cli_search'], [
+            'shortdesc' => 'Searches for media like the Search & Import page.',
+            'synopsis' => [
+                ['type' => 'positional', 'name' => 'query', 'description' => 'Username, keywords, or tweet URL or ID.'],
+                [
+                    'type' => 'assoc',
+                    'name' => 'type',
+                    'description' => 'What the query is.',
+                    'optional' => true,
+                    'default' => 'username',
+                    'options' => ['username', 'keywords', 'tweet'],
+                ],
+                ['type' => 'assoc', 'name' => 'pages', 'description' => 'Number of result pages to fetch.', 'optional' => true, 'default' => 1],
+                ['type' => 'flag', 'name' => 'refresh', 'description' => 'Skip cached API responses.', 'optional' => true],
+                $fields,
+                $format,
+                $dry_run('Show the sources that would be queried without calling them.'),
+            ],
+        ]);
+        WP_CLI::add_command('twitter import', [$this, 'cli_import'], [
+            'shortdesc' => 'Imports tweets as posts, sideloading all of their media.',
+            'synopsis' => [
+                ['type' => 'positional', 'name' => 'tweet', 'description' => 'Tweet URLs or IDs.', 'repeating' => true],
+                ['type' => 'assoc', 'name' => 'post_type', 'description' => 'Post type to create.', 'optional' => true],
+                [
+                    'type' => 'assoc',
+                    'name' => 'post_status',
+                    'description' => 'Status of the new posts.',
+                    'optional' => true,
+                    'options' => array_values(array_diff(self::IMPORT_POST_STATUSES, ['future'])),
+                ],
+                ['type' => 'assoc', 'name' => 'author', 'description' => 'Author ID, login or email.', 'optional' => true],
+                ['type' => 'assoc', 'name' => 'title', 'description' => 'Title template, e.g. "{username} - Video {id}".', 'optional' => true],
+                $duplicates,
+                $format,
+                $dry_run('Look up each tweet and report what would happen without creating posts.'),
+            ],
+        ]);
+        WP_CLI::add_command('twitter bulk-import', [$this, 'cli_bulk_import'], [
+            'shortdesc' => 'Imports a Bulk Importer file: "TweetURL|Post Title" lines, CSV or JSON.',
+            'synopsis' => [
+                ['type' => 'positional', 'name' => 'file', 'description' => 'Path of a .txt, .csv or .json file.'],
+                $duplicates,
+                $format,
+                $dry_run('Validate every line and look up its tweet without creating posts.'),
+            ],
+        ]);
+        WP_CLI::add_command('twitter history', [$this, 'cli_history'], [
+            'shortdesc' => 'Lists the Import History.',
+            'synopsis' => [
+                ['type' => 'assoc', 'name' => 'source', 'description' => 'Only list imports from this source. E.g. search, bulk, cli or watcher.', 'optional' => true],
+                ['type' => 'assoc', 'name' => 'search', 'description' => 'Tweet ID or username to look for.', 'optional' => true],
+                ['type' => 'assoc', 'name' => 'number', 'description' => 'Number of records to list, newest first; 0 lists all.', 'optional' => true, 'default' => 20],
+                $fields,
+                $format,
+                $dry_run('Do not create records for posts imported before the history existed.'),
+            ],
+        ]);
+        WP_CLI::add_command('twitter resync', [$this, 'cli_resync'], [
+            'shortdesc' => 'Downloads the missing media of imports again, or refreshes their posters.',
+            'synopsis' => [
+                ['type' => 'positional', 'name' => 'record', 'description' => 'Import record IDs. Defaults to every record.', 'optional' => true, 'repeating' => true],
+                ['type' => 'assoc', 'name' => 'source', 'description' => 'Only resync imports from this source. E.g. search, bulk, cli or watcher.', 'optional' => true],
+                ['type' => 'flag', 'name' => 'poster', 'description' => 'Refresh the poster / featured image instead.', 'optional' => true],
+                $format,
+                $dry_run('List the records with missing media without downloading anything.'),
+            ],
+        ]);
+    }
+
     /**
      * Adds the plugin's pages to the WordPress admin menu.
      */
@@ -175,35 +861,144 @@ final class TwitterImporter
         );
         add_submenu_page(
             'twitter-importer',
-            'Settings',
-            'Settings',
+            'Import from Archive',
+            'Import from Archive',
             'manage_options',
-            self::OPTION_NAME,
-            [$this, 'render_settings_page']
+            'ti-archive-importer',
+            [$this, 'render_archive_page']
         );
-    }
-
+        $history_hook = add_submenu_page(
+            'twitter-importer',
+            'Import History',
+            'Import History',
+            'manage_options',
+            'ti-import-history',
+            [$this, 'render_history_page']
+        );
+        add_action("load-{$history_hook}", [$this, 'handle_history_actions']);
+        add_submenu_page(
+            'twitter-importer',
+            'Watchers',
+            'Watchers',
+            'manage_options',
+            'ti-watchers',
+            [$this, 'render_watchers_page']
+        );
+        add_submenu_page(
+            'twitter-importer',
+            'Settings',
+            'Settings',
+            'manage_options',
+            self::OPTION_NAME,
+            [$this, 'render_settings_page']
+        );
+    }
+
     /**
      * Renders the main "Search & Import" page.
      */
     public function render_search_import_page(): void
     {
-        if (!$this->get_api_base_url()) {
+        if (!$this->has_media_source()) {
             $this->render_missing_api_notice();
             return;
         }
+        $import_options = $this->get_user_import_options();
+        $import_statuses = self::IMPORT_POST_STATUSES;
+        $post_types = $this->get_importable_post_types();
+        $duplicate_labels = $this->get_duplicate_policy_labels();
         require_once plugin_dir_path(__FILE__) . 'views/search-import-page.php';
     }
 
+    /**
+     * Renders the "Import from Archive" page: the upload form, or the media
+     * tweets of the loaded archive in the search page's grid.
+     */
+    public function render_archive_page(): void
+    {
+        $archive = $this->get_user_archive();
+        $import_options = $this->get_user_import_options();
+        $import_statuses = self::IMPORT_POST_STATUSES;
+        $post_types = $this->get_importable_post_types();
+        $duplicate_labels = $this->get_duplicate_policy_labels();
+
+        $notice = isset($_GET['ti_notice']) ? sanitize_key($_GET['ti_notice']) : '';
+        $error = isset($_GET['ti_error'])
+            ? sanitize_text_field(wp_unslash($_GET['ti_error']))
+            : '';
+
+        require_once plugin_dir_path(__FILE__) . 'views/archive-page.php';
+    }
+
+    /**
+     * Renders the "Import History" page.
+     */
+    public function render_history_page(): void
+    {
+        require_once plugin_dir_path(__FILE__) . 'includes/class-ti-history-list-table.php';
+
+        $list_table = new TI_History_List_Table($this->get_import_sources());
+        $list_table->prepare_items();
+
+        $notice = isset($_GET['ti_notice']) ? sanitize_key($_GET['ti_notice']) : '';
+        $done = isset($_GET['ti_done']) ? absint($_GET['ti_done']) : 0;
+        $failed = isset($_GET['ti_failed']) ? absint($_GET['ti_failed']) : 0;
+        $error = isset($_GET['ti_error'])
+            ? sanitize_text_field(wp_unslash($_GET['ti_error']))
+            : '';
+
+        require_once plugin_dir_path(__FILE__) . 'views/history-page.php';
+    }
+
+    /**
+     * Renders the "Watchers" page: the list of watchers, the add/edit form
+     * and the run log of the watcher being edited.
+     */
+    public function render_watchers_page(): void
+    {
+        if (!$this->has_media_source()) {
+            $this->render_missing_api_notice();
+            return;
+        }
+
+        $watchers = array_map(
+            [$this, 'get_watcher_data'],
+            get_posts([
+                'post_type' => self::WATCHER_POST_TYPE,
+                'post_status' => ['publish', 'draft'],
+                'numberposts' => -1,
+                'orderby' => 'title',
+                'order' => 'ASC',
+            ])
+        );
+        $watcher = isset($_GET['watcher'])
+            ? $this->get_watcher_data(get_post(absint($_GET['watcher'])))
+            : null;
+        $import_options = $watcher
+            ? $watcher['options']
+            : $this->get_user_import_options();
+        // Scheduling needs a fixed date, which makes no sense for repeated runs.
+        $import_statuses = array_diff(self::IMPORT_POST_STATUSES, ['future']);
+        $post_types = $this->get_importable_post_types();
+        $intervals = $this->get_watcher_intervals();
+        $notice = isset($_GET['ti_notice']) ? sanitize_key($_GET['ti_notice']) : '';
+        $error = isset($_GET['ti_error'])
+            ? sanitize_text_field(wp_unslash($_GET['ti_error']))
+            : '';
+
+        require_once plugin_dir_path(__FILE__) . 'views/watchers-page.php';
+    }
+
     /**
      * Renders the "Bulk Importer" page.
      */
     public function render_bulk_import_page(): void
     {
-        if (!$this->get_api_base_url()) {
+        if (!$this->has_media_source()) {
             $this->render_missing_api_notice();
             return;
         }
+        $duplicate_policy = $this->get_duplicate_policy();
         require_once plugin_dir_path(__FILE__) . 'views/bulk-import-page.php';
     }
 
@@ -215,7 +1010,7 @@ final class TwitterImporter
         echo '<div class="wrap"><h1>Twitter Importer</h1>';
         echo '<div class="notice notice-error"><p>' .
             sprintf(
-                __('Please configure the <strong>API Base URL</strong> in the <a href="%s">Settings</a> before using the importer.', 'twitter-importer'),
+                __('Please configure a media source, such as the <strong>API Base URL</strong>, in the <a href="%s">Settings</a> before using the importer.', 'twitter-importer'),
                 esc_url(admin_url('admin.php?page=' . self::OPTION_NAME))
             ) .
             '</p></div></div>';
@@ -229,72 +1024,24 @@ final class TwitterImporter
         echo '<div class="wrap"><h1>Twitter Importer Settings</h1>';
         $this->show_settings_navigation();
         $this->show_settings_forms();
+        $sources = $this->get_media_sources();
+        require_once plugin_dir_path(__FILE__) . 'views/settings-source-test.php';
         echo '</div>';
     }
 
     /**
-     * Handles the form submission from the bulk importer page.
+     * Registers the helpers shared by the admin scripts, which list the
+     * handle as a dependency instead of each carrying a copy.
      */
-    public function handle_bulk_import(): void
+    public function register_shared_scripts(): void
     {
-        // Security checks
-        if (
-            !isset($_POST['_wpnonce']) ||
-            !wp_verify_nonce(
-                sanitize_key($_POST['_wpnonce']),
-                'ti_bulk_import_nonce'
-            )
-        ) {
-            wp_die('Security check failed.');
-        }
-        if (!current_user_can('publish_posts')) {
-            wp_die('You do not have permission to publish posts.');
-        }
-
-        if (!$this->get_api_base_url()) {
-             wp_die('API Base URL is not configured.');
-        }
-
-        $import_data =
-            isset($_POST['import_data'])
-                ? sanitize_textarea_field(wp_unslash($_POST['import_data']))
-                : '';
-        $lines = explode(PHP_EOL, trim($import_data));
-        $success_count = 0;
-        $failed_count = 0;
-
-        foreach ($lines as $line) {
-            $parts = explode('|', trim($line));
-            if (count($parts) !== 2) {
-                $failed_count++;
-                continue;
-            }
-
-            $result = $this->create_post_from_bulk(
-                trim($parts[0]),
-                trim($parts[1])
-            );
-
-            if (!is_wp_error($result)) {
-                $success_count++;
-            } else {
-                $failed_count++;
-            }
-        }
-
-        // Redirect back with status query arguments.
-        $redirect_url = add_query_arg(
-            [
-                'page' => 'ti-bulk-importer',
-                'status' => 'complete',
-                'success' => $success_count,
-                'failed' => $failed_count,
-            ],
-            admin_url('admin.php')
+        wp_register_script(
+            'ti-utils-script',
+            plugin_dir_url(__FILE__) . 'assets/js/admin-utils.js',
+            [],
+            '1.0.0',
+            true
         );
-
-        wp_safe_redirect($redirect_url);
-        exit();
     }
 
     /**
@@ -313,43 +1060,121 @@ final class TwitterImporter
             wp_enqueue_script(
                 'ti-admin-script',
                 plugin_dir_url(__FILE__) . 'assets/js/admin-main-importer.js',
-                ['jquery'],
+                ['jquery', 'wp-api-fetch', 'wp-url', 'wp-a11y', 'ti-utils-script'],
+                '1.0.0',
+                true
+            );
+            wp_localize_script('ti-admin-script', 'twitterImporter', [
+                'historyUrl' => admin_url('admin.php?page=ti-import-history'),
+            ]);
+        }
+
+        // Import from Archive page, which reuses the search page's grid
+        if ('twitter-importer_page_ti-archive-importer' === $hook) {
+            wp_enqueue_style(
+                'ti-admin-style',
+                plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+                [],
+                '1.0.0'
+            );
+            wp_enqueue_script(
+                'ti-admin-script',
+                plugin_dir_url(__FILE__) . 'assets/js/admin-main-importer.js',
+                ['jquery', 'wp-api-fetch', 'wp-url', 'wp-a11y', 'ti-utils-script'],
                 '1.0.0',
                 true
             );
             wp_localize_script('ti-admin-script', 'twitterImporter', [
-                'ajaxUrl' => admin_url('admin-ajax.php'),
-                'nonce' => wp_create_nonce('twitter-importer-nonce'),
+                'historyUrl' => admin_url('admin.php?page=ti-import-history'),
+                'searchPath' => '/' . self::REST_NAMESPACE . '/archive',
+                'searchOnLoad' => (bool) $this->get_user_archive(),
+                'queryOptional' => true,
             ]);
         }
 
+        // Bulk Importer page
+        if ('twitter-importer_page_ti-bulk-importer' === $hook) {
+            wp_enqueue_style(
+                'ti-admin-style',
+                plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+                [],
+                '1.0.0'
+            );
+            wp_enqueue_script(
+                'ti-bulk-importer-script',
+                plugin_dir_url(__FILE__) . 'assets/js/admin-bulk-importer.js',
+                ['jquery', 'wp-api-fetch', 'ti-utils-script'],
+                '1.0.0',
+                true
+            );
+        }
+
+        // Settings page
+        if ('twitter-importer_page_' . self::OPTION_NAME === $hook) {
+            wp_enqueue_style(
+                'ti-admin-style',
+                plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+                [],
+                '1.0.0'
+            );
+            wp_enqueue_script(
+                'ti-settings-script',
+                plugin_dir_url(__FILE__) . 'assets/js/admin-settings.js',
+                ['jquery', 'wp-api-fetch', 'ti-utils-script'],
+                '1.0.0',
+                true
+            );
+        }
+
+        // Watchers and Import History pages
+        if (
+            'twitter-importer_page_ti-watchers' === $hook ||
+            'twitter-importer_page_ti-import-history' === $hook
+        ) {
+            wp_enqueue_style(
+                'ti-admin-style',
+                plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+                [],
+                '1.0.0'
+            );
+        }
+
         // Post Editor (for Meta Box)
         if ('post.php' === $hook || 'post-new.php' === $hook) {
+            wp_enqueue_style(
+                'ti-admin-style',
+                plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+                [],
+                '1.0.0'
+            );
             wp_enqueue_script(
                 'ti-metabox-script',
                 plugin_dir_url(__FILE__) . 'assets/js/admin-metabox.js',
-                ['jquery'],
+                ['jquery', 'wp-api-fetch', 'wp-url', 'ti-utils-script'],
                 '1.0.0',
                 true
             );
             wp_localize_script('ti-metabox-script', 'tiMetabox', [
-                'ajaxUrl' => admin_url('admin-ajax.php'),
-                'nonce' => wp_create_nonce('ti-metabox-nonce'),
+                'postId' => get_the_ID() ?: 0,
             ]);
         }
 
         // Media Library (for Media Library Importer)
         if ('upload.php' === $hook || 'media-new.php' === $hook) {
+            wp_enqueue_style(
+                'ti-admin-style',
+                plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+                [],
+                '1.0.0'
+            );
             wp_enqueue_script(
                 'ti-media-library-script',
                 plugin_dir_url(__FILE__) . 'assets/js/admin-media-library.js',
-                ['jquery'],
+                ['jquery', 'wp-api-fetch', 'wp-url', 'ti-utils-script'],
                 '1.0.0',
                 true
             );
             wp_localize_script('ti-media-library-script', 'tiMediaLibrary', [
-                'ajaxUrl' => admin_url('admin-ajax.php'),
-                'nonce' => wp_create_nonce('ti-media-import-nonce'),
                 'error_message' => __(
                     'An unknown error occurred.',
                     'twitter-importer'
@@ -358,10 +1183,42 @@ final class TwitterImporter
                     'Please provide a valid Twitter Status URL.',
                     'twitter-importer'
                 ),
+                'empty_selection_message' => __(
+                    'Select at least one media item.',
+                    'twitter-importer'
+                ),
             ]);
         }
     }
 
+    /**
+     * Adds the "From Twitter/X" tab to media modals, wherever they are
+     * loaded, for users who can upload files.
+     */
+    public function enqueue_media_frame_assets(): void
+    {
+        if (!current_user_can('upload_files') || !$this->has_media_source()) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'ti-admin-style',
+            plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+            [],
+            '1.0.0'
+        );
+        wp_enqueue_script(
+            'ti-media-frame-script',
+            plugin_dir_url(__FILE__) . 'assets/js/admin-media-frame.js',
+            ['media-views', 'wp-api-fetch', 'wp-url', 'ti-utils-script'],
+            '1.0.0',
+            true
+        );
+        wp_localize_script('ti-media-frame-script', 'tiMediaFrame', [
+            'tabTitle' => __('From Twitter/X', 'twitter-importer'),
+        ]);
+    }
+
     /**
      * Registers the meta box for the post editor screen.
      */
@@ -373,7 +1230,97 @@ final class TwitterImporter
             [$this, 'render_editor_meta_box'],
             ['post', 'page'],
             'normal',
-            'high'
+            'high',
+            // The Block Editor uses the Tweet Media block and sidebar instead.
+            ['__back_compat_meta_box' => true]
+        );
+    }
+
+    /**
+     * Registers the "Tweet Media" block and the script that also provides
+     * its document sidebar panel.
+     */
+    public function register_tweet_media_block(): void
+    {
+        wp_register_script(
+            'ti-block-editor-script',
+            plugin_dir_url(__FILE__) . 'assets/js/admin-block-editor.js',
+            [
+                'wp-blocks',
+                'wp-block-editor',
+                'wp-components',
+                'wp-data',
+                'wp-element',
+                'wp-plugins',
+                'wp-editor',
+                'wp-api-fetch',
+                'wp-url',
+            ],
+            '1.0.0',
+            true
+        );
+        wp_register_style(
+            'ti-admin-style',
+            plugin_dir_url(__FILE__) . 'assets/css/admin.css',
+            [],
+            '1.0.0'
+        );
+
+        register_block_type('twitter-importer/tweet-media', [
+            'api_version' => 2,
+            'editor_script' => 'ti-block-editor-script',
+            'editor_style' => 'ti-admin-style',
+            'render_callback' => [$this, 'render_tweet_media_block'],
+            'attributes' => [
+                'url' => ['type' => 'string', 'default' => ''],
+                'items' => ['type' => 'array', 'default' => []],
+            ],
+        ]);
+    }
+
+    /**
+     * Renders the front end of a "Tweet Media" block that was not converted
+     * into core blocks.
+     */
+    public function render_tweet_media_block(array $attributes): string
+    {
+        $items = is_array($attributes['items'] ?? null) ? $attributes['items'] : [];
+        $images = array_filter($items, fn($item) => ($item['type'] ?? '') === 'image');
+
+        $parts = [];
+        $gallery_added = false;
+        foreach ($items as $item) {
+            $type = $item['type'] ?? '';
+            if ($type === 'video' && !empty($item['src'])) {
+                $parts[] = wp_video_shortcode([
+                    'src' => esc_url_raw($item['src']),
+                    'poster' => esc_url_raw($item['poster'] ?? ''),
+                ]);
+            } elseif ($type === 'image' && !$gallery_added) {
+                $gallery_added = true;
+                $figures = array_map(
+                    fn($image) => sprintf(
+                        '<figure class="wp-block-image"><img src="%s" alt="" /></figure>',
+                        esc_url($image['src'] ?? '')
+                    ),
+                    $images
+                );
+                $parts[] = count($figures) > 1
+                    ? '<figure class="wp-block-gallery has-nested-images columns-default">' .
+                        implode('', $figures) .
+                        '</figure>'
+                    : reset($figures);
+            }
+        }
+
+        if (empty($parts)) {
+            return '';
+        }
+
+        return sprintf(
+            '<div %s>%s</div>',
+            get_block_wrapper_attributes(),
+            implode("\n", $parts)
         );
     }
 
@@ -384,8 +1331,8 @@ final class TwitterImporter
     {
         wp_nonce_field('ti-metabox-nonce', 'ti_nonce_field');
         
-        if (!$this->get_api_base_url()) {
-            echo '<p class="error">' . esc_html__('Error: API Base URL not configured in settings.', 'twitter-importer') . '</p>';
+        if (!$this->has_media_source()) {
+            echo '<p class="error">' . esc_html__('Error: No media source is configured in settings.', 'twitter-importer') . '</p>';
             return;
         }
         
@@ -405,15 +1352,16 @@ final class TwitterImporter
                     'twitter-importer'
                 ); ?>" id='ti_fetch_source' />
                 <button class='button button-primary' id='ti_fetch_button' type='button'><?php esc_html_e(
-                    'Fetch & Insert',
+                    'Fetch',
                     'twitter-importer'
                 ); ?></button>
             </div>
             <p id="ti-fetch-description" class="description" style="margin-top: 8px;"><?php esc_html_e(
-                'Fetches media and inserts it into the editor.',
+                'Fetches media to preview and pick before inserting it into the editor.',
                 'twitter-importer'
             ); ?></p>
             <div id="ti-fetch-notice" style="margin-top: 10px;"></div>
+            <div id="ti-media-picker" style="display: none; margin-top: 10px;"></div>
         </div>
         <?php
     }
@@ -423,7 +1371,7 @@ final class TwitterImporter
      */
     public function render_media_library_importer(): void
     {
-        if (!$this->get_api_base_url()) {
+        if (!$this->has_media_source()) {
             return;
         }
         ?>
@@ -433,650 +1381,4181 @@ final class TwitterImporter
                 'twitter-importer'
             ); ?></h3>
             <p class="description"><?php esc_html_e(
-                'Enter a Tweet URL to import its video or image directly into the Media Library.',
+                'Enter one or more Tweet URLs, one per line, to preview their videos and images and import the ones you choose into the Media Library.',
                 'twitter-importer'
             ); ?></p>
-            <div style="display: flex; justify-content: center; gap: 5px; max-width: 500px; margin: auto;">
-                <input name="ti-media-url" type="url" class="ti-media-url widefat" placeholder="<?php esc_attr_e(
-                    'Twitter Status URL...',
+            <div style="display: flex; justify-content: center; align-items: flex-start; gap: 5px; max-width: 500px; margin: auto;">
+                <textarea name="ti-media-url" class="ti-media-url widefat" rows="3" placeholder="<?php esc_attr_e(
+                    'Twitter Status URLs, one per line...',
                     'twitter-importer'
-                ); ?>" autocomplete="off">
+                ); ?>" autocomplete="off"></textarea>
                 <button type="button" class="ti-media-submit-btn button-primary"><?php esc_html_e(
-                    'Import',
+                    'Preview',
                     'twitter-importer'
                 ); ?></button>
             </div>
             <div class="ti-media-message" style="margin-top: 15px;"></div>
+            <div class="ti-media-preview" style="display: none; max-width: 800px; margin: 15px auto 0; text-align: left;">
+                <div class="ti-media-preview-tweets"></div>
+                <p style="text-align: center;">
+                    <button type="button" class="ti-media-import-btn button-primary"><?php esc_html_e(
+                        'Import Selected',
+                        'twitter-importer'
+                    ); ?></button>
+                    <button type="button" class="ti-media-cancel-btn button"><?php esc_html_e(
+                        'Cancel',
+                        'twitter-importer'
+                    ); ?></button>
+                </p>
+            </div>
         </div>
         <?php
     }
 
     /**
-     * AJAX handler for searching videos on the main importer page.
+     * REST: searches for videos for the main importer page.
      */
-    public function ajax_search_videos(): void
+    public function rest_search(WP_REST_Request $request)
     {
-        check_ajax_referer('twitter-importer-nonce', 'nonce');
-        if (!current_user_can('manage_options')) {
-            wp_send_json_error(['message' => 'Unauthorized'], 403);
+        $search = $this->search_videos(
+            $request['type'],
+            $request['query'],
+            $request['cursor'],
+            $request['refresh']
+        );
+
+        if (is_wp_error($search)) {
+            return $this->get_rest_error($search);
         }
 
-        $type = isset($_POST['type']) ? sanitize_text_field($_POST['type']) : '';
-        $query = isset($_POST['query'])
-            ? sanitize_text_field($_POST['query'])
-            : '';
+        $videos = array_filter(
+            $search['videos'],
+            fn($video) => is_array($video) && !empty($video['tweet_id'])
+        );
 
-        $videos = $this->search_videos($type, $query);
+        // Check which videos have already been imported for UI state.
+        $existing_posts = $this->get_imported_post_urls(
+            array_column($videos, 'tweet_id')
+        );
 
-        if (is_wp_error($videos)) {
-            wp_send_json_error(['message' => $videos->get_error_message()]);
-        }
+        // Format results for the frontend.
+        return [
+            'videos' => array_values(array_map(
+                fn($video) => $this->format_search_result($video, $existing_posts),
+                $videos
+            )),
+            'cursor' => $search['cursor'],
+        ];
+    }
+
+    /**
+     * Gives an error from the import code the HTTP status a REST client
+     * expects for it, keeping its data (such as a duplicate's post_url or
+     * the seconds to wait before retrying).
+     */
+    private function get_rest_error(WP_Error $error, int $default_status = 400): WP_Error
+    {
+        $statuses = [
+            'duplicate' => 409,
+            'not_found' => 404,
+            'no_media_found' => 404,
+            'protected_account' => 403,
+            'rate_limited' => 429,
+            'upstream_down' => 502,
+            'upstream_error' => 502,
+            'json_decode_error' => 502,
+            'missing_api_url' => 503,
+        ];
+        $data = $error->get_error_data();
+
+        return new WP_Error(
+            $error->get_error_code(),
+            $error->get_error_message(),
+            array_merge(
+                is_array($data) ? $data : [],
+                ['status' => $statuses[$error->get_error_code()] ?? $default_status]
+            )
+        );
+    }
+
+    /**
+     * Maps already-imported Twitter IDs to the permalink of their post.
+     */
+    private function get_imported_post_urls(array $video_ids): array
+    {
+        return array_map('get_permalink', $this->get_imported_posts($video_ids));
+    }
 
-        if (empty($videos)) {
-            wp_send_json_success(['videos' => []]);
+    /**
+     * Maps already-imported Twitter IDs to the ID of the post created from
+     * them, whatever its post type. Import records are checked first, then
+     * the _twitter_video_id meta of posts imported before records existed.
+     */
+    private function get_imported_posts(array $video_ids): array
+    {
+        $video_ids = array_values(array_filter(array_map('strval', $video_ids)));
+        if (empty($video_ids)) {
+            return [];
         }
 
-        // Check which videos have already been imported for UI state.
-        $video_ids = array_column($videos, 'tweet_id');
         $existing_posts = [];
-        if (!empty($video_ids)) {
+        $records = get_posts([
+            'post_type' => self::RECORD_POST_TYPE,
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'meta_query' => [
+                [
+                    'key' => '_ti_record_tweet_id',
+                    'value' => $video_ids,
+                    'compare' => 'IN',
+                ],
+                [
+                    'key' => '_ti_record_source',
+                    'value' => self::POST_SOURCES,
+                    'compare' => 'IN',
+                ],
+            ],
+        ]);
+        foreach ($records as $record) {
+            $status = get_post_status($record->post_parent);
+            if ($record->post_parent && $status && $status !== 'trash') {
+                $video_id = get_post_meta($record->ID, '_ti_record_tweet_id', true);
+                $existing_posts[$video_id] = $record->post_parent;
+            }
+        }
+
+        $missing = array_diff($video_ids, array_keys($existing_posts));
+        if (!empty($missing)) {
             $posts_query = new WP_Query([
-                'post_type' => 'post',
+                'post_type' => $this->get_imported_post_types(),
+                'post_status' => 'any',
                 'meta_query' => [
                     [
                         'key' => '_twitter_video_id',
-                        'value' => $video_ids,
+                        'value' => array_values($missing),
                         'compare' => 'IN',
                     ],
                 ],
                 'posts_per_page' => -1,
-                'fields' => 'ID',
+                'fields' => 'ids',
             ]);
             foreach ($posts_query->posts as $post_id) {
-                $video_id = get_post_meta(
-                    $post_id,
-                    '_twitter_video_id',
-                    true
-                );
-                if ($video_id) {
-                    $existing_posts[$video_id] = get_permalink($post_id);
+                $video_id = get_post_meta($post_id, '_twitter_video_id', true);
+                if ($video_id && !isset($existing_posts[$video_id])) {
+                    $existing_posts[$video_id] = $post_id;
                 }
             }
         }
 
-        // Format results for the frontend.
-        $results = array_map(function ($video) use ($existing_posts) {
-            $video_id = $video['tweet_id'];
-            $is_imported = isset($existing_posts[$video_id]);
-            return [
-                'id' => $video_id,
-                'views' => $video['views'] ?? 0,
-                'userName' => $video['username'] ?? '',
-                'thumbnail' => $video['thumbnail'] ?? '',
-                'download_url' => $video['download_url'] ?? '',
-                'is_imported' => $is_imported,
-                'post_url' => $is_imported ? $existing_posts[$video_id] : null,
-            ];
-        }, $videos);
+        return $existing_posts;
+    }
 
-        wp_send_json_success(['videos' => $results]);
+    /**
+     * Post types that may hold imported posts, for duplicate checks.
+     */
+    private function get_imported_post_types(): array
+    {
+        return array_values(array_diff(
+            get_post_types(['show_ui' => true]),
+            ['attachment']
+        ));
     }
 
     /**
-     * AJAX handler for importing a single video.
+     * Formats a video from the search API as the result object used by the
+     * search page and the import paths.
      */
-    public function ajax_import_single_video(): void
+    private function format_search_result(array $video, array $existing_posts): array
     {
-        check_ajax_referer('twitter-importer-nonce', 'nonce');
-        if (!current_user_can('manage_options')) {
-            wp_send_json_error(['message' => 'Unauthorized'], 403);
+        $video_id = $video['tweet_id'];
+        $is_imported = isset($existing_posts[$video_id]);
+        $tweet = $this->get_tweet_details($video);
+        return [
+            'id' => $video_id,
+            'views' => $video['views'] ?? 0,
+            'date' => $tweet['date'],
+            'userName' => $tweet['username'],
+            'name' => $tweet['name'],
+            'avatar' => $tweet['avatar'],
+            'text' => $tweet['text'],
+            'url' => $tweet['url'],
+            'thumbnail' => $video['thumbnail'] ?? '',
+            'download_url' => $video['download_url'] ?? '',
+            'variants' => is_array($video['variants'] ?? null) ? $video['variants'] : [],
+            'is_imported' => $is_imported,
+            'post_url' => $is_imported ? $existing_posts[$video_id] : null,
+        ];
+    }
+
+    /**
+     * REST: imports a single video right away.
+     */
+    public function rest_import(WP_REST_Request $request)
+    {
+        $import_options = $this->get_request_import_options(
+            $request['options'],
+            $request['remember']
+        );
+        if (is_wp_error($import_options)) {
+            return $this->get_rest_error($import_options);
         }
 
-        $video_data = isset($_POST['video_data'])
-            ? json_decode(stripslashes($_POST['video_data']), true)
-            : null;
-        $result = $this->create_post_from_video_search($video_data);
+        $video_data = $this->resolve_video_data($request['video']);
+        if (is_wp_error($video_data)) {
+            return $this->get_rest_error($video_data);
+        }
 
+        $result = $this->create_post_from_video_search($video_data, $import_options);
         if (is_wp_error($result)) {
-            wp_send_json_error(['message' => $result->get_error_message()]);
+            return $this->get_rest_error($result);
         }
 
-        wp_send_json_success([
+        return [
             'post_id' => $result,
             'post_url' => get_permalink($result),
-        ]);
+        ];
     }
 
     /**
-     * AJAX handler for importing multiple videos.
+     * Completes the video data posted to the import routes. Search results
+     * are used as they are; an item with only an "id" or "url", as sent by
+     * external tools, is looked up and gets every media item of the tweet.
+     *
+     * @return array|WP_Error
      */
-    public function ajax_import_multiple_videos(): void
+    private function resolve_video_data(array $video)
     {
-        check_ajax_referer('twitter-importer-nonce', 'nonce');
-        if (!current_user_can('manage_options')) {
-            wp_send_json_error(['message' => 'Unauthorized'], 403);
+        if (!empty($video['media']) || !empty($video['download_url'])) {
+            return $video;
         }
 
-        $videos_data = isset($_POST['videos_data'])
-            ? json_decode(stripslashes($_POST['videos_data']), true)
-            : [];
-        $results = [];
-        foreach ($videos_data as $video_data) {
-            $result = $this->create_post_from_video_search($video_data);
-            $id = $video_data['id'];
-            if (is_wp_error($result)) {
-                $results[] = [
-                    'id' => $id,
-                    'success' => false,
-                    'message' => $result->get_error_message(),
-                ];
-            } else {
-                $results[] = [
-                    'id' => $id,
-                    'success' => true,
-                    'post_id' => $result,
-                    'post_url' => get_permalink($result),
-                ];
-            }
+        $value = (string) ($video['url'] ?? $video['id'] ?? '');
+        $status_id = $this->extract_status_id($value);
+        if (!ctype_digit($status_id)) {
+            return new WP_Error('missing_data', 'Missing video ID.');
+        }
+
+        $media = $this->get_media_by_status($value);
+        if (is_wp_error($media)) {
+            return $media;
         }
-        wp_send_json_success(['results' => $results]);
+
+        return $this->format_search_result(
+            [
+                'tweet_id' => $status_id,
+                'username' => $this->extract_status_username($value),
+                'views' => $media[0]['views'] ?? 0,
+                'text' => $media[0]['text'] ?? '',
+            ],
+            []
+        ) + ['media' => $media];
     }
 
     /**
-     * AJAX handler for the editor meta box to fetch media URLs.
+     * REST: queues several videos as background import jobs.
      */
-    public function ajax_fetch_media_for_editor(): void
+    public function rest_create_jobs(WP_REST_Request $request)
     {
-        check_ajax_referer('ti-metabox-nonce', 'nonce');
-        if (!current_user_can('edit_posts')) {
-            wp_send_json_error(['message' => 'Unauthorized'], 403);
+        $import_options = $this->get_request_import_options(
+            $request['options'],
+            $request['remember']
+        );
+        if (is_wp_error($import_options)) {
+            return $this->get_rest_error($import_options);
         }
 
-        $type = isset($_POST['type']) ? sanitize_key($_POST['type']) : 'status';
-        $value = isset($_POST['value'])
-            ? sanitize_text_field(wp_unslash($_POST['value']))
-            : '';
-
-        if (empty($value)) {
-            wp_send_json_error(['message' => 'No value provided.'], 400);
+        // Queue each video as a background job rather than downloading them
+        // all within this request.
+        $jobs = [];
+        foreach ($request['videos'] as $video) {
+            $video_data = $this->resolve_video_data($video);
+            $job_id = is_wp_error($video_data)
+                ? $video_data
+                : $this->enqueue_import_job($video_data, $import_options);
+            if (is_wp_error($job_id)) {
+                $jobs[] = [
+                    'job_id' => 0,
+                    'id' => $this->extract_status_id((string) ($video['id'] ?? $video['url'] ?? '')),
+                    'status' => 'failed',
+                    'message' => $job_id->get_error_message(),
+                ];
+                continue;
+            }
+            $jobs[] = $this->get_job_data(get_post($job_id));
         }
+        $this->kick_import_queue();
 
-        $content =
-            $type === 'user'
-                ? $this->get_media_by_user($value)
-                : $this->get_media_by_status($value);
+        return new WP_REST_Response(['jobs' => $jobs], 201);
+    }
+
+    /**
+     * REST: returns the current user's import jobs for polling.
+     */
+    public function rest_get_jobs(): array
+    {
+        return ['jobs' => $this->get_user_jobs()];
+    }
+
+    /**
+     * REST: deletes the current user's finished and failed jobs.
+     */
+    public function rest_clear_jobs(): array
+    {
+        foreach ($this->get_user_job_posts() as $job) {
+            if (in_array($this->get_job_status($job->ID), ['imported', 'failed'], true)) {
+                wp_delete_post($job->ID, true);
+            }
+        }
+        return ['jobs' => $this->get_user_jobs()];
+    }
+
+    /**
+     * REST: queues a failed job again.
+     */
+    public function rest_retry_job(WP_REST_Request $request)
+    {
+        $job_id = $this->get_request_job_id($request);
+        if (is_wp_error($job_id)) {
+            return $job_id;
+        }
+        if ($this->get_job_status($job_id) !== 'failed') {
+            return new WP_Error('invalid_job_status', 'Only failed jobs can be retried.', ['status' => 409]);
+        }
+
+        $this->update_job($job_id, 'queued');
+        $this->schedule_import_job($job_id);
+        $this->kick_import_queue();
+
+        return ['jobs' => $this->get_user_jobs()];
+    }
+
+    /**
+     * REST: cancels a job that has not started yet.
+     */
+    public function rest_cancel_job(WP_REST_Request $request)
+    {
+        $job_id = $this->get_request_job_id($request);
+        if (is_wp_error($job_id)) {
+            return $job_id;
+        }
+        if ($this->get_job_status($job_id) === 'downloading') {
+            return new WP_Error('invalid_job_status', 'This job is already running.', ['status' => 409]);
+        }
+
+        if (function_exists('as_unschedule_action')) {
+            as_unschedule_action(self::JOB_HOOK, [$job_id], 'twitter-importer');
+        }
+        wp_delete_post($job_id, true);
+
+        return ['jobs' => $this->get_user_jobs()];
+    }
 
-        if (is_wp_error($content)) {
-            wp_send_json_error(['message' => $content->get_error_message()]);
+    /**
+     * Returns the ID of the job in a /jobs/<id> route when it belongs to
+     * the current user.
+     *
+     * @return int|WP_Error
+     */
+    private function get_request_job_id(WP_REST_Request $request)
+    {
+        $job = get_post((int) $request['id']);
+        if (
+            !$job ||
+            $job->post_type !== self::JOB_POST_TYPE ||
+            (int) $job->post_author !== get_current_user_id()
+        ) {
+            return new WP_Error('job_not_found', 'Import job not found.', ['status' => 404]);
         }
+        return $job->ID;
+    }
+
+    /**
+     * REST: fetches the media of a tweet, or a user's recent media, for the
+     * editor meta box and the block editor.
+     */
+    public function rest_get_media(WP_REST_Request $request)
+    {
+        $content = $this->get_editor_media($request['type'], $request['value']);
 
-        wp_send_json_success($content);
+        return is_wp_error($content) ? $this->get_rest_error($content) : $content;
     }
 
     /**
-     * AJAX handler for the Media Library importer.
+     * REST: downloads selected media of a tweet into the library for the
+     * editor meta box, e.g. to build a [gallery] in the Classic Editor.
      */
-    public function ajax_media_library_import(): void
+    public function rest_sideload_media(WP_REST_Request $request)
     {
-        check_ajax_referer('ti-media-import-nonce');
-        if (!current_user_can('upload_files')) {
-            wp_send_json_error(
-                ['message' => 'You do not have permission to upload files.'],
-                403
+        $type = $request['type'];
+        $value = $request['value'];
+        $post_id = (int) $request['post_id'];
+        $requested = $request['items'];
+
+        if ($post_id && !current_user_can('edit_post', $post_id)) {
+            return new WP_Error('rest_forbidden', 'You are not allowed to edit this post.', ['status' => 403]);
+        }
+
+        // Media is looked up again rather than trusting URLs from the browser.
+        $items = $this->get_editor_media($type, $value);
+        if (is_wp_error($items)) {
+            return $this->get_rest_error($items);
+        }
+
+        // Items are matched by tweet and URL, not position: a timeline may
+        // have gained tweets since the picker was shown.
+        $selected = [];
+        foreach ($requested as $position => $wanted) {
+            $match = $this->find_editor_media_item(
+                $items,
+                sanitize_text_field($wanted['tweet_id'] ?? ''),
+                esc_url_raw($wanted['src'] ?? '')
             );
+            if ($match === null) {
+                return new WP_Error(
+                    'not_found',
+                    'A selected media item is no longer available. Fetch the media again.',
+                    ['status' => 404]
+                );
+            }
+            $selected[$position] = [$match, $wanted];
         }
 
-        $url = isset($_POST['url']) ? esc_url_raw(wp_unslash($_POST['url'])) : '';
-        if (empty($url)) {
-            wp_send_json_error(
-                ['message' => 'Please provide a valid URL.'],
-                400
+        // The account name is part of the imported files' names.
+        $username = $type === 'user'
+            ? ltrim($value, '@')
+            : $this->extract_status_username($value);
+
+        $local_items = [];
+        $recorded = [];
+        foreach ($selected as $position => [$item, $detail]) {
+            $local = $this->sideload_media_item($item + ['username' => $username], $post_id);
+            if (is_wp_error($local)) {
+                $this->delete_sideloaded_media($local_items);
+                return $this->get_rest_error($local, 500);
+            }
+
+            $this->update_attachment_details(
+                $local['id'],
+                $local['type'] === 'image'
+                    ? sanitize_text_field($detail['alt'] ?? '')
+                    : '',
+                sanitize_textarea_field($detail['caption'] ?? '')
+            );
+
+            $local_items[] = ['index' => $position] + $local;
+            $tweet_id = $item['tweet_id'] ?? '';
+            if ($tweet_id !== '') {
+                $recorded[$tweet_id][] = $this->describe_imported_media($item, $local);
+            }
+        }
+
+        foreach ($recorded as $tweet_id => $media) {
+            $this->record_import(
+                (string) $tweet_id,
+                'metabox',
+                $post_id,
+                $type === 'user' ? ltrim($value, '@') : $this->extract_status_username($value),
+                $media
             );
         }
 
-        $media_data = $this->get_media_by_status($url);
+        return $local_items;
+    }
+
+    /**
+     * Finds the fetched media item with the given tweet ID and source URL.
+     */
+    private function find_editor_media_item(array $items, string $tweet_id, string $src): ?array
+    {
+        foreach ($items as $item) {
+            if (
+                $src !== '' &&
+                ($item['src'] ?? '') === $src &&
+                ($tweet_id === '' || (string) ($item['tweet_id'] ?? '') === $tweet_id)
+            ) {
+                return $item;
+            }
+        }
+        return null;
+    }
 
-        if (is_wp_error($media_data)) {
-            wp_send_json_error(['message' => $media_data->get_error_message()]);
+    /**
+     * REST: lists the media of a tweet for the Media Library importer's
+     * preview, with the attachment each item was already imported as.
+     */
+    public function rest_media_library_preview(WP_REST_Request $request)
+    {
+        $url = $request['url'];
+        $media_items = $this->get_media_by_status($url);
+        if (is_wp_error($media_items)) {
+            return $this->get_rest_error($media_items);
         }
 
-        $attachment_id = $this->sideload_media($media_data['src']);
-        if (is_wp_error($attachment_id)) {
-            wp_send_json_error([
-                'message' => $attachment_id->get_error_message(),
-            ]);
+        $tweet_id = $this->extract_status_id($url);
+        $items = [];
+        foreach (array_values($media_items) as $index => $media_item) {
+            $attachment_id = $this->find_imported_media_attachment(
+                $tweet_id,
+                $media_item['src']
+            );
+            $items[] = [
+                'index' => $index,
+                'type' => $media_item['type'],
+                'src' => $media_item['src'],
+                'poster' => $media_item['poster'] ?? '',
+                'text' => $media_item['text'] ?? '',
+                'views' => (int) ($media_item['views'] ?? 0),
+                'attachment_id' => $attachment_id,
+                'edit_url' => $attachment_id ? get_edit_post_link($attachment_id, 'raw') : '',
+            ];
         }
 
-        wp_send_json_success(['message' => 'Import successful!']);
+        return [
+            'tweet_id' => $tweet_id,
+            'username' => $this->extract_status_username($url),
+            'url' => $this->get_tweet_url($url),
+            'items' => $items,
+        ];
     }
 
     /**
-     * Creates a post from video data from the main search importer.
+     * REST: imports the chosen photos and videos of a tweet into the Media
+     * Library, with the tweet's details as attachment title, caption, alt
+     * text and description. Items that are already in the library are
+     * refused unless the duplicate policy is "create".
      */
-    private function create_post_from_video_search(?array $video_data)
+    public function rest_media_library_import(WP_REST_Request $request)
     {
-        if (empty($video_data)) {
-            return new WP_Error('missing_data', 'No video data provided.');
+        $url = $request['url'];
+        $media_items = $this->get_media_by_status($url);
+        if (is_wp_error($media_items)) {
+            return $this->get_rest_error($media_items);
         }
+        $media_items = array_values($media_items);
 
-        $video_id = $video_data['id'] ?? '';
-        if (empty($video_id)) {
-            return new WP_Error('missing_data', 'Missing video ID.');
+        if (!empty($request['srcs'])) {
+            $srcs = array_map('esc_url_raw', $request['srcs']);
+            $chosen = array_filter(
+                $media_items,
+                fn($media_item) => in_array($media_item['src'], $srcs, true)
+            );
+            if (empty($chosen)) {
+                return new WP_Error(
+                    'not_found',
+                    'The chosen media is no longer part of this tweet.',
+                    ['status' => 404]
+                );
+            }
+        } else {
+            $indexes = $request['indexes'] ?? array_keys($media_items);
+            $chosen = array_intersect_key($media_items, array_flip($indexes));
+        }
+        if (empty($chosen)) {
+            return new WP_Error('missing_data', 'Choose at least one media item.', ['status' => 400]);
         }
 
-        if ($this->is_duplicate($video_id)) {
+        $tweet_id = $this->extract_status_id($url);
+        $username = $this->extract_status_username($url);
+        $policy = $this->get_duplicate_policy();
+        $existing_ids = [];
+        foreach ($chosen as $index => $media_item) {
+            $attachment_id = $policy === 'create'
+                ? 0
+                : $this->find_imported_media_attachment($tweet_id, $media_item['src']);
+            if ($attachment_id) {
+                $existing_ids[] = $attachment_id;
+                unset($chosen[$index]);
+            }
+        }
+        if (!empty($existing_ids) && $policy === 'update') {
+            $this->update_imported_attachments($tweet_id);
+        }
+        if (empty($chosen)) {
             return new WP_Error(
                 'duplicate',
-                'This video has already been imported.'
+                $policy === 'update'
+                    ? 'This media is already in the Media Library. Any missing files were downloaded again.'
+                    : 'This media is already in the Media Library.',
+                ['status' => 409, 'attachment_ids' => array_values(array_unique($existing_ids))]
             );
         }
 
-        $video_url = $video_data['download_url'] ?? '';
-        $poster_url = $video_data['thumbnail'] ?? '';
-        if (empty($video_url) || empty($poster_url)) {
-            return new WP_Error('missing_data', 'Missing video or poster URL.');
+        $attachments = [];
+        $media = [];
+        foreach ($chosen as $media_item) {
+            $attachment_id = $this->sideload_media(
+                $media_item['src'],
+                0,
+                $this->get_media_file($media_item + ['tweet_id' => $tweet_id, 'username' => $username])
+            );
+            if (is_wp_error($attachment_id)) {
+                // All or nothing: drop the items this request already added.
+                $this->delete_sideloaded_media($media);
+                return new WP_Error(
+                    $attachment_id->get_error_code(),
+                    $attachment_id->get_error_message(),
+                    ['status' => 500]
+                );
+            }
+            $this->set_tweet_attachment_data($attachment_id, $media_item, $url);
+            $attachments[] = $this->describe_attachment($attachment_id);
+            $media[] = $this->describe_imported_media(
+                ['src' => $media_item['src']],
+                [
+                    'type' => $media_item['type'],
+                    'id' => $attachment_id,
+                    'src' => wp_get_attachment_url($attachment_id),
+                ]
+            );
         }
 
-        $username = $video_data['userName'] ?? '';
-        $post_title =
-            (!empty($username) ? $username . ' - ' : '') . 'Video ' . $video_id;
+        $this->record_import($tweet_id, 'media_library', 0, $username, $media);
 
-        $post_id = wp_insert_post([
-            'post_title' => sanitize_text_field($post_title),
-            'post_status' => 'publish',
-            'post_type' => 'post',
-        ]);
+        $message = sprintf(
+            _n(
+                'Import successful! %d media item added.',
+                'Import successful! %d media items added.',
+                count($attachments),
+                'twitter-importer'
+            ),
+            count($attachments)
+        );
+        if (!empty($existing_ids)) {
+            $message .= ' ' . sprintf(
+                _n(
+                    '%d item was already in the Media Library.',
+                    '%d items were already in the Media Library.',
+                    count($existing_ids),
+                    'twitter-importer'
+                ),
+                count($existing_ids)
+            );
+        }
 
-        if (is_wp_error($post_id)) {
-            return $post_id;
+        return new WP_REST_Response([
+            'message' => $message,
+            'attachment_ids' => array_column($attachments, 'id'),
+            'attachments' => $attachments,
+            'existing_ids' => array_values(array_unique($existing_ids)),
+        ], 201);
+    }
+
+    /**
+     * REST: validates one Bulk Importer line the way importing it would,
+     * then resolves it to its media so the page can preview it.
+     */
+    public function rest_bulk_preview(WP_REST_Request $request)
+    {
+        $url = $request['url'];
+        if ($request['title'] === '') {
+            return new WP_Error('invalid_field', 'Missing post title.', ['status' => 400]);
         }
 
-        update_post_meta($post_id, '_twitter_video_id', $video_id);
+        $fields = $this->sanitize_bulk_fields($request['fields']);
+        if (is_wp_error($fields)) {
+            return $this->get_rest_error($fields);
+        }
 
-        $thumbnail_id = $this->sideload_media($poster_url, $post_id);
-        if (!is_wp_error($thumbnail_id)) {
-            set_post_thumbnail($post_id, $thumbnail_id);
+        $media = $this->get_media_by_status($url);
+        if (is_wp_error($media)) {
+            return $this->get_rest_error($media);
         }
 
-        $video_attachment_id = $this->sideload_media($video_url, $post_id);
-        if (!is_wp_error($video_attachment_id)) {
-            $local_video_url = wp_get_attachment_url($video_attachment_id);
-            $local_poster_url = is_wp_error($thumbnail_id)
-                ? ''
-                : wp_get_attachment_url($thumbnail_id);
-
-            $content =
-                '[video src="' .
-                esc_url($local_video_url) .
-                '" poster="' .
-                esc_url($local_poster_url) .
-                '"]';
-            wp_update_post(['ID' => $post_id, 'post_content' => $content]);
-        } else {
-            // Clean up the created post if the video download fails.
-            wp_delete_post($post_id, true);
-            return new WP_Error(
-                'video_download_failed',
-                'Failed to download video file: ' .
-                    $video_attachment_id->get_error_message()
-            );
+        $existing_post_id = $this->find_imported_post(
+            $this->extract_status_id($url)
+        );
+
+        return [
+            'type' => $media[0]['type'],
+            'count' => count($media),
+            'src' => $media[0]['src'],
+            'thumbnail' => $media[0]['poster'] ?? $media[0]['src'],
+            'existing_post_url' => $existing_post_id
+                ? get_permalink($existing_post_id)
+                : null,
+        ];
+    }
+
+    /**
+     * REST: imports a single Bulk Importer line as a post.
+     */
+    public function rest_bulk_import(WP_REST_Request $request)
+    {
+        $fields = $this->sanitize_bulk_fields($request['fields']);
+        if (is_wp_error($fields)) {
+            return $this->get_rest_error($fields);
         }
 
-        return $post_id;
+        $result = $this->create_post_from_bulk(
+            $request['url'],
+            $request['title'],
+            $fields,
+            $request['duplicates'] ?? $this->get_duplicate_policy()
+        );
+        if (is_wp_error($result)) {
+            return $this->get_rest_error($result);
+        }
+
+        return new WP_REST_Response([
+            'post_id' => $result,
+            'post_url' => get_permalink($result),
+            'edit_url' => get_edit_post_link($result, 'raw'),
+        ], 201);
     }
 
     /**
-     * Creates a post from data provided to the bulk importer.
+     * REST: backs the settings page's "Test connection" button. Looks up
+     * a tweet through one source, or every configured source, and returns
+     * what each one answered in the normalized shape.
      */
-    private function create_post_from_bulk(string $url, string $title)
+    public function rest_test_media_source(WP_REST_Request $request)
     {
-        $content_data = $this->get_media_by_status($url);
-        if (is_wp_error($content_data)) {
-            return $content_data;
+        $status_id = $this->extract_status_id($request['value']);
+        if (!ctype_digit($status_id)) {
+            return new WP_Error(
+                'missing_data',
+                'Please enter a tweet URL or ID to test with.',
+                ['status' => 400]
+            );
         }
 
-        $post_content = $this->get_content_as_string($content_data, $title);
-        if (empty($post_content)) {
-            return new WP_Error('no_content', 'Could not generate post content.');
+        $source_id = $request['source'];
+        $sources = $source_id !== ''
+            ? array_intersect_key($this->get_media_sources(), [$source_id => true])
+            : $this->get_ordered_media_sources();
+        if (empty($sources)) {
+            return new WP_Error('missing_api_url', 'No media source is configured.', ['status' => 503]);
         }
 
-        $post_id = wp_insert_post([
-            'post_title' => sanitize_text_field($title),
-            'post_content' => $post_content,
+        $results = [];
+        foreach ($sources as $id => $source) {
+            $result = [
+                'id' => $id,
+                'label' => $source->get_label(),
+            ];
+            if (!$source->is_configured()) {
+                $results[] = $result + [
+                    'success' => false,
+                    'code' => 'not_configured',
+                    'message' => 'This source is not configured.',
+                ];
+                continue;
+            }
+
+            // Always test the live API, never a cached response.
+            if ($source instanceof TI_Remote_Media_Source) {
+                $source->set_refresh(true);
+            }
+            $started = microtime(true);
+            $media = $source->get_status_media($status_id);
+            $result['time'] = (int) round((microtime(true) - $started) * 1000);
+
+            $results[] = is_wp_error($media)
+                ? $result + [
+                    'success' => false,
+                    'code' => $media->get_error_code(),
+                    'message' => $media->get_error_message(),
+                ]
+                : $result + ['success' => true, 'sample' => $media];
+        }
+
+        return ['results' => $results];
+    }
+
+    /**
+     * Validates the import options sent with an import request and, when
+     * asked to, remembers them as the current user's last-used choices.
+     */
+    private function get_request_import_options(array $raw, bool $remember = false)
+    {
+        $options = $this->sanitize_import_options($raw);
+        if (!is_wp_error($options) && $remember) {
+            // The duplicate policy is a per-import override of the setting,
+            // so it is not remembered.
+            update_user_meta(
+                get_current_user_id(),
+                self::IMPORT_OPTIONS_META,
+                array_diff_key($options, ['duplicates' => true])
+            );
+        }
+        return $options;
+    }
+
+    /**
+     * Default options used when creating posts from imported media.
+     */
+    private function get_default_import_options(): array
+    {
+        return [
             'post_status' => 'publish',
             'post_type' => 'post',
-        ]);
+            'post_author' => get_current_user_id(),
+            'post_date' => '',
+            'categories' => [],
+            'tags' => '',
+            'title_template' => '{username} - Video {id}',
+            'text_as' => 'content',
+            'use_tweet_date' => false,
+            'duplicates' => $this->get_duplicate_policy(),
+        ];
+    }
 
-        return is_wp_error($post_id) ? $post_id : (int) $post_id;
+    /**
+     * Returns the current user's last-used import options, merged with defaults.
+     */
+    private function get_user_import_options(): array
+    {
+        $saved = get_user_meta(
+            get_current_user_id(),
+            self::IMPORT_OPTIONS_META,
+            true
+        );
+        return wp_parse_args(
+            is_array($saved) ? $saved : [],
+            $this->get_default_import_options()
+        );
     }
 
     /**
-     * Downloads a file from a URL and attaches it to the media library.
+     * Returns the post types the current user may import media into.
      */
-    private function sideload_media(
-        string $url,
-        int $post_id = 0,
-        ?string $desc = null
-    ) {
-        // These functions are required for sideloading.
-        if (!function_exists('media_handle_sideload')) {
-            require_once ABSPATH . 'wp-admin/includes/image.php';
-            require_once ABSPATH . 'wp-admin/includes/file.php';
-            require_once ABSPATH . 'wp-admin/includes/media.php';
+    private function get_importable_post_types(): array
+    {
+        $post_types = get_post_types(['show_ui' => true], 'objects');
+        unset($post_types['attachment']);
+
+        return array_filter(
+            $post_types,
+            fn($post_type) => current_user_can($post_type->cap->create_posts)
+        );
+    }
+
+    /**
+     * Validates raw import options against what the current user may do.
+     */
+    private function sanitize_import_options(array $raw)
+    {
+        $options = $this->get_default_import_options();
+
+        $status = sanitize_key($raw['post_status'] ?? $options['post_status']);
+        if (!in_array($status, self::IMPORT_POST_STATUSES, true)) {
+            return new WP_Error('invalid_option', 'Invalid post status.');
         }
 
-        // Download file to a temporary directory.
-        $tmp = download_url($url, 120); // 120-second timeout
-        if (is_wp_error($tmp)) {
-            return $tmp;
+        $post_type = sanitize_key($raw['post_type'] ?? $options['post_type']);
+        if (!isset($this->get_importable_post_types()[$post_type])) {
+            return new WP_Error('invalid_option', 'Invalid post type.');
         }
 
-        $file_array = ['name' => basename($url), 'tmp_name' => $tmp];
-        $attachment_id = media_handle_sideload($file_array, $post_id, $desc);
+        $post_type_object = get_post_type_object($post_type);
+        if (
+            in_array($status, ['publish', 'future'], true) &&
+            !current_user_can($post_type_object->cap->publish_posts)
+        ) {
+            $status = 'pending';
+        }
 
-        // If an error occurred, unlink the temporary file.
-        if (is_wp_error($attachment_id)) {
-            @unlink($file_array['tmp_name']);
+        $author = absint($raw['post_author'] ?? 0);
+        if (
+            !$author ||
+            ($author !== get_current_user_id() &&
+                !current_user_can($post_type_object->cap->edit_others_posts)) ||
+            !user_can($author, $post_type_object->cap->edit_posts)
+        ) {
+            $author = get_current_user_id();
         }
 
-        return $attachment_id;
+        $post_date = sanitize_text_field($raw['post_date'] ?? '');
+        if ($status === 'future') {
+            $timestamp = strtotime(get_gmt_from_date($post_date));
+            if (empty($post_date) || !$timestamp || $timestamp <= time()) {
+                return new WP_Error(
+                    'invalid_option',
+                    'Scheduled posts need a publish date in the future.'
+                );
+            }
+        }
+
+        $categories = array_values(array_filter(array_map(
+            'absint',
+            (array) ($raw['categories'] ?? [])
+        )));
+
+        $title_template = sanitize_text_field($raw['title_template'] ?? '');
+
+        $text_as = sanitize_key($raw['text_as'] ?? $options['text_as']);
+        if (!in_array($text_as, ['content', 'excerpt', 'none'], true)) {
+            $text_as = $options['text_as'];
+        }
+
+        $duplicates = sanitize_key($raw['duplicates'] ?? $options['duplicates']);
+        if (!in_array($duplicates, self::DUPLICATE_POLICIES, true)) {
+            $duplicates = $options['duplicates'];
+        }
+
+        return [
+            'post_status' => $status,
+            'post_type' => $post_type,
+            'post_author' => $author,
+            'post_date' => $post_date,
+            'categories' => $categories,
+            'tags' => sanitize_text_field($raw['tags'] ?? ''),
+            'title_template' => $title_template !== ''
+                ? $title_template
+                : $options['title_template'],
+            'text_as' => $text_as,
+            'use_tweet_date' => !empty($raw['use_tweet_date']) &&
+                $raw['use_tweet_date'] !== 'false',
+            'duplicates' => $duplicates,
+        ];
     }
 
     /**
-     * Checks if a video has already been imported by its Twitter ID.
+     * Builds a post title from a template with {username}, {name}, {id},
+     * {text} and {date} tokens.
      */
-    private function is_duplicate(string $video_id): bool
+    private function render_title_template(string $template, array $video_data): string
     {
-        $existing_posts = get_posts([
-            'post_type' => 'post',
-            'meta_key' => '_twitter_video_id',
-            'meta_value' => $video_id,
-            'posts_per_page' => 1,
-            'fields' => 'ids',
+        $date = $video_data['date'] ?? '';
+        $timestamp = $date ? strtotime($date) : false;
+
+        $title = strtr($template, [
+            '{username}' => $video_data['userName'] ?? '',
+            '{name}' => $video_data['name'] ?? '',
+            '{id}' => $video_data['id'] ?? '',
+            '{text}' => wp_trim_words($video_data['text'] ?? '', 12, '...'),
+            '{date}' => wp_date(
+                get_option('date_format'),
+                $timestamp ?: null
+            ),
         ]);
-        return !empty($existing_posts);
+
+        // Tidy up separators left behind by empty tokens.
+        return trim(preg_replace('/\s+/', ' ', $title), " -|:");
     }
 
     /**
-     * Generates a content string (shortcode or img tag) from media data.
+     * Normalizes the tweet details of an API item: text, author username,
+     * display name and avatar, permalink and timestamp.
      */
-    private function get_content_as_string(
-        array $content_data,
-        string $title = ''
-    ): string {
-        if (($content_data['type'] ?? '') === 'video') {
-            return sprintf(
-                '[video src="%s" poster="%s"]',
-                esc_url($content_data['src']),
-                esc_url($content_data['poster'])
-            );
-        } elseif (($content_data['type'] ?? '') === 'image') {
-            return sprintf(
-                '<img src="%s" alt="%s" />',
-                esc_url($content_data['src']),
-                esc_attr($title)
-            );
+    private function get_tweet_details(array $tweet): array
+    {
+        $user = is_array($tweet['user'] ?? null) ? $tweet['user'] : [];
+        $username = sanitize_text_field(
+            $tweet['username'] ?? $tweet['userName'] ?? $user['screen_name'] ?? ''
+        );
+        $tweet_id = (string) ($tweet['tweet_id'] ?? $tweet['id'] ?? '');
+
+        // Only trust permalinks that point at the tweet on Twitter/X.
+        $url = (string) ($tweet['url'] ?? $tweet['tweet_url'] ?? '');
+        if (!preg_match(self::TWITTER_STATUS_REGEX, $url)) {
+            $url = $username !== '' && ctype_digit($tweet_id)
+                ? "https://x.com/{$username}/status/{$tweet_id}"
+                : '';
         }
-        return '';
+
+        return [
+            'username' => $username,
+            'name' => sanitize_text_field(
+                $tweet['name'] ?? $tweet['display_name'] ?? $user['name'] ?? $username
+            ),
+            'avatar' => esc_url_raw(
+                $tweet['avatar'] ??
+                    $tweet['profile_image_url'] ??
+                    $user['profile_image_url_https'] ??
+                    ''
+            ),
+            'text' => sanitize_textarea_field(
+                $tweet['text'] ?? $tweet['full_text'] ?? ''
+            ),
+            'url' => esc_url_raw($url),
+            'date' => $tweet['created_at'] ?? $tweet['date'] ?? null,
+        ];
     }
 
     /**
-     * Sets the featured image from a video poster on post save.
+     * Renders the configured source attribution line for a tweet, or an
+     * empty string when attribution is turned off.
+     */
+    private function render_attribution(array $tweet): string
+    {
+        $template = (string) ($this->options['attribution_template'] ?? '');
+        if (trim($template) === '') {
+            return '';
+        }
+
+        $timestamp = $tweet['date'] ? strtotime($tweet['date']) : false;
+        $line = strtr($template, [
+            '{name}' => esc_html($tweet['name']),
+            '{username}' => esc_html($tweet['username']),
+            '{url}' => esc_url($tweet['url']),
+            '{text}' => esc_html(wp_trim_words($tweet['text'], 20, '...')),
+            '{date}' => $timestamp
+                ? esc_html(wp_date(get_option('date_format'), $timestamp))
+                : '',
+        ]);
+
+        return '<p class="twitter-importer-attribution">' . wp_kses_post($line) . '</p>';
+    }
+
+    /**
+     * Creates a post from video data from the main search importer. When the
+     * tweet was already imported, the 'duplicates' option decides whether to
+     * 'skip' it, 'update' the existing post or 'create' another one.
+     */
+    private function create_post_from_video_search(
+        ?array $video_data,
+        array $options = [],
+        string $source = 'search'
+    ) {
+        if (empty($video_data)) {
+            return new WP_Error('missing_data', 'No video data provided.');
+        }
+
+        $video_id = $video_data['id'] ?? '';
+        if (empty($video_id)) {
+            return new WP_Error('missing_data', 'Missing video ID.');
+        }
+
+        $options = wp_parse_args($options, $this->get_default_import_options());
+
+        $existing_post_id = $options['duplicates'] === 'create'
+            ? 0
+            : $this->find_imported_post($video_id);
+        if ($existing_post_id && $options['duplicates'] !== 'update') {
+            return new WP_Error(
+                'duplicate',
+                'This video has already been imported.',
+                [
+                    'post_id' => $existing_post_id,
+                    'post_url' => get_permalink($existing_post_id),
+                ]
+            );
+        }
+
+        $media = $this->get_video_data_media($video_data);
+        if (is_wp_error($media)) {
+            return $media;
+        }
+        if ($source === 'search' && $this->is_archive_url($media[0]['src'])) {
+            $source = 'archive';
+        }
+
+        $post_title = $this->render_title_template(
+            $options['title_template'],
+            $video_data
+        );
+        if ($post_title === '') {
+            $post_title = 'Video ' . $video_id;
+        }
+
+        $tweet = $this->get_tweet_details(
+            ['tweet_id' => $video_id] + $video_data
+        );
+
+        $post_data = [
+            'post_title' => sanitize_text_field($post_title),
+            'post_status' => $options['post_status'],
+            'post_type' => $options['post_type'],
+            'post_author' => $options['post_author'],
+        ];
+        if ($options['text_as'] === 'excerpt') {
+            $post_data['post_excerpt'] = $tweet['text'];
+        }
+        if ($options['post_status'] === 'future' && !empty($options['post_date'])) {
+            $post_data['post_date'] = get_date_from_gmt(
+                get_gmt_from_date($options['post_date'])
+            );
+        } elseif ($options['use_tweet_date'] && $tweet['date']) {
+            $timestamp = strtotime($tweet['date']);
+            if ($timestamp) {
+                $post_data['post_date_gmt'] = gmdate('Y-m-d H:i:s', $timestamp);
+                $post_data['post_date'] = get_date_from_gmt($post_data['post_date_gmt']);
+            }
+        }
+
+        $compose = function (string $media_content) use ($options, $tweet): string {
+            $parts = [$media_content];
+            if ($options['text_as'] === 'content' && $tweet['text'] !== '') {
+                array_unshift($parts, wpautop(make_clickable(esc_html($tweet['text']))));
+            }
+            $parts[] = $this->render_attribution($tweet);
+            return implode("\n\n", array_filter($parts));
+        };
+
+        // An existing post is only changed once its new media is in the
+        // library, so a failed download leaves it as it was.
+        $post_id = $existing_post_id
+            ? $this->update_imported_post($existing_post_id, $post_data, $media, '', $compose)
+            : wp_insert_post($post_data, true);
+        if (is_wp_error($post_id)) {
+            return $post_id;
+        }
+
+        if (
+            !empty($options['categories']) &&
+            is_object_in_taxonomy($options['post_type'], 'category')
+        ) {
+            wp_set_post_categories($post_id, $options['categories']);
+        }
+        if (
+            !empty($options['tags']) &&
+            is_object_in_taxonomy($options['post_type'], 'post_tag')
+        ) {
+            wp_set_post_tags($post_id, $options['tags']);
+        }
+
+        update_post_meta($post_id, '_twitter_video_id', $video_id);
+        $this->update_tweet_meta($post_id, $tweet);
+
+        if (!$existing_post_id) {
+            $content = $this->sideload_post_media($post_id, $media);
+            if (is_wp_error($content)) {
+                // Clean up the created post if the video download fails.
+                wp_delete_post($post_id, true);
+                return $content;
+            }
+
+            wp_update_post([
+                'ID' => $post_id,
+                'post_content' => $compose($content),
+            ]);
+        }
+        $this->record_import($video_id, $source, $post_id, $tweet['username']);
+
+        return $post_id;
+    }
+
+    /**
+     * Returns the media items to sideload for a search result: the "media"
+     * list of archive results, otherwise its single video and poster.
+     *
+     * @return array|WP_Error
+     */
+    private function get_video_data_media(array $video_data)
+    {
+        if (empty($video_data['media']) || !is_array($video_data['media'])) {
+            $video_url = $video_data['download_url'] ?? '';
+            $poster_url = $video_data['thumbnail'] ?? '';
+            if (empty($video_url) || empty($poster_url)) {
+                return new WP_Error('missing_data', 'Missing video or poster URL.');
+            }
+            return [
+                [
+                    'type' => 'video',
+                    'src' => $video_url,
+                    'poster' => $poster_url,
+                    'variants' => is_array($video_data['variants'] ?? null) ? $video_data['variants'] : [],
+                    'tweet_id' => (string) ($video_data['id'] ?? ''),
+                    'username' => (string) ($video_data['userName'] ?? ''),
+                ],
+            ];
+        }
+
+        $media = [];
+        foreach ($video_data['media'] as $item) {
+            $src = is_array($item) ? (string) ($item['src'] ?? '') : '';
+            $src = $this->is_archive_url($src)
+                ? self::ARCHIVE_URL_SCHEME . sanitize_file_name(basename($src))
+                : esc_url_raw($src);
+            if ($src === '' || $src === self::ARCHIVE_URL_SCHEME) {
+                continue;
+            }
+            $media[] = [
+                'type' => ($item['type'] ?? '') === 'image' ? 'image' : 'video',
+                'src' => $src,
+                'poster' => esc_url_raw($item['poster'] ?? ''),
+                'tweet_id' => (string) ($video_data['id'] ?? ''),
+                'username' => (string) ($video_data['userName'] ?? ''),
+            ];
+        }
+
+        return !empty($media)
+            ? $media
+            : new WP_Error('missing_data', 'Missing video or poster URL.');
+    }
+
+    /**
+     * Stores the tweet's author and permalink on an imported post.
+     */
+    private function update_tweet_meta(int $post_id, array $tweet): void
+    {
+        $meta = [
+            '_twitter_author_username' => $tweet['username'],
+            '_twitter_author_name' => $tweet['name'],
+            '_twitter_author_avatar' => $tweet['avatar'],
+            '_twitter_url' => $tweet['url'],
+        ];
+        foreach ($meta as $key => $value) {
+            if ($value !== '') {
+                update_post_meta($post_id, $key, $value);
+            }
+        }
+    }
+
+    /**
+     * Sideloads every media item of a tweet (and video posters) into the
+     * library, attached to the post, sets the featured image and returns
+     * post content that points at the local copies. Several images are
+     * grouped into a [gallery]. The remote and local copies are remembered
+     * in the post's _twitter_media_items meta for the Import History.
+     */
+    private function sideload_post_media(
+        int $post_id,
+        array $items,
+        string $title = ''
+    ) {
+        $parts = [];
+        $gallery_ids = [];
+        $gallery_index = null;
+        $thumbnail_id = 0;
+        $media = [];
+
+        foreach ($items as $item) {
+            $local = $this->sideload_media_item($item, $post_id);
+            if (is_wp_error($local)) {
+                // Don't leave the items before this one in the library.
+                $this->delete_sideloaded_media($media);
+                return $local;
+            }
+            $media[] = $this->describe_imported_media($item, $local);
+
+            if (!$thumbnail_id) {
+                $thumbnail_id = $local['poster_id'] ?? $local['id'];
+            }
+
+            if ($local['type'] === 'image') {
+                // Keep the gallery where the first image appeared.
+                if ($gallery_index === null) {
+                    $gallery_index = count($parts);
+                    $parts[] = '';
+                }
+                $gallery_ids[] = $local['id'];
+                continue;
+            }
+            $parts[] = $this->get_content_as_string($local);
+        }
+
+        if (count($gallery_ids) === 1) {
+            $parts[$gallery_index] = $this->get_content_as_string([
+                'type' => 'image',
+                'src' => wp_get_attachment_url($gallery_ids[0]),
+            ], $title);
+        } elseif (count($gallery_ids) > 1) {
+            $parts[$gallery_index] = sprintf(
+                '[gallery ids="%s"]',
+                implode(',', $gallery_ids)
+            );
+        }
+
+        $parts = array_filter($parts);
+        if (empty($parts)) {
+            $this->delete_sideloaded_media($media);
+            return new WP_Error('no_content', 'Could not generate post content.');
+        }
+
+        if ($thumbnail_id) {
+            set_post_thumbnail($post_id, $thumbnail_id);
+        }
+        update_post_meta($post_id, '_twitter_media_items', wp_slash($media));
+
+        return implode("\n\n", $parts);
+    }
+
+    /**
+     * Pairs a remote media item with its sideloaded copy, as stored in
+     * import records: enough to download it again if the file goes missing.
+     */
+    private function describe_imported_media(array $item, array $local): array
+    {
+        return [
+            'type' => $local['type'],
+            'src' => $item['src'] ?? '',
+            'poster' => $item['poster'] ?? '',
+            'id' => (int) ($local['id'] ?? 0),
+            'url' => $local['src'] ?? '',
+            'poster_id' => (int) ($local['poster_id'] ?? 0),
+            'poster_url' => $local['poster'] ?? '',
+        ];
+    }
+
+    /**
+     * Sideloads one {type, src, poster} media item and returns it with
+     * local URLs plus the attachment IDs of the file and its poster.
+     */
+    private function sideload_media_item(array $item, int $post_id = 0)
+    {
+        if (($item['type'] ?? '') === 'video') {
+            $video_id = $this->sideload_media($item['src'], $post_id, $this->get_media_file($item));
+            if (is_wp_error($video_id)) {
+                return new WP_Error(
+                    'video_download_failed',
+                    'Failed to download video file: ' .
+                        $video_id->get_error_message()
+                );
+            }
+
+            $poster_id = !empty($item['poster'])
+                ? $this->sideload_media(
+                    $item['poster'],
+                    $post_id,
+                    $this->get_media_file(['type' => 'image'] + $item, '-poster')
+                )
+                : new WP_Error('missing_poster', 'No poster image available.');
+            // Without a usable thumbnail, grab a frame of the video itself.
+            if (is_wp_error($poster_id)) {
+                $poster_id = $this->generate_video_poster($video_id, $post_id);
+            }
+            if (!is_wp_error($poster_id)) {
+                update_post_meta($video_id, '_thumbnail_id', $poster_id);
+            }
+
+            return [
+                'type' => 'video',
+                'id' => $video_id,
+                'src' => wp_get_attachment_url($video_id),
+                'poster_id' => is_wp_error($poster_id) ? 0 : $poster_id,
+                'poster' => is_wp_error($poster_id)
+                    ? ''
+                    : wp_get_attachment_url($poster_id),
+            ];
+        }
+
+        if (($item['type'] ?? '') === 'image') {
+            $image_id = $this->sideload_media($item['src'], $post_id, $this->get_media_file($item));
+            if (is_wp_error($image_id)) {
+                return new WP_Error(
+                    'image_download_failed',
+                    'Failed to download image file: ' .
+                        $image_id->get_error_message()
+                );
+            }
+
+            return [
+                'type' => 'image',
+                'id' => $image_id,
+                'src' => wp_get_attachment_url($image_id),
+            ];
+        }
+
+        return new WP_Error('unsupported_media', 'Unsupported media type.');
+    }
+
+    /**
+     * Deletes the attachments, and their posters, of media sideloaded by an
+     * import that failed part of the way through.
+     */
+    private function delete_sideloaded_media(array $media): void
+    {
+        foreach ($media as $local) {
+            foreach (['id', 'poster_id'] as $key) {
+                if (!empty($local[$key])) {
+                    wp_delete_attachment((int) $local[$key], true);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stores the alt text and caption an editor entered for an attachment.
+     */
+    private function update_attachment_details(
+        int $attachment_id,
+        string $alt,
+        string $caption
+    ): void {
+        if ($alt !== '') {
+            update_post_meta($attachment_id, '_wp_attachment_image_alt', $alt);
+        }
+        if ($caption !== '') {
+            wp_update_post([
+                'ID' => $attachment_id,
+                'post_excerpt' => $caption,
+            ]);
+        }
+    }
+
+    /**
+     * REST: saves a search as a watcher, for the search page's "Save as
+     * Watcher" button.
+     */
+    public function rest_save_watcher(WP_REST_Request $request)
+    {
+        $watcher_id = $this->save_watcher([
+            'type' => $request['type'],
+            'query' => $request['query'],
+            'interval' => 'hourly',
+            'active' => true,
+            'import_options' => $request['import_options'],
+        ]);
+        if (is_wp_error($watcher_id)) {
+            return $this->get_rest_error($watcher_id);
+        }
+
+        return new WP_REST_Response([
+            'watcher_id' => $watcher_id,
+            'edit_url' => $this->get_watchers_page_url(['watcher' => $watcher_id]),
+        ], 201);
+    }
+
+    /**
+     * Saves the add/edit watcher form.
+     */
+    public function handle_save_watcher(): void
+    {
+        check_admin_referer('ti-save-watcher');
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have permission to manage watchers.', 'twitter-importer'));
+        }
+
+        $raw = wp_unslash($_POST);
+        $watcher_id = absint($raw['watcher_id'] ?? 0);
+        $result = $this->save_watcher(
+            [
+                'name' => $raw['watcher_name'] ?? '',
+                'type' => $raw['watcher_type'] ?? '',
+                'query' => $raw['watcher_query'] ?? '',
+                'interval' => $raw['watcher_interval'] ?? '',
+                'active' => !empty($raw['watcher_active']),
+                'import_options' => is_array($raw['import_options'] ?? null)
+                    ? $raw['import_options']
+                    : [],
+            ],
+            $watcher_id
+        );
+
+        if (is_wp_error($result)) {
+            wp_safe_redirect($this->get_watchers_page_url(array_filter([
+                'watcher' => $watcher_id,
+                'ti_error' => rawurlencode($result->get_error_message()),
+            ])));
+            exit();
+        }
+
+        wp_safe_redirect($this->get_watchers_page_url([
+            'watcher' => $result,
+            'ti_notice' => 'saved',
+        ]));
+        exit();
+    }
+
+    /**
+     * Handles the run, pause, resume and delete links of the watcher list.
+     */
+    public function handle_watcher_action(): void
+    {
+        $watcher_id = isset($_GET['watcher']) ? absint($_GET['watcher']) : 0;
+        $action = isset($_GET['watcher_action']) ? sanitize_key($_GET['watcher_action']) : '';
+
+        check_admin_referer('ti-watcher-action_' . $watcher_id);
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have permission to manage watchers.', 'twitter-importer'));
+        }
+
+        $watcher = get_post($watcher_id);
+        if (!$watcher || $watcher->post_type !== self::WATCHER_POST_TYPE) {
+            wp_die(esc_html__('Watcher not found.', 'twitter-importer'));
+        }
+
+        switch ($action) {
+            case 'run':
+                $this->execute_watcher($watcher);
+                $notice = 'ran';
+                break;
+            case 'pause':
+            case 'resume':
+                wp_update_post([
+                    'ID' => $watcher_id,
+                    'post_status' => $action === 'pause' ? 'draft' : 'publish',
+                ]);
+                $this->schedule_watcher($watcher_id);
+                $notice = $action === 'pause' ? 'paused' : 'resumed';
+                break;
+            case 'delete':
+                wp_clear_scheduled_hook(self::WATCHER_HOOK, [$watcher_id]);
+                wp_delete_post($watcher_id, true);
+                wp_safe_redirect($this->get_watchers_page_url(['ti_notice' => 'deleted']));
+                exit();
+            default:
+                wp_die(esc_html__('Unknown watcher action.', 'twitter-importer'));
+        }
+
+        wp_safe_redirect($this->get_watchers_page_url([
+            'watcher' => $watcher_id,
+            'ti_notice' => $notice,
+        ]));
+        exit();
+    }
+
+    /**
+     * Returns the URL of the Watchers page with optional query arguments.
+     */
+    private function get_watchers_page_url(array $args = []): string
+    {
+        return add_query_arg(
+            $args,
+            admin_url('admin.php?page=ti-watchers')
+        );
+    }
+
+    /**
+     * Returns a nonce-protected URL for a watcher list action.
+     */
+    private function get_watcher_action_url(int $watcher_id, string $action): string
+    {
+        return wp_nonce_url(
+            add_query_arg(
+                [
+                    'action' => 'ti_watcher_action',
+                    'watcher' => $watcher_id,
+                    'watcher_action' => $action,
+                ],
+                admin_url('admin-post.php')
+            ),
+            'ti-watcher-action_' . $watcher_id
+        );
+    }
+
+    /**
+     * Handles the "Import from Archive" form: stores an uploaded data
+     * archive, or uses one already on the server, and indexes its media
+     * tweets.
+     */
+    public function handle_upload_archive(): void
+    {
+        check_admin_referer('ti-upload-archive');
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have permission to import archives.', 'twitter-importer'));
+        }
+
+        $result = $this->load_archive(
+            $_FILES['archive_file'] ?? [],
+            isset($_POST['archive_path'])
+                ? trim(sanitize_text_field(wp_unslash($_POST['archive_path'])))
+                : ''
+        );
+
+        wp_safe_redirect(add_query_arg(
+            is_wp_error($result)
+                ? ['ti_error' => rawurlencode($result->get_error_message())]
+                : ['ti_notice' => 'loaded'],
+            admin_url('admin.php?page=ti-archive-importer')
+        ));
+        exit();
+    }
+
+    /**
+     * Handles the "Remove archive" link of the "Import from Archive" page.
+     */
+    public function handle_remove_archive(): void
+    {
+        check_admin_referer('ti-remove-archive');
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have permission to import archives.', 'twitter-importer'));
+        }
+
+        $this->remove_user_archive();
+
+        wp_safe_redirect(admin_url('admin.php?page=ti-archive-importer&ti_notice=removed'));
+        exit();
+    }
+
+    /**
+     * REST: lists a page of the loaded archive's media tweets in
+     * the format of the search results, optionally filtered by media type
+     * and by text or tweet ID.
+     */
+    public function rest_archive_search(WP_REST_Request $request)
+    {
+        $archive = $this->get_user_archive();
+        $tweets = $archive ? $this->read_archive_index($archive) : null;
+        if (!is_array($tweets)) {
+            return new WP_Error('archive_missing', 'Load a data archive first.', ['status' => 404]);
+        }
+
+        $type = $request['type'];
+        $query = $request['query'];
+        $offset = $request['cursor'];
+
+        $tweets = array_values(array_filter(
+            $tweets,
+            function ($tweet) use ($type, $query) {
+                if (
+                    in_array($type, ['video', 'image'], true) &&
+                    !in_array($type, array_column($tweet['media'], 'type'), true)
+                ) {
+                    return false;
+                }
+                return $query === '' ||
+                    $tweet['tweet_id'] === $query ||
+                    mb_stripos($tweet['text'], $query) !== false;
+            }
+        ));
+
+        $page = array_slice($tweets, $offset, self::ARCHIVE_PAGE_SIZE);
+        $existing_posts = $this->get_imported_post_urls(
+            array_column($page, 'tweet_id')
+        );
+
+        return [
+            'videos' => array_map(
+                fn($tweet) => $this->format_archive_result($tweet, $archive, $existing_posts),
+                $page
+            ),
+            'cursor' => $offset + self::ARCHIVE_PAGE_SIZE < count($tweets)
+                ? (string) ($offset + self::ARCHIVE_PAGE_SIZE)
+                : null,
+        ];
+    }
+
+    /**
+     * AJAX handler that sends an image from the loaded archive, for the
+     * thumbnails of the "Import from Archive" grid.
+     */
+    public function ajax_archive_file(): void
+    {
+        check_ajax_referer('ti-archive-file', 'nonce');
+        if (!current_user_can('manage_options')) {
+            wp_die('', '', 403);
+        }
+
+        $file = isset($_GET['file']) ? sanitize_file_name(wp_unslash($_GET['file'])) : '';
+        $type = wp_check_filetype($file);
+        $archive = $this->get_user_archive();
+        if (!$archive || strpos((string) $type['type'], 'image/') !== 0) {
+            wp_die('', '', 404);
+        }
+
+        $stream = (new TI_Archive($archive['path']))->open_media($file);
+        if (is_wp_error($stream)) {
+            wp_die('', '', 404);
+        }
+
+        header('Content-Type: ' . $type['type']);
+        header('Cache-Control: private, max-age=86400');
+        fpassthru($stream);
+        fclose($stream);
+        exit();
+    }
+
+    /**
+     * Reads and indexes a data archive, then makes it the current user's
+     * archive in place of any earlier one. $upload is an entry of $_FILES;
+     * without one, $path must point at a zip on the server.
+     *
+     * @return true|WP_Error
+     */
+    private function load_archive(array $upload, string $path)
+    {
+        $dir = $this->get_archive_dir();
+        if (is_wp_error($dir)) {
+            return $dir;
+        }
+
+        $uploaded = ($upload['error'] ?? UPLOAD_ERR_NO_FILE) !== UPLOAD_ERR_NO_FILE;
+        if ($uploaded) {
+            if ($upload['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($upload['tmp_name'])) {
+                return new WP_Error('upload_failed', 'The archive could not be uploaded. It may be larger than the upload limit; enter its path on the server instead.');
+            }
+            if (strtolower(pathinfo($upload['name'], PATHINFO_EXTENSION)) !== 'zip') {
+                return new WP_Error('archive_invalid', 'Please upload the .zip file of the archive.');
+            }
+            $name = sanitize_file_name($upload['name']);
+            $path = $dir . '/' . wp_generate_password(20, false) . '.zip';
+            if (!move_uploaded_file($upload['tmp_name'], $path)) {
+                return new WP_Error('upload_failed', 'The uploaded archive could not be stored.');
+            }
+        } elseif ($path !== '') {
+            $path = wp_normalize_path($path);
+            $name = basename($path);
+            if (strtolower(pathinfo($path, PATHINFO_EXTENSION)) !== 'zip' || !is_file($path)) {
+                return new WP_Error('archive_missing', 'No .zip file was found at that path.');
+            }
+        } else {
+            return new WP_Error('archive_missing', 'Choose an archive to upload or enter its path on the server.');
+        }
+
+        if (function_exists('set_time_limit')) {
+            @set_time_limit(300);
+        }
+
+        $reader = new TI_Archive($path);
+        $tweets = $reader->get_media_tweets();
+        $index = $dir . '/' . wp_generate_password(20, false) . '.json';
+        if (is_wp_error($tweets) || file_put_contents($index, wp_json_encode($tweets)) === false) {
+            if ($uploaded) {
+                @unlink($path);
+            }
+            return is_wp_error($tweets)
+                ? $tweets
+                : new WP_Error('archive_index_failed', 'The archive could not be indexed.');
+        }
+
+        $counts = ['video' => 0, 'image' => 0];
+        foreach ($tweets as $tweet) {
+            foreach ($tweet['media'] as $item) {
+                $counts[$item['type']]++;
+            }
+        }
+
+        $this->remove_user_archive();
+        update_user_meta(get_current_user_id(), self::ARCHIVE_META, [
+            'path' => $path,
+            'name' => $name,
+            'uploaded' => $uploaded,
+            'index' => $index,
+            'account' => $reader->get_account(),
+            'tweets' => count($tweets),
+            'videos' => $counts['video'],
+            'images' => $counts['image'],
+            'time' => time(),
+        ]);
+
+        return true;
+    }
+
+    /**
+     * Returns the current user's loaded data archive, or null.
+     */
+    private function get_user_archive(): ?array
+    {
+        $archive = get_user_meta(get_current_user_id(), self::ARCHIVE_META, true);
+        return is_array($archive) && !empty($archive['path']) ? $archive : null;
+    }
+
+    /**
+     * Forgets the current user's archive, deleting its index and, when it
+     * was uploaded, the stored zip.
+     */
+    private function remove_user_archive(): void
+    {
+        $archive = $this->get_user_archive();
+        if (!$archive) {
+            return;
+        }
+        @unlink($archive['index']);
+        if ($archive['uploaded']) {
+            @unlink($archive['path']);
+        }
+        delete_user_meta(get_current_user_id(), self::ARCHIVE_META);
+    }
+
+    /**
+     * Returns the media tweets indexed when an archive was loaded.
+     */
+    private function read_archive_index(array $archive): ?array
+    {
+        $json = is_readable($archive['index'])
+            ? file_get_contents($archive['index'])
+            : false;
+        $tweets = $json !== false ? json_decode($json, true) : null;
+        return is_array($tweets) ? $tweets : null;
+    }
+
+    /**
+     * Returns the folder in the uploads directory that holds uploaded
+     * archives and their indexes, creating it with web access denied.
+     *
+     * @return string|WP_Error
+     */
+    private function get_archive_dir()
+    {
+        $dir = wp_normalize_path(wp_upload_dir()['basedir']) . '/twitter-importer-archives';
+        if (!wp_mkdir_p($dir)) {
+            return new WP_Error('archive_dir_failed', 'Could not create the archive folder in the uploads directory.');
+        }
+        if (!file_exists($dir . '/index.php')) {
+            file_put_contents($dir . '/index.php', "<?php\n// Silence is golden.\n");
+            file_put_contents($dir . '/.htaccess', "Deny from all\n");
+        }
+        return $dir;
+    }
+
+    /**
+     * Formats an archived tweet like a search result. Its media point at the
+     * archive's files through ti-archive:// URLs, falling back to the
+     * original URL for files the archive left out.
+     */
+    private function format_archive_result(array $tweet, array $archive, array $existing_posts): array
+    {
+        $media = array_map(
+            fn($item) => [
+                'type' => $item['type'],
+                'src' => $item['file'] !== ''
+                    ? self::ARCHIVE_URL_SCHEME . $item['file']
+                    : $item['remote'],
+                'poster' => $item['poster'],
+            ],
+            $tweet['media']
+        );
+
+        $first = $tweet['media'][0];
+        $thumbnail = $first['type'] === 'image' && $first['file'] !== ''
+            ? add_query_arg(
+                [
+                    'action' => 'ti_archive_file',
+                    'file' => rawurlencode($first['file']),
+                    'nonce' => wp_create_nonce('ti-archive-file'),
+                ],
+                admin_url('admin-ajax.php')
+            )
+            : ($first['type'] === 'image' ? $first['remote'] : $first['poster']);
+
+        return $this->format_search_result(
+            [
+                'tweet_id' => $tweet['tweet_id'],
+                'created_at' => $tweet['date'],
+                'text' => $tweet['text'],
+                'username' => $archive['account']['username'] ?? '',
+                'name' => $archive['account']['name'] ?? '',
+                'thumbnail' => $thumbnail,
+                'download_url' => $media[0]['src'],
+            ],
+            $existing_posts
+        ) + ['media' => $media];
+    }
+
+    /**
+     * Whether a media URL points at a file in the user's data archive.
+     */
+    private function is_archive_url(string $url): bool
+    {
+        return strpos($url, self::ARCHIVE_URL_SCHEME) === 0;
+    }
+
+    /**
+     * Copies a ti-archive:// file out of the current user's data archive
+     * to a temporary file.
+     *
+     * @return string|WP_Error
+     */
+    private function extract_archive_media(string $url)
+    {
+        $archive = $this->get_user_archive();
+        if (!$archive) {
+            return new WP_Error(
+                'archive_missing',
+                'The data archive this media came from is no longer loaded.'
+            );
+        }
+        return (new TI_Archive($archive['path']))->extract_media(
+            substr($url, strlen(self::ARCHIVE_URL_SCHEME))
+        );
+    }
+
+    /**
+     * Registers the private post type that stores import records.
+     */
+    public function register_record_post_type(): void
+    {
+        register_post_type(self::RECORD_POST_TYPE, [
+            'public' => false,
+            'show_ui' => false,
+            'query_var' => false,
+            'rewrite' => false,
+            'can_export' => false,
+            'supports' => ['author'],
+        ]);
+    }
+
+    /**
+     * Labels of the places an import can come from.
+     */
+    private function get_import_sources(): array
+    {
+        return [
+            'search' => __('Search page', 'twitter-importer'),
+            'bulk' => __('Bulk Importer', 'twitter-importer'),
+            'metabox' => __('Editor meta box', 'twitter-importer'),
+            'media_library' => __('Media Library', 'twitter-importer'),
+            'cli' => __('WP-CLI', 'twitter-importer'),
+            'watcher' => __('Watcher', 'twitter-importer'),
+            'archive' => __('Data archive', 'twitter-importer'),
+            'earlier' => __('Earlier import', 'twitter-importer'),
+        ];
+    }
+
+    /**
+     * Records an import for the Import History. Posts created from a tweet
+     * keep a single record that later imports of the same post update.
+     * Without $media, the post's _twitter_media_items are used.
+     */
+    private function record_import(
+        string $tweet_id,
+        string $source,
+        int $post_id = 0,
+        string $username = '',
+        ?array $media = null
+    ): int {
+        if ($media === null) {
+            $media = $post_id ? get_post_meta($post_id, '_twitter_media_items', true) : [];
+        }
+
+        $record_id = 0;
+        if ($post_id && in_array($source, self::POST_SOURCES, true)) {
+            $record_id = (int) get_post_meta($post_id, '_twitter_import_record', true);
+            if (get_post_type($record_id) !== self::RECORD_POST_TYPE) {
+                $record_id = 0;
+            }
+        }
+
+        $record_data = [
+            'post_type' => self::RECORD_POST_TYPE,
+            'post_status' => 'publish',
+            'post_title' => $tweet_id,
+            'post_parent' => $post_id,
+            'post_author' => get_current_user_id(),
+        ];
+        if ($record_id) {
+            $record_data['ID'] = $record_id;
+            $record_id = wp_update_post($record_data);
+        } else {
+            $record_id = wp_insert_post($record_data);
+        }
+        if (!$record_id || is_wp_error($record_id)) {
+            return 0;
+        }
+
+        update_post_meta($record_id, '_ti_record_tweet_id', $tweet_id);
+        update_post_meta($record_id, '_ti_record_username', $username);
+        update_post_meta($record_id, '_ti_record_source', $source);
+        update_post_meta(
+            $record_id,
+            '_ti_record_media',
+            wp_slash(is_array($media) ? array_values($media) : [])
+        );
+        $this->tag_imported_attachments($tweet_id, is_array($media) ? $media : []);
+        if ($post_id && in_array($source, self::POST_SOURCES, true)) {
+            update_post_meta($post_id, '_twitter_import_record', $record_id);
+        }
+
+        return $record_id;
+    }
+
+    /**
+     * Schedules the backfill of Import History records until it has run
+     * through every earlier import.
+     */
+    public function schedule_records_backfill(): void
+    {
+        if (get_option(self::BACKFILL_OPTION) || wp_next_scheduled(self::BACKFILL_HOOK)) {
+            return;
+        }
+        wp_schedule_single_event(time(), self::BACKFILL_HOOK);
+    }
+
+    /**
+     * WP-Cron: backfills a batch of records, and schedules the next batch
+     * while there may be more.
+     */
+    public function run_records_backfill(): void
+    {
+        $limit = 100;
+        if ($this->backfill_import_records($limit) < $limit) {
+            update_option(self::BACKFILL_OPTION, 1, false);
+        } else {
+            wp_schedule_single_event(time() + MINUTE_IN_SECONDS, self::BACKFILL_HOOK);
+        }
+    }
+
+    /**
+     * Creates records for posts imported before the Import History existed,
+     * a batch at a time, and returns how many it created.
+     */
+    private function backfill_import_records(int $limit = 100): int
+    {
+        $post_ids = get_posts([
+            'post_type' => $this->get_imported_post_types(),
+            'post_status' => 'any',
+            'posts_per_page' => $limit,
+            'fields' => 'ids',
+            'meta_query' => [
+                ['key' => '_twitter_video_id', 'compare' => 'EXISTS'],
+                ['key' => '_twitter_import_record', 'compare' => 'NOT EXISTS'],
+            ],
+        ]);
+
+        foreach ($post_ids as $post_id) {
+            $media = get_post_meta($post_id, '_twitter_media_items', true);
+            if (!is_array($media)) {
+                $media = array_map(
+                    fn($attachment_id) => [
+                        'type' => wp_attachment_is('video', $attachment_id) ? 'video' : 'image',
+                        'src' => '',
+                        'poster' => '',
+                        'id' => (int) $attachment_id,
+                        'url' => wp_get_attachment_url($attachment_id),
+                        'poster_id' => 0,
+                        'poster_url' => '',
+                    ],
+                    get_children([
+                        'post_parent' => $post_id,
+                        'post_type' => 'attachment',
+                        'fields' => 'ids',
+                    ])
+                );
+            }
+            $this->record_import(
+                (string) get_post_meta($post_id, '_twitter_video_id', true),
+                'earlier',
+                $post_id,
+                (string) get_post_meta($post_id, '_twitter_author_username', true),
+                $media
+            );
+        }
+        return count($post_ids);
+    }
+
+    /**
+     * Runs a row or bulk action of the Import History screen before the
+     * page is output, then redirects back with a summary.
+     */
+    public function handle_history_actions(): void
+    {
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+
+        $action = isset($_REQUEST['action']) ? sanitize_key($_REQUEST['action']) : '';
+        if ($action === '-1' || $action === '') {
+            $action = isset($_REQUEST['action2']) ? sanitize_key($_REQUEST['action2']) : '';
+        }
+        if (!in_array($action, ['redownload', 'refresh_poster', 'detach'], true)) {
+            return;
+        }
+
+        if (isset($_REQUEST['record'])) {
+            $record_ids = [absint($_REQUEST['record'])];
+            check_admin_referer('ti-history-action_' . $record_ids[0]);
+        } else {
+            check_admin_referer('bulk-records');
+            $record_ids = array_map('absint', (array) ($_REQUEST['records'] ?? []));
+        }
+
+        if (function_exists('set_time_limit')) {
+            @set_time_limit(300);
+        }
+
+        $done = 0;
+        $failed = 0;
+        $error = '';
+        foreach (array_filter($record_ids) as $record_id) {
+            if (get_post_type($record_id) !== self::RECORD_POST_TYPE) {
+                continue;
+            }
+            switch ($action) {
+                case 'redownload':
+                    $result = $this->redownload_record_media($record_id);
+                    break;
+                case 'refresh_poster':
+                    $result = $this->refresh_record_poster($record_id);
+                    break;
+                default:
+                    $result = $this->detach_record($record_id);
+            }
+            if (is_wp_error($result)) {
+                $failed++;
+                $error = $result->get_error_message();
+            } else {
+                $done++;
+            }
+        }
+
+        wp_safe_redirect(add_query_arg(
+            array_filter([
+                'ti_notice' => $action,
+                'ti_done' => $done,
+                'ti_failed' => $failed,
+                'ti_error' => $error !== '' ? rawurlencode($error) : '',
+            ]),
+            admin_url('admin.php?page=ti-import-history')
+        ));
+        exit();
+    }
+
+    /**
+     * Returns a nonce-protected URL for an Import History row action.
+     */
+    public function get_history_action_url(int $record_id, string $action): string
+    {
+        return wp_nonce_url(
+            add_query_arg(
+                ['action' => $action, 'record' => $record_id],
+                admin_url('admin.php?page=ti-import-history')
+            ),
+            'ti-history-action_' . $record_id
+        );
+    }
+
+    /**
+     * Whether an attachment still exists along with its file on disk.
+     */
+    private function attachment_file_exists(int $attachment_id): bool
+    {
+        if (!$attachment_id || get_post_type($attachment_id) !== 'attachment') {
+            return false;
+        }
+        $file = get_attached_file($attachment_id);
+        return $file && file_exists($file);
+    }
+
+    /**
+     * Downloads again the media of a record whose attachments or files are
+     * gone, and points the post's content and featured image at the new
+     * copies. Media that was embedded by remote URL is left alone.
+     */
+    private function redownload_record_media(int $record_id)
+    {
+        $record = get_post($record_id);
+        $media = get_post_meta($record_id, '_ti_record_media', true);
+        if (!is_array($media) || empty($media)) {
+            return new WP_Error('no_media', 'This import has no recorded media.');
+        }
+
+        $post_id = (int) $record->post_parent;
+        $fresh = null;
+        $replacements = [];
+        $id_map = [];
+
+        foreach ($media as $index => $item) {
+            if (empty($item['id'])) {
+                continue;
+            }
+            $missing_poster = $item['type'] === 'video' &&
+                !empty($item['poster_id']) &&
+                !$this->attachment_file_exists($item['poster_id']);
+            if ($this->attachment_file_exists($item['id']) && !$missing_poster) {
+                continue;
+            }
+
+            // Prefer fresh URLs from the API, falling back to the recorded ones.
+            if ($fresh === null) {
+                $fresh = $this->get_media_by_status(
+                    get_post_meta($record_id, '_ti_record_tweet_id', true)
+                );
+                if (is_wp_error($fresh)) {
+                    $fresh = [];
+                }
+            }
+            $remote = (($fresh[$index]['type'] ?? '') === $item['type']
+                ? $fresh[$index]
+                : $item) + [
+                    'tweet_id' => get_post_meta($record_id, '_ti_record_tweet_id', true),
+                    'username' => get_post_meta($record_id, '_ti_record_username', true),
+                ];
+            if (empty($remote['src'])) {
+                return new WP_Error(
+                    'missing_data',
+                    'The original media URL of this import is unknown.'
+                );
+            }
+
+            if ($this->attachment_file_exists($item['id'])) {
+                // Only the poster is gone.
+                $poster_id = $this->sideload_media(
+                    $remote['poster'] ?? '',
+                    $post_id,
+                    $this->get_media_file(['type' => 'image'] + $remote, '-poster')
+                );
+                if (is_wp_error($poster_id)) {
+                    return $poster_id;
+                }
+                $new_item = array_merge($item, [
+                    'poster_id' => $poster_id,
+                    'poster_url' => wp_get_attachment_url($poster_id),
+                ]);
+            } else {
+                $local = $this->sideload_media_item($remote, $post_id);
+                if (is_wp_error($local)) {
+                    return $local;
+                }
+                $new_item = $this->describe_imported_media($remote, $local);
+            }
+
+            if ($new_item['id'] !== $item['id']) {
+                $replacements[$item['url']] = $new_item['url'];
+                $id_map[$item['id']] = $new_item['id'];
+            }
+            if (!empty($item['poster_url'])) {
+                $replacements[$item['poster_url']] = $new_item['poster_url'];
+            }
+            if (!empty($item['poster_id'])) {
+                $id_map[$item['poster_id']] = $new_item['poster_id'];
+            }
+            $media[$index] = $new_item;
+        }
+
+        if (empty($id_map)) {
+            return 0;
+        }
+
+        if ($post_id) {
+            $this->replace_post_media($post_id, array_filter($replacements), $id_map);
+            update_post_meta($post_id, '_twitter_media_items', wp_slash($media));
+        }
+        update_post_meta($record_id, '_ti_record_media', wp_slash($media));
+        $this->tag_imported_attachments(
+            get_post_meta($record_id, '_ti_record_tweet_id', true),
+            $media
+        );
+
+        return count($id_map);
+    }
+
+    /**
+     * Downloads the poster of a record's first video (or its first image)
+     * again and makes it the post's featured image.
+     */
+    private function refresh_record_poster(int $record_id)
+    {
+        $record = get_post($record_id);
+        $post_id = (int) $record->post_parent;
+        if (!$post_id) {
+            return new WP_Error('no_post', 'This import has no post to set a featured image on.');
+        }
+
+        $media = get_post_meta($record_id, '_ti_record_media', true);
+        $media = is_array($media) ? $media : [];
+
+        $fresh = $this->get_media_by_status(
+            get_post_meta($record_id, '_ti_record_tweet_id', true)
+        );
+        if (is_wp_error($fresh)) {
+            return $fresh;
+        }
+
+        foreach ($fresh as $index => $item) {
+            $poster_url = $item['type'] === 'video' ? ($item['poster'] ?? '') : $item['src'];
+            if (empty($poster_url)) {
+                continue;
+            }
+
+            $poster_id = $this->sideload_media(
+                $poster_url,
+                $post_id,
+                $this->get_media_file(
+                    ['type' => 'image', 'username' => get_post_meta($record_id, '_ti_record_username', true)] + $item,
+                    $item['type'] === 'video' ? '-poster' : ''
+                )
+            );
+            if (is_wp_error($poster_id)) {
+                return $poster_id;
+            }
+            set_post_thumbnail($post_id, $poster_id);
+
+            // Point the video shortcode at the new poster as well.
+            $old = $media[$index] ?? [];
+            if ($item['type'] === 'video' && !empty($old['poster_url'])) {
+                $this->replace_post_media(
+                    $post_id,
+                    [$old['poster_url'] => wp_get_attachment_url($poster_id)],
+                    []
+                );
+                $media[$index]['poster_id'] = $poster_id;
+                $media[$index]['poster_url'] = wp_get_attachment_url($poster_id);
+                update_post_meta($record_id, '_ti_record_media', wp_slash($media));
+                update_post_meta($post_id, '_twitter_media_items', wp_slash($media));
+            }
+            return $poster_id;
+        }
+
+        return new WP_Error('no_poster', 'No poster image available for this tweet.');
+    }
+
+    /**
+     * Swaps old media URLs and attachment IDs in a post's content and
+     * featured image for new ones.
+     */
+    private function replace_post_media(int $post_id, array $urls, array $id_map): void
+    {
+        $content = (string) get_post_field('post_content', $post_id);
+        $content = strtr($content, $urls);
+        $content = preg_replace_callback(
+            '/\[gallery ids="([\d,]+)"\]/',
+            fn($matches) => sprintf(
+                '[gallery ids="%s"]',
+                implode(',', array_map(
+                    fn($id) => $id_map[(int) $id] ?? $id,
+                    explode(',', $matches[1])
+                ))
+            ),
+            $content
+        );
+        wp_update_post(['ID' => $post_id, 'post_content' => $content]);
+
+        $thumbnail_id = (int) get_post_thumbnail_id($post_id);
+        if (isset($id_map[$thumbnail_id])) {
+            set_post_thumbnail($post_id, $id_map[$thumbnail_id]);
+        }
+    }
+
+    /**
+     * Deletes an import record and unlinks its post and attachments from the
+     * tweet, so the tweet no longer counts as imported. The post and media
+     * are kept.
+     */
+    private function detach_record(int $record_id)
+    {
+        $media = get_post_meta($record_id, '_ti_record_media', true);
+        foreach (is_array($media) ? $media : [] as $item) {
+            foreach (['id', 'poster_id'] as $key) {
+                if (!empty($item[$key])) {
+                    delete_post_meta((int) $item[$key], '_twitter_video_id');
+                }
+            }
+        }
+
+        $post_id = (int) wp_get_post_parent_id($record_id);
+        if (
+            $post_id &&
+            (int) get_post_meta($post_id, '_twitter_import_record', true) === $record_id
+        ) {
+            delete_post_meta($post_id, '_twitter_import_record');
+            delete_post_meta($post_id, '_twitter_video_id');
+        }
+        wp_delete_post($record_id, true);
+        return true;
+    }
+
+    /**
+     * Registers the private post type that stores watchers.
+     */
+    public function register_watcher_post_type(): void
+    {
+        register_post_type(self::WATCHER_POST_TYPE, [
+            'public' => false,
+            'show_ui' => false,
+            'query_var' => false,
+            'rewrite' => false,
+            'can_export' => false,
+            'supports' => ['title', 'author'],
+        ]);
+    }
+
+    /**
+     * Returns the WP-Cron schedules a watcher can run on, shortest first.
+     */
+    private function get_watcher_intervals(): array
+    {
+        $schedules = wp_get_schedules();
+        uasort($schedules, fn($a, $b) => $a['interval'] <=> $b['interval']);
+        return array_map(fn($schedule) => $schedule['display'], $schedules);
+    }
+
+    /**
+     * Validates and stores a watcher, then (re)schedules it. Returns the
+     * watcher ID.
+     */
+    private function save_watcher(array $raw, int $watcher_id = 0)
+    {
+        $type = sanitize_key($raw['type'] ?? '');
+        if (!in_array($type, ['username', 'keywords'], true)) {
+            return new WP_Error(
+                'invalid_watcher',
+                'Watchers follow a username or a keyword search.'
+            );
+        }
+
+        $query = sanitize_text_field($raw['query'] ?? '');
+        if ($type === 'username') {
+            $query = ltrim($query, '@');
+        }
+        if ($query === '') {
+            return new WP_Error('invalid_watcher', 'Please enter a username or keywords.');
+        }
+
+        $interval = sanitize_key($raw['interval'] ?? '');
+        if (!isset($this->get_watcher_intervals()[$interval])) {
+            return new WP_Error('invalid_watcher', 'Invalid polling interval.');
+        }
+
+        $options = $this->sanitize_import_options($raw['import_options'] ?? []);
+        if (is_wp_error($options)) {
+            return $options;
+        }
+
+        $name = sanitize_text_field($raw['name'] ?? '');
+        if ($name === '') {
+            $name = $type === 'username' ? '@' . $query : $query;
+        }
+
+        $post_data = [
+            'post_type' => self::WATCHER_POST_TYPE,
+            'post_title' => $name,
+            'post_status' => !empty($raw['active']) ? 'publish' : 'draft',
+        ];
+
+        if ($watcher_id) {
+            $existing = get_post($watcher_id);
+            if (!$existing || $existing->post_type !== self::WATCHER_POST_TYPE) {
+                return new WP_Error('invalid_watcher', 'Watcher not found.');
+            }
+            $post_data['ID'] = $watcher_id;
+            $watcher_id = wp_update_post($post_data, true);
+        } else {
+            $post_data['post_author'] = get_current_user_id();
+            $watcher_id = wp_insert_post($post_data, true);
+        }
+
+        if (is_wp_error($watcher_id)) {
+            return $watcher_id;
+        }
+
+        update_post_meta($watcher_id, '_ti_watcher_type', $type);
+        update_post_meta($watcher_id, '_ti_watcher_query', $query);
+        update_post_meta($watcher_id, '_ti_watcher_interval', $interval);
+        update_post_meta($watcher_id, '_ti_watcher_options', wp_slash($options));
+
+        $this->schedule_watcher($watcher_id);
+
+        return $watcher_id;
+    }
+
+    /**
+     * Schedules an active watcher's recurring run, or unschedules a paused one.
+     */
+    private function schedule_watcher(int $watcher_id): void
+    {
+        wp_clear_scheduled_hook(self::WATCHER_HOOK, [$watcher_id]);
+
+        if (get_post_status($watcher_id) !== 'publish') {
+            return;
+        }
+
+        $interval = get_post_meta($watcher_id, '_ti_watcher_interval', true);
+        $schedules = wp_get_schedules();
+        if (!isset($schedules[$interval])) {
+            return;
+        }
+
+        wp_schedule_event(
+            time() + MINUTE_IN_SECONDS,
+            $interval,
+            self::WATCHER_HOOK,
+            [$watcher_id]
+        );
+    }
+
+    /**
+     * Returns the display data of a watcher post.
+     */
+    private function get_watcher_data($watcher): ?array
+    {
+        if (!$watcher instanceof WP_Post || $watcher->post_type !== self::WATCHER_POST_TYPE) {
+            return null;
+        }
+
+        $options = get_post_meta($watcher->ID, '_ti_watcher_options', true);
+        $log = get_post_meta($watcher->ID, '_ti_watcher_log', true);
+
+        return [
+            'id' => $watcher->ID,
+            'name' => $watcher->post_title,
+            'type' => get_post_meta($watcher->ID, '_ti_watcher_type', true),
+            'query' => get_post_meta($watcher->ID, '_ti_watcher_query', true),
+            'interval' => get_post_meta($watcher->ID, '_ti_watcher_interval', true),
+            'active' => $watcher->post_status === 'publish',
+            'options' => wp_parse_args(
+                is_array($options) ? $options : [],
+                $this->get_default_import_options()
+            ),
+            'next_run' => wp_next_scheduled(self::WATCHER_HOOK, [$watcher->ID]),
+            'log' => is_array($log) ? $log : [],
+        ];
+    }
+
+    /**
+     * WP-Cron callback that runs an active watcher.
+     */
+    public function run_watcher($watcher_id): void
+    {
+        $watcher = get_post(absint($watcher_id));
+        if (
+            !$watcher ||
+            $watcher->post_type !== self::WATCHER_POST_TYPE ||
+            $watcher->post_status !== 'publish'
+        ) {
+            return;
+        }
+
+        $this->execute_watcher($watcher);
+    }
+
+    /**
+     * Imports the media of a watcher's username or search that has not been
+     * imported yet, and records what was created, skipped or failed in its
+     * run log.
+     */
+    private function execute_watcher(WP_Post $watcher): array
+    {
+        if (function_exists('set_time_limit')) {
+            @set_time_limit(300);
+        }
+
+        $type = get_post_meta($watcher->ID, '_ti_watcher_type', true);
+        $query = get_post_meta($watcher->ID, '_ti_watcher_query', true);
+        $options = get_post_meta($watcher->ID, '_ti_watcher_options', true);
+
+        $entry = [
+            'time' => time(),
+            'created' => [],
+            'skipped' => 0,
+            'deferred' => 0,
+            'failed' => [],
+        ];
+
+        // Run the import as the watcher's owner, like background jobs do.
+        $previous_user = get_current_user_id();
+        wp_set_current_user((int) $watcher->post_author);
+
+        $search = $this->search_videos($type, $query);
+        if (is_wp_error($search)) {
+            $entry['failed'][] = [
+                'id' => '',
+                'message' => $search->get_error_message(),
+            ];
+        } else {
+            $videos = array_filter(
+                $search['videos'],
+                fn($video) => is_array($video) && !empty($video['tweet_id'])
+            );
+            $existing_posts = $this->get_imported_post_urls(
+                array_column($videos, 'tweet_id')
+            );
+
+            foreach ($videos as $video) {
+                if (isset($existing_posts[$video['tweet_id']])) {
+                    $entry['skipped']++;
+                    continue;
+                }
+                if (count($entry['created']) >= self::WATCHER_RUN_LIMIT) {
+                    $entry['deferred']++;
+                    continue;
+                }
+
+                $result = $this->create_post_from_video_search(
+                    $this->format_search_result($video, []),
+                    // Watchers only ever import tweets that are new.
+                    ['duplicates' => 'skip'] + (is_array($options) ? $options : []),
+                    'watcher'
+                );
+
+                if (!is_wp_error($result)) {
+                    $entry['created'][] = $result;
+                } elseif ($result->get_error_code() === 'duplicate') {
+                    $entry['skipped']++;
+                } else {
+                    $entry['failed'][] = [
+                        'id' => (string) $video['tweet_id'],
+                        'message' => $result->get_error_message(),
+                    ];
+                }
+            }
+        }
+
+        wp_set_current_user($previous_user);
+
+        $log = get_post_meta($watcher->ID, '_ti_watcher_log', true);
+        $log = array_slice(
+            array_merge([$entry], is_array($log) ? $log : []),
+            0,
+            self::WATCHER_LOG_SIZE
+        );
+        update_post_meta($watcher->ID, '_ti_watcher_log', wp_slash($log));
+
+        return $entry;
+    }
+
+    /**
+     * Registers the private post type that stores queued import jobs.
+     */
+    public function register_job_post_type(): void
+    {
+        register_post_type(self::JOB_POST_TYPE, [
+            'public' => false,
+            'show_ui' => false,
+            'query_var' => false,
+            'rewrite' => false,
+            'can_export' => false,
+            'supports' => ['author'],
+        ]);
+    }
+
+    /**
+     * Stores a video and its import options as a queued job and schedules it.
+     * Returns the job ID.
+     */
+    private function enqueue_import_job(array $video_data, array $options)
+    {
+        $video_id = (string) $video_data['id'];
+
+        // Reuse a job that is still pending for the same video.
+        $existing = get_posts([
+            'post_type' => self::JOB_POST_TYPE,
+            'post_status' => 'private',
+            'author' => get_current_user_id(),
+            'meta_query' => [
+                ['key' => '_ti_job_video_id', 'value' => $video_id],
+                ['key' => '_ti_job_status', 'value' => ['queued', 'downloading'], 'compare' => 'IN'],
+            ],
+            'posts_per_page' => 1,
+            'fields' => 'ids',
+        ]);
+        if (!empty($existing)) {
+            return (int) $existing[0];
+        }
+
+        $job_id = wp_insert_post([
+            'post_type' => self::JOB_POST_TYPE,
+            'post_status' => 'private',
+            'post_title' => $video_id,
+            'post_author' => get_current_user_id(),
+        ], true);
+
+        if (is_wp_error($job_id)) {
+            return $job_id;
+        }
+
+        update_post_meta($job_id, '_ti_job_video_id', $video_id);
+        update_post_meta($job_id, '_ti_job_payload', wp_slash([
+            'video' => $video_data,
+            'options' => $options,
+        ]));
+        $this->update_job($job_id, 'queued');
+        $this->schedule_import_job($job_id);
+
+        return $job_id;
+    }
+
+    /**
+     * Hands a job to Action Scheduler, or makes sure the WP-Cron queue
+     * runner is scheduled.
+     */
+    private function schedule_import_job(int $job_id): void
+    {
+        if (function_exists('as_enqueue_async_action')) {
+            as_enqueue_async_action(self::JOB_HOOK, [$job_id], 'twitter-importer');
+            return;
+        }
+        if (!wp_next_scheduled(self::QUEUE_HOOK)) {
+            wp_schedule_single_event(time(), self::QUEUE_HOOK);
+        }
+    }
+
+    /**
+     * Starts WP-Cron straight away so queued jobs don't wait for the next visitor.
+     */
+    private function kick_import_queue(): void
+    {
+        if (!function_exists('as_enqueue_async_action')) {
+            spawn_cron();
+        }
+    }
+
+    /**
+     * WP-Cron: processes queued jobs oldest first until the time budget is
+     * spent, then schedules another run for whatever remains.
+     */
+    public function run_import_queue(): void
+    {
+        $started = time();
+
+        while (time() - $started < self::QUEUE_TIME_LIMIT) {
+            $next = get_posts([
+                'post_type' => self::JOB_POST_TYPE,
+                'post_status' => 'private',
+                'meta_key' => '_ti_job_status',
+                'meta_value' => 'queued',
+                'orderby' => 'ID',
+                'order' => 'ASC',
+                'posts_per_page' => 1,
+                'fields' => 'ids',
+            ]);
+            if (empty($next)) {
+                return;
+            }
+            $this->process_import_job((int) $next[0]);
+        }
+
+        wp_schedule_single_event(time(), self::QUEUE_HOOK);
+    }
+
+    /**
+     * Imports the video stored in a queued job, recording the outcome on the job.
+     */
+    public function process_import_job($job_id): void
+    {
+        $job_id = absint($job_id);
+        $job = get_post($job_id);
+        if (
+            !$job ||
+            $job->post_type !== self::JOB_POST_TYPE ||
+            $this->get_job_status($job_id) !== 'queued'
+        ) {
+            return;
+        }
+
+        $this->update_job($job_id, 'downloading');
+
+        if (function_exists('set_time_limit')) {
+            @set_time_limit(300);
+        }
+
+        $payload = get_post_meta($job_id, '_ti_job_payload', true);
+
+        // Run the import as the user who queued it, so post authorship and
+        // capability checks behave as they would on the search page.
+        $previous_user = get_current_user_id();
+        wp_set_current_user((int) $job->post_author);
+
+        $result = $this->create_post_from_video_search(
+            $payload['video'] ?? null,
+            $payload['options'] ?? []
+        );
+
+        wp_set_current_user($previous_user);
+
+        if (!is_wp_error($result)) {
+            $this->update_job($job_id, 'imported', ['post_id' => $result]);
+            return;
+        }
+
+        $error_data = $result->get_error_data();
+        if ($result->get_error_code() === 'duplicate' && !empty($error_data['post_id'])) {
+            $this->update_job($job_id, 'imported', [
+                'post_id' => $error_data['post_id'],
+                'message' => $result->get_error_message(),
+            ]);
+            return;
+        }
+
+        $this->update_job($job_id, 'failed', [
+            'code' => $result->get_error_code(),
+            'message' => $result->get_error_message(),
+        ]);
+    }
+
+    /**
+     * Updates a job's status along with its result post, error code and message.
+     */
+    private function update_job(int $job_id, string $status, array $result = []): void
+    {
+        update_post_meta($job_id, '_ti_job_status', $status);
+        update_post_meta($job_id, '_ti_job_updated', time());
+        update_post_meta($job_id, '_ti_job_post_id', absint($result['post_id'] ?? 0));
+        update_post_meta($job_id, '_ti_job_code', $result['code'] ?? '');
+        update_post_meta($job_id, '_ti_job_message', $result['message'] ?? '');
+    }
+
+    /**
+     * Returns a job's status: queued, downloading, imported or failed.
+     */
+    private function get_job_status(int $job_id): string
+    {
+        return (string) get_post_meta($job_id, '_ti_job_status', true);
+    }
+
+    /**
+     * Returns the current user's job posts, oldest first.
+     */
+    private function get_user_job_posts(): array
+    {
+        return get_posts([
+            'post_type' => self::JOB_POST_TYPE,
+            'post_status' => 'private',
+            'author' => get_current_user_id(),
+            'orderby' => 'ID',
+            'order' => 'ASC',
+            'posts_per_page' => 200,
+        ]);
+    }
+
+    /**
+     * Returns the current user's jobs formatted for the search page. Jobs
+     * stuck downloading are failed, and imported jobs older than a day are
+     * cleaned up.
+     */
+    private function get_user_jobs(): array
+    {
+        $jobs = [];
+        foreach ($this->get_user_job_posts() as $job) {
+            $status = $this->get_job_status($job->ID);
+            $updated = (int) get_post_meta($job->ID, '_ti_job_updated', true);
+
+            if ($status === 'downloading' && time() - $updated > self::JOB_STALE_AFTER) {
+                $this->update_job($job->ID, 'failed', [
+                    'code' => 'timeout',
+                    'message' => 'The import did not finish in time.',
+                ]);
+            } elseif ($status === 'imported' && time() - $updated > DAY_IN_SECONDS) {
+                wp_delete_post($job->ID, true);
+                continue;
+            }
+
+            $jobs[] = $this->get_job_data($job);
+        }
+        return $jobs;
+    }
+
+    /**
+     * Formats a job post for the JS queue panel.
+     */
+    private function get_job_data(WP_Post $job): array
+    {
+        $payload = get_post_meta($job->ID, '_ti_job_payload', true);
+        $video = $payload['video'] ?? [];
+        $post_id = (int) get_post_meta($job->ID, '_ti_job_post_id', true);
+
+        return [
+            'job_id' => $job->ID,
+            'id' => (string) get_post_meta($job->ID, '_ti_job_video_id', true),
+            'userName' => $video['userName'] ?? '',
+            'thumbnail' => $video['thumbnail'] ?? '',
+            'status' => $this->get_job_status($job->ID),
+            'code' => (string) get_post_meta($job->ID, '_ti_job_code', true),
+            'message' => (string) get_post_meta($job->ID, '_ti_job_message', true),
+            'post_id' => $post_id,
+            'post_url' => $post_id ? get_permalink($post_id) : null,
+        ];
+    }
+
+    /**
+     * Validates the optional columns of a Bulk Importer row (status,
+     * category, tags, author, date, excerpt and custom meta) and resolves
+     * them to values wp_insert_post understands. Nothing is written: names
+     * of categories to create are returned as new_categories, for
+     * create_post_from_bulk() to add once the post exists.
+     */
+    private function sanitize_bulk_fields(array $raw)
+    {
+        $fields = [];
+
+        if (!empty($raw['status'])) {
+            $status = sanitize_key($raw['status']);
+            if (!in_array($status, self::IMPORT_POST_STATUSES, true)) {
+                return new WP_Error(
+                    'invalid_field',
+                    sprintf('Invalid post status "%s".', $status)
+                );
+            }
+            $fields['post_status'] = $status;
+        }
+
+        if (!empty($raw['date'])) {
+            $timestamp = strtotime(sanitize_text_field($raw['date']));
+            if (!$timestamp) {
+                return new WP_Error('invalid_field', 'Invalid publish date.');
+            }
+            $fields['post_date'] = gmdate('Y-m-d H:i:s', $timestamp);
+            if (($fields['post_status'] ?? '') === 'future' && $timestamp <= current_time('timestamp')) {
+                return new WP_Error(
+                    'invalid_field',
+                    'Scheduled posts need a publish date in the future.'
+                );
+            }
+        } elseif (($fields['post_status'] ?? '') === 'future') {
+            return new WP_Error(
+                'invalid_field',
+                'Scheduled posts need a publish date.'
+            );
+        }
+
+        if (!empty($raw['author'])) {
+            $author = sanitize_text_field($raw['author']);
+            $user = is_numeric($author)
+                ? get_user_by('id', (int) $author)
+                : (get_user_by('login', $author) ?: get_user_by('email', $author));
+            if (!$user || !user_can($user, 'edit_posts')) {
+                return new WP_Error(
+                    'invalid_field',
+                    sprintf('Unknown author "%s".', $author)
+                );
+            }
+            if ($user->ID !== get_current_user_id() && !current_user_can('edit_others_posts')) {
+                return new WP_Error(
+                    'invalid_field',
+                    'You are not allowed to assign posts to other authors.'
+                );
+            }
+            $fields['post_author'] = $user->ID;
+        }
+
+        if (!empty($raw['category'])) {
+            $categories = [];
+            $new_categories = [];
+            foreach (explode(',', sanitize_text_field($raw['category'])) as $name) {
+                $name = trim($name);
+                if ($name === '') {
+                    continue;
+                }
+                $term = is_numeric($name)
+                    ? get_term((int) $name, 'category')
+                    : (get_term_by('name', $name, 'category') ?: get_term_by('slug', sanitize_title($name), 'category'));
+                if ($term && !is_wp_error($term)) {
+                    $categories[] = (int) $term->term_id;
+                } elseif (!is_numeric($name) && current_user_can('manage_categories')) {
+                    $new_categories[] = $name;
+                } else {
+                    return new WP_Error(
+                        'invalid_field',
+                        sprintf('Unknown category "%s".', $name)
+                    );
+                }
+            }
+            if ($categories) {
+                $fields['post_category'] = $categories;
+            }
+            if ($new_categories) {
+                $fields['new_categories'] = array_unique($new_categories);
+            }
+        }
+
+        if (!empty($raw['tags'])) {
+            $fields['tags_input'] = sanitize_text_field($raw['tags']);
+        }
+
+        if (!empty($raw['excerpt'])) {
+            $fields['post_excerpt'] = sanitize_textarea_field($raw['excerpt']);
+        }
+
+        if (!empty($raw['meta']) && is_array($raw['meta'])) {
+            $fields['meta_input'] = [];
+            foreach ($raw['meta'] as $key => $value) {
+                $key = sanitize_key($key);
+                // Protected keys (leading underscore) are reserved for plugins.
+                if ($key === '' || is_protected_meta($key, 'post')) {
+                    continue;
+                }
+                $fields['meta_input'][$key] = sanitize_text_field($value);
+            }
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Creates a post from data provided to the bulk importer. Optional
+     * $fields come from sanitize_bulk_fields() and override the defaults.
+     * When the tweet was already imported, $duplicates decides whether to
+     * 'skip' it, 'update' the existing post or 'create' another one.
+     */
+    private function create_post_from_bulk(
+        string $url,
+        string $title,
+        array $fields = [],
+        string $duplicates = 'skip',
+        string $source = 'bulk'
+    ) {
+        $status_id = $this->extract_status_id($url);
+        $existing_post_id = $duplicates === 'create'
+            ? 0
+            : $this->find_imported_post($status_id);
+        if ($existing_post_id && $duplicates !== 'update') {
+            return new WP_Error(
+                'duplicate',
+                'This tweet has already been imported.',
+                [
+                    'post_id' => $existing_post_id,
+                    'post_url' => get_permalink($existing_post_id),
+                ]
+            );
+        }
+
+        $content_data = $this->get_media_by_status($url);
+        if (is_wp_error($content_data)) {
+            return $content_data;
+        }
+
+        $new_categories = $fields['new_categories'] ?? [];
+        unset($fields['new_categories']);
+
+        $post_data = array_merge(
+            [
+                'post_status' => 'publish',
+                'post_type' => 'post',
+            ],
+            $fields,
+            ['post_title' => sanitize_text_field($title)]
+        );
+
+        if ($existing_post_id) {
+            $post_id = $this->update_imported_post($existing_post_id, $post_data, $content_data, $title);
+            if (is_wp_error($post_id)) {
+                return $post_id;
+            }
+        } else {
+            $post_id = wp_insert_post($post_data, true);
+            if (is_wp_error($post_id)) {
+                return $post_id;
+            }
+
+            $post_content = $this->sideload_post_media($post_id, $content_data, $title);
+            if (is_wp_error($post_content)) {
+                wp_delete_post($post_id, true);
+                return $post_content;
+            }
+            wp_update_post(['ID' => $post_id, 'post_content' => $post_content]);
+        }
+
+        update_post_meta($post_id, '_twitter_video_id', $status_id);
+        if ($new_categories) {
+            $this->add_bulk_categories($post_id, $new_categories, $fields['post_category'] ?? []);
+        }
+        $this->record_import(
+            $status_id,
+            $source,
+            $post_id,
+            $this->extract_status_username($url)
+        );
+
+        return (int) $post_id;
+    }
+
+    /**
+     * Re-imports a tweet into its existing post. The new media is
+     * downloaded before the post is touched, so a failed download leaves
+     * it as it was; once the post is updated, the attachments of the
+     * previous import are deleted instead of piling up. $compose, when
+     * given, turns the media markup into the full post content.
+     *
+     * @return int|WP_Error The post ID.
+     */
+    private function update_imported_post(
+        int $post_id,
+        array $post_data,
+        array $media,
+        string $title = '',
+        ?callable $compose = null
+    ) {
+        $previous_media = get_post_meta($post_id, '_twitter_media_items', true);
+        $previous_thumbnail = get_post_thumbnail_id($post_id);
+
+        $post_content = $this->sideload_post_media($post_id, $media, $title);
+        if (is_wp_error($post_content)) {
+            return $post_content;
+        }
+
+        $post_data['ID'] = $post_id;
+        $post_data['post_content'] = $compose ? $compose($post_content) : $post_content;
+        unset($post_data['post_type']);
+        $result = wp_update_post($post_data, true);
+        if (is_wp_error($result)) {
+            $this->delete_sideloaded_media(get_post_meta($post_id, '_twitter_media_items', true) ?: []);
+            update_post_meta($post_id, '_twitter_media_items', wp_slash($previous_media ?: []));
+            if ($previous_thumbnail) {
+                set_post_thumbnail($post_id, $previous_thumbnail);
+            }
+            return $result;
+        }
+
+        // Only attachments the previous import added to this post go.
+        foreach (is_array($previous_media) ? $previous_media : [] as $local) {
+            foreach (['id', 'poster_id'] as $key) {
+                $attachment_id = (int) ($local[$key] ?? 0);
+                if ($attachment_id && wp_get_post_parent_id($attachment_id) === $post_id) {
+                    wp_delete_attachment($attachment_id, true);
+                }
+            }
+        }
+
+        return $post_id;
+    }
+
+    /**
+     * Creates the categories a Bulk Importer row names that do not exist
+     * yet and sets them, with the existing ones, on the imported post.
+     */
+    private function add_bulk_categories(int $post_id, array $names, array $category_ids): void
+    {
+        foreach ($names as $name) {
+            $term = term_exists($name, 'category') ?: wp_insert_term($name, 'category');
+            if (!is_wp_error($term)) {
+                $category_ids[] = (int) $term['term_id'];
+            }
+        }
+        wp_set_post_categories($post_id, $category_ids);
+    }
+
+    /**
+     * Downloads a file from a URL, or copies it out of the user's data
+     * archive, and attaches it to the media library after the media
+     * pipeline has checked and named it. $file describes the media as
+     * returned by get_media_file(); without it the file must be an image.
+     */
+    private function sideload_media(
+        string $url,
+        int $post_id = 0,
+        array $file = []
+    ) {
+        // These functions are required for sideloading.
+        if (!function_exists('media_handle_sideload')) {
+            require_once ABSPATH . 'wp-admin/includes/image.php';
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+            require_once ABSPATH . 'wp-admin/includes/media.php';
+        }
+
+        $pipeline = $this->get_media_pipeline();
+        if ($this->is_archive_url($url)) {
+            $tmp = $this->extract_archive_media($url);
+            $file_array = is_wp_error($tmp) ? $tmp : $pipeline->prepare($tmp, $file, $url);
+        } else {
+            $file_array = $pipeline->download($url, $file);
+        }
+        if (is_wp_error($file_array)) {
+            return $file_array;
+        }
+
+        $attachment_id = media_handle_sideload($file_array, $post_id);
+
+        // If an error occurred, unlink the temporary file.
+        if (is_wp_error($attachment_id)) {
+            @unlink($file_array['tmp_name']);
+        } elseif (($file['type'] ?? '') === 'video') {
+            $this->update_video_metadata($attachment_id, $file);
+        }
+
+        return $attachment_id;
+    }
+
+    /**
+     * Describes a media item for the media pipeline: its type, a
+     * "username-tweetid" file name plus $suffix, and for videos the
+     * variants, dimensions and duration the source reported.
+     */
+    private function get_media_file(array $item, string $suffix = ''): array
+    {
+        $name = implode('-', array_filter([
+            sanitize_file_name((string) ($item['username'] ?? '')),
+            preg_replace('/\D/', '', (string) ($item['tweet_id'] ?? '')),
+        ]));
+
+        return [
+            'type' => ($item['type'] ?? '') === 'video' ? 'video' : 'image',
+            'name' => $name !== '' ? $name . $suffix : '',
+            'variants' => is_array($item['variants'] ?? null) ? $item['variants'] : [],
+            'width' => (int) ($item['width'] ?? 0),
+            'height' => (int) ($item['height'] ?? 0),
+            'duration' => (float) ($item['duration'] ?? 0),
+        ];
+    }
+
+    /**
+     * Fills in the width, height and duration of a video attachment that
+     * WordPress could not read itself, from ffprobe or else from what the
+     * source reported.
+     */
+    private function update_video_metadata(int $attachment_id, array $file): void
+    {
+        $metadata = wp_get_attachment_metadata($attachment_id);
+        $metadata = is_array($metadata) ? $metadata : [];
+        if (!empty($metadata['width']) && !empty($metadata['height']) && !empty($metadata['length'])) {
+            return;
+        }
+
+        $values = $this->get_media_pipeline()->probe_video(
+            (string) get_attached_file($attachment_id)
+        ) + array_filter([
+            'width' => $file['width'] ?? 0,
+            'height' => $file['height'] ?? 0,
+            'length' => (int) round($file['duration'] ?? 0),
+        ]);
+        foreach ($values as $key => $value) {
+            if (empty($metadata[$key])) {
+                $metadata[$key] = $value;
+            }
+        }
+        if (!empty($metadata['length']) && empty($metadata['length_formatted'])) {
+            $metadata['length_formatted'] = sprintf(
+                '%d:%02d',
+                intdiv($metadata['length'], 60),
+                $metadata['length'] % 60
+            );
+        }
+
+        wp_update_attachment_metadata($attachment_id, $metadata);
+    }
+
+    /**
+     * Grabs a frame of a video attachment with ffmpeg and attaches it as
+     * the video's poster, for videos that came without a thumbnail.
+     */
+    private function generate_video_poster(int $video_id, int $post_id = 0)
+    {
+        $path = (string) get_attached_file($video_id);
+        $tmp = $path !== '' && file_exists($path)
+            ? $this->get_media_pipeline()->extract_poster($path)
+            : new WP_Error('missing_file', 'The video file is missing.');
+        if (is_wp_error($tmp)) {
+            return $tmp;
+        }
+
+        $file_array = [
+            'name' => pathinfo($path, PATHINFO_FILENAME) . '-poster.jpg',
+            'tmp_name' => $tmp,
+        ];
+        $poster_id = media_handle_sideload($file_array, $post_id);
+        if (is_wp_error($poster_id)) {
+            @unlink($tmp);
+        }
+
+        return $poster_id;
+    }
+
+    /**
+     * Checks if a video has already been imported by its Twitter ID and
+     * returns the ID of that post, or 0 if none exists.
+     */
+    private function find_imported_post(string $video_id): int
+    {
+        return (int) ($this->get_imported_posts([$video_id])[$video_id] ?? 0);
+    }
+
+    /**
+     * Returns the IDs of the attachments imported from a tweet, going by
+     * their _twitter_video_id meta.
+     */
+    private function find_imported_attachments(string $tweet_id): array
+    {
+        if ($tweet_id === '') {
+            return [];
+        }
+        return array_map('intval', get_posts([
+            'post_type' => 'attachment',
+            'post_status' => 'inherit',
+            'posts_per_page' => -1,
+            'fields' => 'ids',
+            'meta_key' => '_twitter_video_id',
+            'meta_value' => $tweet_id,
+        ]));
+    }
+
+    /**
+     * Returns the attachment a tweet's media item was imported as, or 0.
+     * Attachments from before source URLs were stored match any item of
+     * their tweet.
+     */
+    private function find_imported_media_attachment(string $tweet_id, string $src): int
+    {
+        foreach ($this->find_imported_attachments($tweet_id) as $attachment_id) {
+            $imported_src = (string) get_post_meta($attachment_id, '_twitter_media_src', true);
+            if ($imported_src === '' || $imported_src === $src) {
+                return $attachment_id;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Describes the tweet a Media Library import came from on its
+     * attachment: the author and text as title, caption and alt text, the
+     * tweet's URL as description, and all of them as meta.
+     */
+    private function set_tweet_attachment_data(
+        int $attachment_id,
+        array $media_item,
+        string $id_or_url
+    ): void {
+        $tweet_id = $this->extract_status_id($id_or_url);
+        $username = $this->extract_status_username($id_or_url);
+        $tweet_url = $this->get_tweet_url($id_or_url);
+        $text = trim((string) ($media_item['text'] ?? ''));
+
+        $title = $text !== ''
+            ? wp_trim_words($text, 12, '…')
+            : sprintf(__('Tweet %s', 'twitter-importer'), $tweet_id);
+        if ($username !== '') {
+            $title = '@' . $username . ': ' . $title;
+        }
+
+        wp_update_post([
+            'ID' => $attachment_id,
+            'post_title' => $title,
+            'post_excerpt' => $text,
+            'post_content' => sprintf(
+                __('Imported from %s', 'twitter-importer'),
+                $tweet_url
+            ),
+        ]);
+        if ($media_item['type'] === 'image') {
+            update_post_meta(
+                $attachment_id,
+                '_wp_attachment_image_alt',
+                $text !== '' ? wp_trim_words($text, 25, '…') : $title
+            );
+        }
+        update_post_meta($attachment_id, '_twitter_video_id', $tweet_id);
+        update_post_meta($attachment_id, '_twitter_author_username', $username);
+        update_post_meta($attachment_id, '_twitter_url', $tweet_url);
+        update_post_meta($attachment_id, '_twitter_media_src', $media_item['src']);
+    }
+
+    /**
+     * Summarizes an attachment for the Media Library importer's results.
+     */
+    private function describe_attachment(int $attachment_id): array
+    {
+        return [
+            'id' => $attachment_id,
+            'title' => get_the_title($attachment_id),
+            'url' => wp_get_attachment_url($attachment_id),
+            'thumbnail' => wp_get_attachment_image_url($attachment_id, 'thumbnail') ?: '',
+            'edit_url' => get_edit_post_link($attachment_id, 'raw'),
+        ];
+    }
+
+    /**
+     * Downloads the missing files of every import record of a tweet again,
+     * for the Media Library importer's "update" policy.
+     */
+    private function update_imported_attachments(string $tweet_id): void
+    {
+        $record_ids = get_posts([
+            'post_type' => self::RECORD_POST_TYPE,
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'fields' => 'ids',
+            'meta_key' => '_ti_record_tweet_id',
+            'meta_value' => $tweet_id,
+        ]);
+        foreach ($record_ids as $record_id) {
+            $this->redownload_record_media((int) $record_id);
+        }
+    }
+
+    /**
+     * Stores the tweet ID on the attachments of an import, so the Media
+     * Library importer can tell the tweet was already imported.
+     */
+    private function tag_imported_attachments(string $tweet_id, array $media): void
+    {
+        foreach ($media as $item) {
+            foreach (['id' => 'src', 'poster_id' => 'poster'] as $key => $src_key) {
+                if (!empty($item[$key])) {
+                    update_post_meta((int) $item[$key], '_twitter_video_id', $tweet_id);
+                    update_post_meta((int) $item[$key], '_twitter_media_src', $item[$src_key] ?? '');
+                }
+            }
+        }
+    }
+
+    /**
+     * Generates a content string (shortcode or img tag) from media data.
+     */
+    private function get_content_as_string(
+        array $content_data,
+        string $title = ''
+    ): string {
+        if (($content_data['type'] ?? '') === 'video') {
+            return empty($content_data['poster'])
+                ? sprintf('[video src="%s"]', esc_url($content_data['src']))
+                : sprintf(
+                    '[video src="%s" poster="%s"]',
+                    esc_url($content_data['src']),
+                    esc_url($content_data['poster'])
+                );
+        } elseif (($content_data['type'] ?? '') === 'image') {
+            return sprintf(
+                '<img src="%s" alt="%s" />',
+                esc_url($content_data['src']),
+                esc_attr($title)
+            );
+        }
+        return '';
+    }
+
+    /**
+     * Sets the featured image from a video poster on post save.
+     */
+    public function save_post_set_thumbnail(int $post_id, WP_Post $post): void
+    {
+        // Don't run on autosave, revisions, or if a thumbnail already exists.
+        if (
+            (defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) ||
+            wp_is_post_revision($post_id) ||
+            'auto-draft' === $post->post_status ||
+            has_post_thumbnail($post_id)
+        ) {
+            return;
+        }
+
+        // Find a poster URL in the post content using a regex.
+        $regex = '/poster=[\'"](https?:\/\/[^\'"]+)[\'"]/';
+        if (preg_match($regex, $post->post_content, $matches)) {
+            $image_url = $matches[1];
+            $attachment_id = $this->sideload_media($image_url, $post_id);
+            if (!is_wp_error($attachment_id)) {
+                set_post_thumbnail($post_id, $attachment_id);
+            }
+        }
+    }
+
+    /**
+     * Searches the media sources by username, keywords or tweet, returning
+     * the videos found and the cursor of the next page.
+     */
+    private function search_videos(
+        string $type,
+        string $query,
+        string $cursor = '',
+        bool $refresh = false
+    ) {
+        if (!in_array($type, ['username', 'keywords', 'tweet'], true)) {
+            return new WP_Error(
+                'invalid_search_type',
+                'Invalid search type provided.'
+            );
+        }
+
+        if ($type === 'tweet') {
+            $query = $this->extract_status_id($query);
+        }
+
+        return $this->query_media_sources(
+            fn(TI_Media_Source $source) => $source->search($type, $query, $cursor),
+            $refresh
+        );
+    }
+
+    /**
+     * Fetches media content from a single status URL or ID.
+     */
+    private function get_media_by_status(string $id_or_url)
+    {
+        $status_id = $this->extract_status_id($id_or_url);
+
+        return $this->query_media_sources(
+            fn(TI_Media_Source $source) => $source->get_status_media($status_id)
+        );
+    }
+
+    /**
+     * Returns the status ID from a Twitter/X URL, or the value itself when
+     * it is already an ID.
+     */
+    private function extract_status_id(string $id_or_url): string
+    {
+        if (preg_match(self::TWITTER_STATUS_REGEX, $id_or_url, $matches)) {
+            return $matches['id'];
+        }
+        return trim($id_or_url);
+    }
+
+    /**
+     * Extracts the account name from a Twitter/X status URL, if it has one.
+     */
+    private function extract_status_username(string $url): string
+    {
+        return preg_match(self::TWITTER_STATUS_REGEX, $url, $matches)
+            ? $matches[1]
+            : '';
+    }
+
+    /**
+     * Returns the permalink of a tweet given by status URL or ID.
+     */
+    private function get_tweet_url(string $id_or_url): string
+    {
+        return preg_match(self::TWITTER_STATUS_REGEX, $id_or_url)
+            ? $id_or_url
+            : 'https://x.com/i/status/' . $this->extract_status_id($id_or_url);
+    }
+
+    /**
+     * Fetches the media the editor meta box offers: every item of a tweet,
+     * or the most recent items of a user's timeline.
+     */
+    private function get_editor_media(string $type, string $value)
+    {
+        return $type === 'user'
+            ? $this->get_recent_media_by_user($value, self::EDITOR_RECENT_LIMIT)
+            : $this->get_media_by_status($value);
+    }
+
+    /**
+     * Fetches up to $limit of a user's most recent media items.
+     */
+    private function get_recent_media_by_user(string $username, int $limit)
+    {
+        $search = $this->search_videos('username', ltrim($username, '@'));
+        if (is_wp_error($search)) {
+            return $search;
+        }
+
+        $items = [];
+        foreach ($search['videos'] as $video) {
+            if (!is_array($video) || empty($video['download_url'])) {
+                continue;
+            }
+            $items[] = [
+                'type' => 'video',
+                'src' => esc_url_raw($video['download_url']),
+                'poster' => esc_url_raw($video['thumbnail'] ?? ''),
+                'tweet_id' => (string) ($video['tweet_id'] ?? ''),
+                'views' => (int) ($video['views'] ?? 0),
+                'text' => sanitize_textarea_field($video['text'] ?? ''),
+            ];
+            if (count($items) >= $limit) {
+                break;
+            }
+        }
+
+        return !empty($items)
+            ? $items
+            : new WP_Error(
+                'no_media_found',
+                'Could not find media for this request.'
+            );
+    }
+
+    /**
+     * Fetches the latest media for a given username.
+     */
+    private function get_media_by_user(string $username)
+    {
+        return $this->query_media_sources(
+            fn(TI_Media_Source $source) => $source->get_latest_media($username)
+        );
+    }
+
+    /**
+     * WP-CLI: Fetches media information from a Tweet URL/ID or a user's timeline.
+     */
+    public function cli_get_media(array $args, array $assoc_args): void
+    {
+        $value = $args[0];
+        $type = $assoc_args['by'] ?? 'status';
+
+        WP_CLI::line("Fetching media for '{$value}' by '{$type}'...");
+
+        $response =
+            $type === 'user'
+                ? $this->get_media_by_user($value)
+                : $this->get_media_by_status($value);
+
+        if (is_wp_error($response)) {
+            WP_CLI::error($response->get_error_message());
+        } else {
+            WP_CLI::success(sprintf('%d media item(s) found!', count($response)));
+            foreach ($response as $index => $item) {
+                WP_CLI::line(sprintf('#%d Type: %s', $index + 1, $item['type']));
+                WP_CLI::line('URL: ' . $item['src']);
+                if (!empty($item['poster'])) {
+                    WP_CLI::line('Poster: ' . $item['poster']);
+                }
+            }
+        }
+    }
+
+    /**
+     * WP-CLI: Creates a new post from a user's latest media. An optional
+     * --duplicates=<skip|update|create> overrides the duplicate setting.
+     */
+    public function cli_create_post(array $args, array $assoc_args): void
+    {
+        $username = $args[0];
+        WP_CLI::line("Fetching latest media for user: {$username}...");
+
+        $content_data = $this->get_media_by_user($username);
+        if (is_wp_error($content_data)) {
+            WP_CLI::error($content_data->get_error_message());
+        }
+
+        $post_title =
+            $assoc_args['post_title'] ??
+            "Media from {$username} on " . gmdate('Y-m-d');
+        $post_content = implode("\n\n", array_filter(array_map(
+            fn($item) => $this->get_content_as_string($item, $post_title),
+            $content_data
+        )));
+
+        if (empty($post_content)) {
+            WP_CLI::error(
+                'Could not generate post content from the fetched media.'
+            );
+        }
+
+        $post_data = [
+            'post_title' => $post_title,
+            'post_content' => $post_content,
+            'post_status' => $assoc_args['post_status'] ?? 'draft',
+            'post_author' => $assoc_args['post_author'] ?? 1,
+            'post_type' => 'post',
+        ];
+
+        $duplicates = in_array($assoc_args['duplicates'] ?? '', self::DUPLICATE_POLICIES, true)
+            ? $assoc_args['duplicates']
+            : $this->get_duplicate_policy();
+        $existing_post_id = $duplicates === 'create'
+            ? 0
+            : $this->find_imported_post((string) ($content_data[0]['tweet_id'] ?? ''));
+        if ($existing_post_id && $duplicates === 'skip') {
+            WP_CLI::warning("This tweet has already been imported as post #{$existing_post_id}.");
+            return;
+        }
+
+        if ($existing_post_id) {
+            // An imported post keeps local copies of its media, so it is
+            // updated through the sideloading pipeline rather than given
+            // links to the remote files.
+            unset($post_data['post_content']);
+            $post_id = $this->update_imported_post(
+                $existing_post_id,
+                $post_data,
+                array_map(fn($item) => $item + ['username' => $username], $content_data),
+                $post_title
+            );
+        } else {
+            $post_id = wp_insert_post($post_data, true);
+        }
+
+        if (is_wp_error($post_id)) {
+            WP_CLI::error(
+                $existing_post_id
+                    ? "Failed to update post: {$post_id->get_error_message()}"
+                    : "Failed to create post: {$post_id->get_error_message()}"
+            );
+        } else {
+            $tweet_id = $content_data[0]['tweet_id'] ?? '';
+            if ($tweet_id !== '') {
+                update_post_meta($post_id, '_twitter_video_id', $tweet_id);
+                $this->record_import($tweet_id, 'cli', $post_id, $username, $existing_post_id
+                    ? null
+                    : array_map(
+                        fn($item) => $this->describe_imported_media($item, ['type' => $item['type']]),
+                        $content_data
+                    ));
+            }
+            WP_CLI::success(
+                $existing_post_id
+                    ? "Successfully updated post #{$post_id}."
+                    : "Successfully created post #{$post_id}."
+            );
+        }
+    }
+
+    /**
+     * WP-CLI: Searches for media and lists the results with the fields of
+     * the search page.
      */
-    public function save_post_set_thumbnail(int $post_id, WP_Post $post): void
+    public function cli_search(array $args, array $assoc_args): void
     {
-        // Don't run on autosave, revisions, or if a thumbnail already exists.
-        if (
-            (defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) ||
-            wp_is_post_revision($post_id) ||
-            'auto-draft' === $post->post_status ||
-            has_post_thumbnail($post_id)
-        ) {
+        $query = $args[0];
+        $type = $assoc_args['type'] ?? 'username';
+        $pages = max(1, absint($assoc_args['pages'] ?? 1));
+
+        if (!empty($assoc_args['dry-run'])) {
+            $sources = array_keys($this->get_ordered_media_sources());
+            WP_CLI::line(sprintf(
+                "Would search %s '%s' through: %s.",
+                $type,
+                $query,
+                $sources ? implode(', ', $sources) : 'no configured source'
+            ));
             return;
         }
 
-        // Find a poster URL in the post content using a regex.
-        $regex = '/poster=[\'"](https?:\/\/[^\'"]+)[\'"]/';
-        if (preg_match($regex, $post->post_content, $matches)) {
-            $image_url = $matches[1];
-            $attachment_id = $this->sideload_media($image_url, $post_id);
-            if (!is_wp_error($attachment_id)) {
-                set_post_thumbnail($post_id, $attachment_id);
+        $progress = $pages > 1
+            ? \WP_CLI\Utils\make_progress_bar('Searching', $pages)
+            : null;
+        $videos = [];
+        $cursor = '';
+        for ($page = 0; $page < $pages; $page++) {
+            $search = $this->search_videos($type, $query, $cursor, !empty($assoc_args['refresh']));
+            if (is_wp_error($search)) {
+                if ($progress) {
+                    $progress->finish();
+                }
+                WP_CLI::error($search->get_error_message());
+            }
+            $videos = array_merge($videos, array_filter(
+                $search['videos'],
+                fn($video) => is_array($video) && !empty($video['tweet_id'])
+            ));
+            if ($progress) {
+                $progress->tick();
+            }
+            $cursor = (string) $search['cursor'];
+            if ($cursor === '') {
+                break;
             }
         }
+        if ($progress) {
+            $progress->finish();
+        }
+
+        $existing_posts = $this->get_imported_post_urls(
+            array_column($videos, 'tweet_id')
+        );
+        $this->cli_format_items(
+            $assoc_args,
+            array_map(
+                fn($video) => $this->format_search_result($video, $existing_posts),
+                $videos
+            ),
+            ['id', 'userName', 'date', 'views', 'text', 'is_imported', 'post_url'],
+            'No media found.'
+        );
     }
 
     /**
-     * Searches for videos by username, keyword, or single tweet.
+     * WP-CLI: Imports tweets as posts through the same pipeline as the
+     * search page, sideloading every photo and video of each tweet.
      */
-    private function search_videos(string $type, string $query)
+    public function cli_import(array $args, array $assoc_args): void
     {
-        $api_base = $this->get_api_base_url();
-        if (!$api_base) {
-            return new WP_Error('missing_api_url', 'API URL is not configured.');
+        $author = $assoc_args['author'] ?? '';
+        if ($author !== '') {
+            $user = is_numeric($author)
+                ? get_user_by('id', (int) $author)
+                : (get_user_by('login', $author) ?: get_user_by('email', $author));
+            if (!$user) {
+                WP_CLI::error("Unknown author '{$author}'.");
+            }
         }
 
-        $endpoint = '';
-        switch ($type) {
-            case 'username':
-                $endpoint = "timeline/{$query}";
-                break;
-            case 'keywords':
-                $endpoint = "search/{$query}";
-                break;
-            case 'tweet':
-                $endpoint = "media/{$query}";
-                break;
-            default:
-                return new WP_Error(
-                    'invalid_search_type',
-                    'Invalid search type provided.'
-                );
+        $options = $this->sanitize_import_options(array_filter([
+            'post_type' => $assoc_args['post_type'] ?? null,
+            'post_status' => $assoc_args['post_status'] ?? null,
+            'post_author' => $author !== '' ? $user->ID : null,
+            'title_template' => $assoc_args['title'] ?? null,
+            'duplicates' => $assoc_args['duplicates'] ?? null,
+        ], fn($value) => $value !== null));
+        if (is_wp_error($options)) {
+            WP_CLI::error($options->get_error_message());
         }
 
-        $response = $this->perform_api_request($api_base . $endpoint);
-
-        if (is_wp_error($response)) {
-            return $response;
+        $dry_run = !empty($assoc_args['dry-run']);
+        $progress = \WP_CLI\Utils\make_progress_bar(
+            $dry_run ? 'Looking up tweets' : 'Importing tweets',
+            count($args)
+        );
+        $rows = [];
+        foreach ($args as $value) {
+            $rows[] = ['tweet' => $value] + $this->cli_import_tweet($value, $options, $dry_run);
+            $progress->tick();
         }
+        $progress->finish();
 
-        // The external API might return videos in a nested key or as the top-level array.
-        // This code gracefully handles different response structures.
-        if (is_array($response)) {
-            if (isset($response[0]['tweet_id'])) {
-                return $response;
-            }
-            foreach ($response as $key => $value) {
-                if (is_array($value) && isset($value[0]['tweet_id'])) {
-                    return $value;
-                }
-            }
-        }
-        return []; // Return empty array if no videos found.
+        $this->cli_format_items($assoc_args, $rows, ['tweet', 'result', 'post_id', 'message']);
+        $this->cli_report_failures($rows);
     }
 
     /**
-     * Fetches media content from a single status URL or ID.
+     * Imports one tweet for `wp twitter import`, or reports what importing
+     * it would do, as a {result, post_id, message} row.
      */
-    private function get_media_by_status(string $id_or_url)
+    private function cli_import_tweet(string $value, array $options, bool $dry_run): array
     {
-        $api_base = $this->get_api_base_url();
-        if (!$api_base) {
-            return new WP_Error('missing_api_url', 'API URL is not configured.');
+        $status_id = $this->extract_status_id($value);
+        if (!ctype_digit($status_id)) {
+            return ['result' => 'failed', 'post_id' => '', 'message' => 'Not a tweet URL or ID.'];
         }
 
-        $status_id = $id_or_url;
-        // Extract the ID from a URL if one is provided.
-        if (preg_match(self::TWITTER_STATUS_REGEX, $id_or_url, $matches)) {
-            $status_id = $matches['id'];
+        $existing_post_id = $options['duplicates'] === 'create'
+            ? 0
+            : $this->find_imported_post($status_id);
+        if ($existing_post_id && $options['duplicates'] === 'skip') {
+            return ['result' => 'skipped', 'post_id' => $existing_post_id, 'message' => 'Already imported.'];
         }
 
-        $url = $api_base . 'media2/' . absint($status_id);
-        $response_data = $this->perform_api_request($url);
+        $media = $this->get_media_by_status($value);
+        if (is_wp_error($media)) {
+            return ['result' => 'failed', 'post_id' => $existing_post_id ?: '', 'message' => $media->get_error_message()];
+        }
 
-        if (is_wp_error($response_data)) {
-            return $response_data;
+        if ($dry_run) {
+            return [
+                'result' => $existing_post_id ? 'would update' : 'would create',
+                'post_id' => $existing_post_id ?: '',
+                'message' => sprintf('%d media item(s).', count($media)),
+            ];
         }
 
-        return $this->format_media_response($response_data['response'] ?? []);
+        $video_data = $this->format_search_result(
+            [
+                'tweet_id' => $status_id,
+                'username' => $this->extract_status_username($value),
+                'views' => $media[0]['views'] ?? 0,
+                'text' => $media[0]['text'] ?? '',
+            ],
+            []
+        ) + ['media' => $media];
+
+        $result = $this->create_post_from_video_search($video_data, $options, 'cli');
+        if (is_wp_error($result)) {
+            return ['result' => 'failed', 'post_id' => '', 'message' => $result->get_error_message()];
+        }
+        return [
+            'result' => $existing_post_id ? 'updated' : 'created',
+            'post_id' => $result,
+            'message' => get_permalink($result),
+        ];
     }
 
     /**
-     * Fetches the latest media for a given username.
+     * WP-CLI: Imports a file in one of the Bulk Importer's formats.
      */
-    private function get_media_by_user(string $username)
+    public function cli_bulk_import(array $args, array $assoc_args): void
     {
-        $api_base = $this->get_api_base_url();
-        if (!$api_base) {
-            return new WP_Error('missing_api_url', 'API URL is not configured.');
+        $lines = $this->parse_bulk_file($args[0]);
+        if (is_wp_error($lines)) {
+            WP_CLI::error($lines->get_error_message());
         }
 
-        $url = $api_base . 'latest/' . rawurlencode($username);
-        $response_data = $this->perform_api_request($url);
-
-        if (is_wp_error($response_data)) {
-            return $response_data;
+        $duplicates = $assoc_args['duplicates'] ?? $this->get_duplicate_policy();
+        $dry_run = !empty($assoc_args['dry-run']);
+        $progress = \WP_CLI\Utils\make_progress_bar(
+            $dry_run ? 'Checking lines' : 'Importing lines',
+            count($lines)
+        );
+        $rows = [];
+        foreach ($lines as $line) {
+            $rows[] = ['line' => $line['line'], 'tweet' => $line['url']] +
+                $this->cli_bulk_import_line($line, $duplicates, $dry_run);
+            $progress->tick();
         }
+        $progress->finish();
 
-        return $this->format_media_response($response_data['response'] ?? []);
+        $this->cli_format_items($assoc_args, $rows, ['line', 'tweet', 'result', 'post_id', 'message']);
+        $this->cli_report_failures($rows);
     }
 
     /**
-     * Formats a raw API response into a consistent content array.
+     * Imports one parsed line for `wp twitter bulk-import`, or reports what
+     * importing it would do, as a {result, post_id, message} row.
      */
-    private function format_media_response(array $response)
+    private function cli_bulk_import_line(array $line, string $duplicates, bool $dry_run): array
     {
-        if (empty($response)) {
-            return new WP_Error(
-                'no_media_found',
-                'Could not find media for this request.'
-            );
+        if (!preg_match(self::TWITTER_STATUS_REGEX, $line['url']) && !ctype_digit($line['url'])) {
+            return ['result' => 'failed', 'post_id' => '', 'message' => 'Not a tweet URL or ID.'];
+        }
+        if ($line['title'] === '') {
+            return ['result' => 'failed', 'post_id' => '', 'message' => 'Missing post title.'];
+        }
+        $fields = $this->sanitize_bulk_fields($line['fields']);
+        if (is_wp_error($fields)) {
+            return ['result' => 'failed', 'post_id' => '', 'message' => $fields->get_error_message()];
         }
 
-        $content = [];
-        if (($response['type'] ?? '') === 'video') {
-            $content = [
-                'type' => 'video',
-                'src' => esc_url_raw($response['download_url']),
-                'poster' => esc_url_raw($response['thumbnail']),
-            ];
-        } elseif (($response['type'] ?? '') === 'image') {
-            $content = [
-                'type' => 'image',
-                'src' => esc_url_raw($response['download_url']),
+        if ($dry_run) {
+            $existing_post_id = $duplicates === 'create'
+                ? 0
+                : $this->find_imported_post($this->extract_status_id($line['url']));
+            if ($existing_post_id && $duplicates === 'skip') {
+                return ['result' => 'skipped', 'post_id' => $existing_post_id, 'message' => 'Already imported.'];
+            }
+            $media = $this->get_media_by_status($line['url']);
+            if (is_wp_error($media)) {
+                return ['result' => 'failed', 'post_id' => '', 'message' => $media->get_error_message()];
+            }
+            return [
+                'result' => $existing_post_id ? 'would update' : 'would create',
+                'post_id' => $existing_post_id ?: '',
+                'message' => sprintf('%d media item(s).', count($media)),
             ];
         }
 
-        return !empty($content)
-            ? $content
-            : new WP_Error(
-                'unsupported_media',
-                'No compatible media found in the response.'
-            );
+        $result = $this->create_post_from_bulk($line['url'], $line['title'], $fields, $duplicates, 'cli');
+        if (is_wp_error($result)) {
+            $error_data = $result->get_error_data();
+            return $result->get_error_code() === 'duplicate'
+                ? ['result' => 'skipped', 'post_id' => $error_data['post_id'] ?? '', 'message' => 'Already imported.']
+                : ['result' => 'failed', 'post_id' => '', 'message' => $result->get_error_message()];
+        }
+        return ['result' => 'imported', 'post_id' => $result, 'message' => get_permalink($result)];
     }
 
     /**
-     * Performs the remote GET request to an API endpoint.
+     * Reads a Bulk Importer file into {line, url, title, fields} lines:
+     * "TweetURL|Post Title" text, or CSV/JSON whose columns are matched to
+     * post fields by name, as the Bulk Importer guesses them.
+     *
+     * @return array|WP_Error
      */
-    private function perform_api_request(string $url)
+    private function parse_bulk_file(string $file)
     {
-        $args = [
-            'timeout' => 60,
-            'headers' => [
-                'Accept' => 'application/json',
-                'User-Agent' =>
-                    'WordPress/TwitterImporter ' . get_bloginfo('version'),
-            ],
-        ];
-        $response = wp_remote_get($url, $args);
-
-        if (is_wp_error($response)) {
-            return $response;
+        $text = is_readable($file) ? file_get_contents($file) : false;
+        if ($text === false) {
+            return new WP_Error('file_missing', "Cannot read {$file}.");
+        }
+        $text = preg_replace('/^\xEF\xBB\xBF/', '', $text);
+        $extension = strtolower(pathinfo($file, PATHINFO_EXTENSION));
+
+        if ($extension !== 'csv' && $extension !== 'json') {
+            $lines = [];
+            foreach (preg_split('/\r?\n/', $text) as $index => $raw) {
+                if (trim($raw) === '') {
+                    continue;
+                }
+                $parts = array_map('trim', explode('|', $raw, 2));
+                $lines[] = [
+                    'line' => $index + 1,
+                    'url' => $parts[0],
+                    'title' => $parts[1] ?? '',
+                    'fields' => [],
+                ];
+            }
+            return $lines;
         }
 
-        $body = wp_remote_retrieve_body($response);
-        $data = json_decode($body, true);
-
-        if (json_last_error() !== JSON_ERROR_NONE) {
-            return new WP_Error(
-                'json_decode_error',
-                'Failed to decode API response.'
-            );
+        if ($extension === 'json') {
+            $items = json_decode($text, true);
+            if (!is_array($items) || empty($items) || !isset($items[0])) {
+                return new WP_Error('file_invalid', 'Expected a non-empty JSON array of objects.');
+            }
+            $records = [];
+            foreach ($items as $index => $item) {
+                $values = [];
+                foreach (is_array($item) ? $item : [] as $key => $value) {
+                    if ($key === 'meta' && is_array($value)) {
+                        foreach ($value as $meta_key => $meta_value) {
+                            $values["meta:{$meta_key}"] = (string) $meta_value;
+                        }
+                        continue;
+                    }
+                    $values[$key] = is_array($value) ? implode(',', $value) : trim((string) $value);
+                }
+                $records[$index + 1] = $values;
+            }
+        } else {
+            $first_line = strtok($text, "\r\n");
+            $delimiter = substr_count($first_line, ';') > substr_count($first_line, ',') ? ';' : ',';
+            $handle = fopen('php://temp', 'r+');
+            fwrite($handle, $text);
+            rewind($handle);
+            $columns = null;
+            $records = [];
+            $line = 0;
+            while (($cells = fgetcsv($handle, 0, $delimiter, '"', '')) !== false) {
+                $line++;
+                if (!array_filter($cells, fn($cell) => trim((string) $cell) !== '')) {
+                    continue;
+                }
+                if ($columns === null) {
+                    $columns = array_map('trim', $cells);
+                    continue;
+                }
+                $records[$line] = [];
+                foreach ($columns as $i => $column) {
+                    $records[$line][$column] = trim((string) ($cells[$i] ?? ''));
+                }
+            }
+            fclose($handle);
+            if (empty($records)) {
+                return new WP_Error('file_invalid', 'The file needs a header row and at least one data row.');
+            }
         }
 
-        return $data;
+        $aliases = [
+            'url' => ['url', 'tweet', 'tweeturl', 'link', 'statusurl', 'status_url'],
+            'title' => ['title', 'posttitle'],
+            'status' => ['status', 'poststatus'],
+            'category' => ['category', 'categories'],
+            'tags' => ['tags', 'tag'],
+            'author' => ['author', 'postauthor'],
+            'date' => ['date', 'publishdate', 'postdate', 'publishedat'],
+            'excerpt' => ['excerpt', 'summary'],
+        ];
+        $lines = [];
+        foreach ($records as $line => $values) {
+            $row = ['url' => '', 'title' => '', 'fields' => []];
+            foreach ($values as $column => $value) {
+                if (preg_match('/^meta[:_](.+)$/i', $column, $matches)) {
+                    $row['fields']['meta'][$matches[1]] = $value;
+                    continue;
+                }
+                $normalized = preg_replace('/[^a-z_]/', '', strtolower($column));
+                foreach ($aliases as $target => $names) {
+                    if (!in_array($normalized, $names, true)) {
+                        continue;
+                    }
+                    if ($target === 'url' || $target === 'title') {
+                        $row[$target] = $value;
+                    } else {
+                        $row['fields'][$target] = $value;
+                    }
+                }
+            }
+            $lines[] = ['line' => $line] + $row;
+        }
+        return $lines;
     }
 
     /**
-     * WP-CLI: Fetches media information from a Tweet URL/ID or a user's timeline.
+     * WP-CLI: Lists the Import History, newest first.
      */
-    public function cli_get_media(array $args, array $assoc_args): void
+    public function cli_history(array $args, array $assoc_args): void
     {
-        $value = $args[0];
-        $type = $assoc_args['by'] ?? 'status';
+        if (empty($assoc_args['dry-run'])) {
+            $this->backfill_import_records();
+        }
 
-        WP_CLI::line("Fetching media for '{$value}' by '{$type}'...");
+        $meta_query = [];
+        if (!empty($assoc_args['source'])) {
+            $meta_query[] = ['key' => '_ti_record_source', 'value' => $assoc_args['source']];
+        }
+        if (!empty($assoc_args['search'])) {
+            $meta_query[] = [
+                'relation' => 'OR',
+                ['key' => '_ti_record_tweet_id', 'value' => $assoc_args['search']],
+                ['key' => '_ti_record_username', 'value' => ltrim($assoc_args['search'], '@'), 'compare' => 'LIKE'],
+            ];
+        }
+        $number = absint($assoc_args['number'] ?? 20);
+
+        $records = get_posts([
+            'post_type' => self::RECORD_POST_TYPE,
+            'post_status' => 'any',
+            'posts_per_page' => $number ?: -1,
+            'orderby' => 'date',
+            'order' => 'DESC',
+            'meta_query' => $meta_query,
+        ]);
 
-        $response =
-            $type === 'user'
-                ? $this->get_media_by_user($value)
-                : $this->get_media_by_status($value);
+        $this->cli_format_items(
+            $assoc_args,
+            array_map([$this, 'get_cli_record_row'], $records),
+            ['record', 'tweet_id', 'username', 'post_id', 'attachments', 'missing', 'source', 'date'],
+            'Nothing has been imported yet.'
+        );
+    }
 
-        if (is_wp_error($response)) {
-            WP_CLI::error($response->get_error_message());
-        } else {
-            WP_CLI::success('Media found!');
-            WP_CLI::line('Type: ' . $response['type']);
-            WP_CLI::line('URL: ' . $response['src']);
-            if (isset($response['poster'])) {
-                WP_CLI::line('Poster: ' . $response['poster']);
+    /**
+     * Describes an import record as a row of `wp twitter history`.
+     */
+    private function get_cli_record_row(WP_Post $record): array
+    {
+        $media = get_post_meta($record->ID, '_ti_record_media', true);
+        $ids = [];
+        foreach (is_array($media) ? $media : [] as $item) {
+            foreach (['id', 'poster_id'] as $key) {
+                if (!empty($item[$key])) {
+                    $ids[] = (int) $item[$key];
+                }
             }
         }
+        $username = get_post_meta($record->ID, '_ti_record_username', true);
+
+        return [
+            'record' => $record->ID,
+            'tweet_id' => get_post_meta($record->ID, '_ti_record_tweet_id', true),
+            'username' => $username !== '' ? '@' . $username : '',
+            'post_id' => $record->post_parent ?: '',
+            'post_title' => $record->post_parent ? get_the_title($record->post_parent) : '',
+            'attachments' => implode(',', $ids),
+            'missing' => count(array_filter(
+                $ids,
+                fn($id) => !$this->attachment_file_exists($id)
+            )),
+            'source' => get_post_meta($record->ID, '_ti_record_source', true),
+            'date' => get_post_time('Y-m-d H:i:s', false, $record),
+        ];
     }
 
     /**
-     * WP-CLI: Creates a new post from a user's latest media.
+     * WP-CLI: Downloads the missing media of import records again, or
+     * refreshes their posters, like the Import History's bulk actions.
      */
-    public function cli_create_post(array $args, array $assoc_args): void
+    public function cli_resync(array $args, array $assoc_args): void
     {
-        $username = $args[0];
-        WP_CLI::line("Fetching latest media for user: {$username}...");
-
-        $content_data = $this->get_media_by_user($username);
-        if (is_wp_error($content_data)) {
-            WP_CLI::error($content_data->get_error_message());
+        $query = [
+            'post_type' => self::RECORD_POST_TYPE,
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'orderby' => 'date',
+            'order' => 'DESC',
+        ];
+        if (!empty($args)) {
+            $query['post__in'] = array_map('absint', $args);
+        }
+        if (!empty($assoc_args['source'])) {
+            $query['meta_query'] = [['key' => '_ti_record_source', 'value' => $assoc_args['source']]];
+        }
+        $records = get_posts($query);
+        if (empty($records)) {
+            WP_CLI::warning('No matching import records.');
+            return;
         }
 
-        $post_title =
-            $assoc_args['post_title'] ??
-            "Media from {$username} on " . gmdate('Y-m-d');
-        $post_content = $this->get_content_as_string(
-            $content_data,
-            $post_title
+        $poster = !empty($assoc_args['poster']);
+        $dry_run = !empty($assoc_args['dry-run']);
+        $progress = \WP_CLI\Utils\make_progress_bar(
+            $dry_run ? 'Checking imports' : 'Resyncing imports',
+            count($records)
         );
+        $rows = [];
+        foreach ($records as $record) {
+            $row = $this->get_cli_record_row($record);
+            $row = [
+                'record' => $row['record'],
+                'tweet_id' => $row['tweet_id'],
+                'post_id' => $row['post_id'],
+                'missing' => $row['missing'],
+            ];
 
-        if (empty($post_content)) {
-            WP_CLI::error(
-                'Could not generate post content from the fetched media.'
-            );
+            if ($dry_run) {
+                $row['result'] = $poster
+                    ? ($record->post_parent ? 'would refresh poster' : 'no post')
+                    : ($row['missing'] ? 'would re-download' : 'up to date');
+                $row['message'] = '';
+            } else {
+                $result = $poster
+                    ? $this->refresh_record_poster($record->ID)
+                    : $this->redownload_record_media($record->ID);
+                if (is_wp_error($result) && $result->get_error_code() === 'no_media') {
+                    $row['result'] = 'up to date';
+                    $row['message'] = $result->get_error_message();
+                } elseif (is_wp_error($result)) {
+                    $row['result'] = 'failed';
+                    $row['message'] = $result->get_error_message();
+                } elseif ($poster) {
+                    $row['result'] = 'refreshed';
+                    $row['message'] = "New poster #{$result}.";
+                } else {
+                    $row['result'] = $result ? 'resynced' : 'up to date';
+                    $row['message'] = $result ? sprintf('%d file(s) downloaded again.', $result) : '';
+                }
+            }
+            $rows[] = $row;
+            $progress->tick();
         }
+        $progress->finish();
 
-        $post_data = [
-            'post_title' => $post_title,
-            'post_content' => $post_content,
-            'post_status' => $assoc_args['post_status'] ?? 'draft',
-            'post_author' => $assoc_args['post_author'] ?? 1,
-            'post_type' => 'post',
-        ];
+        $this->cli_format_items($assoc_args, $rows, ['record', 'tweet_id', 'post_id', 'missing', 'result', 'message']);
+        $this->cli_report_failures($rows);
+    }
 
-        $post_id = wp_insert_post($post_data, true);
+    /**
+     * Prints WP-CLI rows in the requested --format and --fields, or a
+     * warning in table format when there are none.
+     */
+    private function cli_format_items(
+        array $assoc_args,
+        array $items,
+        array $default_fields,
+        string $empty_message = ''
+    ): void {
+        $format = $assoc_args['format'] ?? 'table';
+        if (empty($items) && $format === 'table' && $empty_message !== '') {
+            WP_CLI::warning($empty_message);
+            return;
+        }
+        \WP_CLI\Utils\format_items(
+            $format,
+            $items,
+            !empty($assoc_args['fields']) ? $assoc_args['fields'] : $default_fields
+        );
+    }
 
-        if (is_wp_error($post_id)) {
-            WP_CLI::error(
-                "Failed to create post: {$post_id->get_error_message()}"
-            );
-        } else {
-            WP_CLI::success("Successfully created post #{$post_id}.");
+    /**
+     * Ends a WP-CLI command with an error when any row failed, so scripts
+     * can check the exit status.
+     */
+    private function cli_report_failures(array $rows): void
+    {
+        $failed = count(array_filter($rows, fn($row) => $row['result'] === 'failed'));
+        if ($failed) {
+            WP_CLI::error(sprintf('%d of %d failed.', $failed, count($rows)));
         }
     }
 
@@ -1105,6 +5584,60 @@ final class TwitterImporter
                     'type' => 'text',
                     'default' => '',
                 ],
+                [
+                    'name' => 'fxtwitter_base_url',
+                    'label' => __('fxtwitter-compatible API URL', 'twitter-importer'),
+                    'desc' => __(
+                        'Optional second backend for single tweets, e.g. https://api.fxtwitter.com or a self-hosted instance. It has no search or timelines.',
+                        'twitter-importer'
+                    ),
+                    'type' => 'text',
+                    'default' => '',
+                ],
+                [
+                    'name' => 'source_order',
+                    'label' => __('Source Order', 'twitter-importer'),
+                    'desc' => sprintf(
+                        /* translators: %s: comma-separated source IDs */
+                        __(
+                            'Comma-separated source IDs, tried in order until one answers. Registered sources: %s.',
+                            'twitter-importer'
+                        ),
+                        implode(', ', array_keys($this->get_media_sources()))
+                    ),
+                    'type' => 'text',
+                    'default' => 'private_api, fxtwitter',
+                ],
+                [
+                    'name' => 'cache_ttl',
+                    'label' => __('Cache Responses For', 'twitter-importer'),
+                    'desc' => __(
+                        'Minutes to keep search and tweet lookups before asking the API again. Use "Refresh" on the search page to skip the cache once; 0 turns caching off.',
+                        'twitter-importer'
+                    ),
+                    'type' => 'number',
+                    'default' => 15,
+                ],
+                [
+                    'name' => 'max_image_size',
+                    'label' => __('Maximum Image Size', 'twitter-importer'),
+                    'desc' => __(
+                        'Largest image to import, in MB. Larger files are refused; 0 means no limit.',
+                        'twitter-importer'
+                    ),
+                    'type' => 'number',
+                    'default' => 20,
+                ],
+                [
+                    'name' => 'max_video_size',
+                    'label' => __('Maximum Video Size', 'twitter-importer'),
+                    'desc' => __(
+                        'Largest video to import, in MB. The best quality that fits is downloaded; 0 means no limit.',
+                        'twitter-importer'
+                    ),
+                    'type' => 'number',
+                    'default' => 512,
+                ],
                 [
                     'name' => 'set_featured_image',
                     'label' => __('Auto Set Featured Image', 'twitter-importer'),
@@ -1115,6 +5648,27 @@ final class TwitterImporter
                     'type' => 'checkbox',
                     'default' => 'off',
                 ],
+                [
+                    'name' => 'attribution_template',
+                    'label' => __('Source Attribution', 'twitter-importer'),
+                    'desc' => __(
+                        'Line added under imported media. Tokens: {name}, {username}, {url}, {date}, {text}. Leave empty to turn attribution off.',
+                        'twitter-importer'
+                    ),
+                    'type' => 'text',
+                    'default' => self::DEFAULT_ATTRIBUTION_TEMPLATE,
+                ],
+                [
+                    'name' => 'duplicate_policy',
+                    'label' => __('Already Imported Tweets', 'twitter-importer'),
+                    'desc' => __(
+                        'What to do when a tweet was imported before. The search and Bulk Importer pages can override this per import; the Media Library importer checks the tweet ID of existing attachments.',
+                        'twitter-importer'
+                    ),
+                    'type' => 'select',
+                    'options' => $this->get_duplicate_policy_labels(),
+                    'default' => 'skip',
+                ],
             ],
         ];
 
@@ -1148,9 +5702,10 @@ final class TwitterImporter
                     'desc' => $option['desc'] ?? '',
                     'section' => $section,
                     'std' => $option['default'] ?? '',
+                    'options' => $option['options'] ?? [],
                 ];
                 
-                $callback = 'render_settings_field_' . ($option['type'] === 'checkbox' ? 'checkbox' : 'text');
+                $callback = 'render_settings_field_' . (in_array($option['type'], ['checkbox', 'select', 'number'], true) ? $option['type'] : 'text');
                 
                 add_settings_field(
                     "{$section}[{$option['name']}]",
@@ -1192,6 +5747,26 @@ final class TwitterImporter
         echo $html; 
     }
 
+    /**
+     * Renders the HTML for a number settings field.
+     */
+    public function render_settings_field_number(array $args): void
+    {
+        $options = get_option($args['section']);
+        $value = $options[$args['id']] ?? $args['std'];
+
+        $html = sprintf(
+            '<input type="number" class="small-text" min="0" step="1" id="ti-%1$s[%2$s]" name="%1$s[%2$s]" value="%3$s" />',
+            $args['section'],
+            $args['id'],
+            esc_attr($value)
+        );
+        if ( !empty($args['desc']) ) {
+            $html .= '<p class="description">' . esc_html($args['desc']) . '</p>';
+        }
+        echo $html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    }
+
     /**
      * Renders the HTML for a checkbox settings field.
      */
@@ -1221,6 +5796,34 @@ final class TwitterImporter
         echo $html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
     }
 
+    /**
+     * Renders the HTML for a select settings field.
+     */
+    public function render_settings_field_select(array $args): void
+    {
+        $options = get_option($args['section']);
+        $value = $options[$args['id']] ?? $args['std'];
+
+        $html = sprintf(
+            '<select id="ti-%1$s[%2$s]" name="%1$s[%2$s]">',
+            $args['section'],
+            $args['id']
+        );
+        foreach ($args['options'] as $key => $label) {
+            $html .= sprintf(
+                '<option value="%1$s" %2$s>%3$s</option>',
+                esc_attr($key),
+                selected($value, $key, false),
+                esc_html($label)
+            );
+        }
+        $html .= '</select>';
+        if ( !empty($args['desc']) ) {
+            $html .= '<p class="description">' . esc_html($args['desc']) . '</p>';
+        }
+        echo $html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    }
+
     /**
      * Sanitizes the options before saving them to the database.
      */
@@ -1241,6 +5844,47 @@ final class TwitterImporter
             // Remove trailing slash for storage to avoid double slash issues on retrieval logic
             $options['api_base_url'] = untrailingslashit($url);
         }
+
+        // Sanitize fxtwitter-compatible API URL
+        if (isset($options['fxtwitter_base_url'])) {
+            $options['fxtwitter_base_url'] = untrailingslashit(
+                esc_url_raw(trim($options['fxtwitter_base_url']))
+            );
+        }
+
+        // Sanitize Source Order
+        if (isset($options['source_order'])) {
+            $options['source_order'] = implode(', ', array_filter(array_map(
+                'sanitize_key',
+                wp_parse_list($options['source_order'])
+            )));
+        }
+
+        // Sanitize Cache Lifetime
+        if (isset($options['cache_ttl'])) {
+            $options['cache_ttl'] = absint($options['cache_ttl']);
+        }
+
+        // Sanitize Media Size Limits
+        foreach (['max_image_size', 'max_video_size'] as $key) {
+            if (isset($options[$key])) {
+                $options[$key] = absint($options[$key]);
+            }
+        }
+
+        // Sanitize Attribution Template
+        if (isset($options['attribution_template'])) {
+            $options['attribution_template'] = wp_kses_post(
+                trim($options['attribution_template'])
+            );
+        }
+
+        // Sanitize Duplicate Policy
+        if (isset($options['duplicate_policy'])) {
+            $options['duplicate_policy'] = in_array($options['duplicate_policy'], self::DUPLICATE_POLICIES, true)
+                ? $options['duplicate_policy']
+                : 'skip';
+        }
         
         return $options;
     }
@@ -0,0 +1,114 @@
+<?php
+/**
+ * Admin Page View for Twitter Importer.
+ *
+ * This view is for the "Import from Archive" page: loading a Twitter/X
+ * data archive and importing the media tweets in it without the API.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+$notices = [
+    'loaded' => __('Archive loaded.', 'twitter-importer'),
+    'removed' => __('Archive removed.', 'twitter-importer'),
+];
+?>
+<div class="wrap twitter-importer-wrap ti-archive-wrap">
+    <h1><?php esc_html_e('Import from Archive', 'twitter-importer'); ?></h1>
+
+    <?php if (isset($notices[$notice])) : ?>
+        <div class="notice notice-success is-dismissible"><p><?php echo esc_html($notices[$notice]); ?></p></div>
+    <?php endif; ?>
+    <?php if ($error !== '') : ?>
+        <div class="notice notice-error is-dismissible"><p><?php echo esc_html($error); ?></p></div>
+    <?php endif; ?>
+
+    <div id="twitter-importer-notifications"></div>
+
+    <?php if (!$archive) : ?>
+        <div class="twitter-importer-search">
+            <h2><?php esc_html_e('Load an Archive', 'twitter-importer'); ?></h2>
+            <p><?php esc_html_e('Request your data from X under Settings › Your account › Download an archive of your data, then upload the .zip file here. Media is imported from the files inside the archive, so no API is needed.', 'twitter-importer'); ?></p>
+
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" enctype="multipart/form-data">
+                <input type="hidden" name="action" value="ti_upload_archive">
+                <?php wp_nonce_field('ti-upload-archive'); ?>
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><label for="archive_file"><?php esc_html_e('Archive file', 'twitter-importer'); ?></label></th>
+                        <td>
+                            <input type="file" id="archive_file" name="archive_file" accept=".zip,application/zip">
+                            <p class="description">
+                                <?php echo esc_html(sprintf(__('Maximum upload size: %s.', 'twitter-importer'), size_format(wp_max_upload_size()))); ?>
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="archive_path"><?php esc_html_e('Or path on the server', 'twitter-importer'); ?></label></th>
+                        <td>
+                            <input type="text" id="archive_path" name="archive_path" class="large-text code" placeholder="/path/to/twitter-archive.zip">
+                            <p class="description"><?php esc_html_e('For archives larger than the upload limit: copy the .zip to the server and enter its full path. The file is read in place and never deleted.', 'twitter-importer'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+                <?php submit_button(__('Load Archive', 'twitter-importer')); ?>
+            </form>
+        </div>
+    <?php else : ?>
+        <div class="twitter-importer-search">
+            <h2><?php esc_html_e('Archive', 'twitter-importer'); ?></h2>
+            <p class="ti-archive-summary">
+                <?php
+                echo esc_html(sprintf(
+                    /* translators: 1: archive file name, 2: account, 3: number of tweets, 4: number of videos, 5: number of images */
+                    __('%1$s (%2$s): %3$d tweets with media, %4$d videos and %5$d images.', 'twitter-importer'),
+                    $archive['name'],
+                    $archive['account']['username'] !== '' ? '@' . $archive['account']['username'] : __('unknown account', 'twitter-importer'),
+                    $archive['tweets'],
+                    $archive['videos'],
+                    $archive['images']
+                ));
+                ?>
+                <a href="<?php echo esc_url(wp_nonce_url(admin_url('admin-post.php?action=ti_remove_archive'), 'ti-remove-archive')); ?>" class="ti-archive-remove"><?php esc_html_e('Remove archive', 'twitter-importer'); ?></a>
+            </p>
+
+            <form class="twitter-importer-search-form" onsubmit="return false;">
+                <div class="twitter-importer-search-type">
+                    <label>
+                        <input type="radio" name="search_type" value="all" checked>
+                        <?php esc_html_e('All media', 'twitter-importer'); ?>
+                    </label>
+                    <label>
+                        <input type="radio" name="search_type" value="video">
+                        <?php esc_html_e('Videos', 'twitter-importer'); ?>
+                    </label>
+                    <label>
+                        <input type="radio" name="search_type" value="image">
+                        <?php esc_html_e('Images', 'twitter-importer'); ?>
+                    </label>
+                </div>
+
+                <div class="twitter-importer-search-query">
+                    <input type="text" id="search_query" placeholder="<?php esc_attr_e('Filter by text or status ID (optional)...', 'twitter-importer'); ?>">
+                </div>
+
+                <div class="twitter-importer-search-button">
+                    <button type="button" id="search_button" class="button button-primary"><?php esc_html_e('Filter', 'twitter-importer'); ?></button>
+                </div>
+            </form>
+        </div>
+
+        <details class="twitter-importer-options">
+            <summary><?php esc_html_e('Import Options', 'twitter-importer'); ?></summary>
+
+            <?php require plugin_dir_path(__FILE__) . 'import-options-fields.php'; ?>
+        </details>
+
+        <?php require plugin_dir_path(__FILE__) . 'results-grid.php'; ?>
+    <?php endif; ?>
+</div>
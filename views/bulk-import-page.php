@@ -7,36 +7,80 @@ if (!defined('ABSPATH')) {
     exit();
 }
 ?>
-<div class="wrap">
+<div class="wrap ti-bulk-importer-wrap">
     <h1 style="padding-top: 15px;"><?php esc_html_e('Twitter Media Bulk Importer','twitter-importer'); ?></h1>
-    <?php
-    if (isset($_GET['status']) && $_GET['status'] === 'complete') {
-        $success_count = isset($_GET['success']) ? absint($_GET['success']) : 0;
-        $failed_count = isset($_GET['failed']) ? absint($_GET['failed']) : 0;
-        printf(
-            '<div class="notice notice-success is-dismissible"><p>%s</p></div>',
-            sprintf(
-                esc_html__(
-                    'Import complete. Succeeded: %d, Failed: %d.',
-                    'twitter-importer'
-                ),
-                $success_count,
-                $failed_count
-            )
-        );
-    }
-    ?>
     <div class="metabox-holder postbox">
         <div class="postbox-header"><h2><?php esc_html_e('Import Posts','twitter-importer'); ?></h2></div>
         <div class="inside">
             <p><?php esc_html_e('Enter one import per line in the format: TweetURL|Post Title','twitter-importer'); ?></p>
             <p><strong><?php esc_html_e('Example:','twitter-importer'); ?></strong> <code><?php echo esc_html('https://x.com/user/status/12345|My Awesome Post Title'); ?></code></p>
-            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
-                <input type="hidden" name="action" value="ti_bulk_import">
-                <?php wp_nonce_field('ti_bulk_import_nonce'); ?>
-                <textarea cols="100" rows="15" name="import_data" class="widefat" placeholder="<?php esc_attr_e('Paste your import data here...','twitter-importer'); ?>"></textarea>
-                <?php submit_button(__('Import Posts', 'twitter-importer'),'primary','ti_submit_import'); ?>
+            <form class="ti-bulk-form" onsubmit="return false;">
+                <textarea cols="100" rows="15" id="ti_bulk_data" class="widefat" placeholder="<?php esc_attr_e('Paste your import data here...','twitter-importer'); ?>"></textarea>
+                <p class="submit">
+                    <button type="button" id="ti_bulk_preview_button" class="button button-primary"><?php esc_html_e('Preview Import','twitter-importer'); ?></button>
+                </p>
+                <hr>
+                <p>
+                    <label for="ti_bulk_file"><strong><?php esc_html_e('Or upload a CSV or JSON file:','twitter-importer'); ?></strong></label>
+                    <input type="file" id="ti_bulk_file" accept=".csv,.json,text/csv,application/json">
+                </p>
+                <p class="description"><?php esc_html_e('Files need a tweet URL and post title column, and may add status, category, tags, author, publish date, excerpt and custom meta columns (name them meta:your_key).','twitter-importer'); ?></p>
             </form>
         </div>
     </div>
+
+    <div class="metabox-holder postbox ti-bulk-mapping" style="display: none;">
+        <div class="postbox-header"><h2><?php esc_html_e('Map Columns','twitter-importer'); ?></h2></div>
+        <div class="inside">
+            <p><?php esc_html_e('Choose which post field each column of the file fills.','twitter-importer'); ?></p>
+            <div class="ti-bulk-mapping-notice"></div>
+            <table class="widefat striped ti-bulk-mapping-table">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e('Column','twitter-importer'); ?></th>
+                        <th><?php esc_html_e('Sample Value','twitter-importer'); ?></th>
+                        <th><?php esc_html_e('Import As','twitter-importer'); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p class="submit">
+                <button type="button" id="ti_bulk_apply_mapping" class="button button-primary"><?php esc_html_e('Preview Import','twitter-importer'); ?></button>
+            </p>
+        </div>
+    </div>
+
+    <div class="metabox-holder postbox ti-bulk-preview" style="display: none;">
+        <div class="postbox-header"><h2><?php esc_html_e('Preview & Results','twitter-importer'); ?></h2></div>
+        <div class="inside">
+            <div class="ti-bulk-progress" style="display: none;">
+                <div class="ti-bulk-progress-bar"></div>
+            </div>
+            <p class="ti-bulk-summary"></p>
+            <table class="widefat striped ti-bulk-table">
+                <thead>
+                    <tr>
+                        <th class="ti-bulk-col-line"><?php esc_html_e('Line','twitter-importer'); ?></th>
+                        <th class="ti-bulk-col-media"><?php esc_html_e('Media','twitter-importer'); ?></th>
+                        <th><?php esc_html_e('Tweet','twitter-importer'); ?></th>
+                        <th><?php esc_html_e('Post Title','twitter-importer'); ?></th>
+                        <th><?php esc_html_e('Result','twitter-importer'); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p>
+                <label for="ti_bulk_duplicates"><?php esc_html_e('Tweets that were already imported:','twitter-importer'); ?></label>
+                <select id="ti_bulk_duplicates">
+                    <option value="skip" <?php selected($duplicate_policy, 'skip'); ?>><?php esc_html_e('Skip them','twitter-importer'); ?></option>
+                    <option value="update" <?php selected($duplicate_policy, 'update'); ?>><?php esc_html_e('Update the existing post','twitter-importer'); ?></option>
+                    <option value="create" <?php selected($duplicate_policy, 'create'); ?>><?php esc_html_e('Create a new post anyway','twitter-importer'); ?></option>
+                </select>
+            </p>
+            <p class="submit">
+                <button type="button" id="ti_bulk_import_button" class="button button-primary" disabled><?php esc_html_e('Import Posts','twitter-importer'); ?></button>
+                <button type="button" id="ti_bulk_retry_button" class="button" style="display: none;"><?php esc_html_e('Retry Failed Lines','twitter-importer'); ?></button>
+            </p>
+        </div>
+    </div>
 </div>
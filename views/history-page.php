@@ -0,0 +1,45 @@
+<?php
+/**
+ * Admin Page View for Twitter Importer.
+ *
+ * This view is for the "Import History" page.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+$action_labels = [
+    'redownload' => __('Re-downloaded missing media for %d import(s).', 'twitter-importer'),
+    'refresh_poster' => __('Refreshed the poster of %d import(s).', 'twitter-importer'),
+    'detach' => __('Detached %d record(s).', 'twitter-importer'),
+];
+?>
+<div class="wrap twitter-importer-wrap ti-history-wrap">
+    <h1 class="wp-heading-inline"><?php esc_html_e('Import History', 'twitter-importer'); ?></h1>
+    <hr class="wp-header-end">
+
+    <p><?php esc_html_e('Every tweet imported from the search page, the Bulk Importer, the editor, the Media Library, WP-CLI or a watcher. Detaching a record keeps the post and its media but lets the tweet be imported again.', 'twitter-importer'); ?></p>
+
+    <?php if (isset($action_labels[$notice])) : ?>
+        <div class="notice notice-<?php echo $failed ? 'warning' : 'success'; ?> is-dismissible">
+            <p>
+                <?php echo esc_html(sprintf($action_labels[$notice], $done)); ?>
+                <?php if ($failed) : ?>
+                    <?php echo esc_html(sprintf(__('%1$d failed. Last error: %2$s', 'twitter-importer'), $failed, $error)); ?>
+                <?php endif; ?>
+            </p>
+        </div>
+    <?php endif; ?>
+
+    <form method="get">
+        <input type="hidden" name="page" value="ti-import-history">
+        <?php
+        $list_table->search_box(__('Search tweet ID or username', 'twitter-importer'), 'ti-history');
+        $list_table->display();
+        ?>
+    </form>
+</div>
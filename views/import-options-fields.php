@@ -0,0 +1,107 @@
+<?php
+/**
+ * Import Options fields shared by the "Search & Import" and "Watchers" pages.
+ *
+ * Expects $import_options, $import_statuses and $post_types. The "Already
+ * Imported" choice is only shown when $duplicate_labels is set.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+?>
+<div class="twitter-importer-options-fields">
+    <label>
+        <?php esc_html_e('Post Status', 'twitter-importer'); ?>
+        <select id="import_post_status" name="import_options[post_status]">
+            <?php
+            foreach ($import_statuses as $status) :
+                $status_object = get_post_status_object($status);
+                ?>
+                <option value="<?php echo esc_attr($status); ?>" <?php selected($import_options['post_status'], $status); ?>>
+                    <?php echo esc_html($status_object ? $status_object->label : $status); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+    </label>
+
+    <label class="twitter-importer-option-date" <?php echo $import_options['post_status'] === 'future' ? '' : 'style="display: none;"'; ?>>
+        <?php esc_html_e('Publish Date', 'twitter-importer'); ?>
+        <input type="datetime-local" id="import_post_date" name="import_options[post_date]" value="<?php echo esc_attr($import_options['post_date']); ?>">
+    </label>
+
+    <label>
+        <?php esc_html_e('Post Type', 'twitter-importer'); ?>
+        <select id="import_post_type" name="import_options[post_type]">
+            <?php foreach ($post_types as $post_type) : ?>
+                <option value="<?php echo esc_attr($post_type->name); ?>" <?php selected($import_options['post_type'], $post_type->name); ?>>
+                    <?php echo esc_html($post_type->labels->singular_name); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+    </label>
+
+    <?php if (current_user_can('edit_others_posts')) : ?>
+        <label>
+            <?php esc_html_e('Author', 'twitter-importer'); ?>
+            <?php
+            wp_dropdown_users([
+                'id' => 'import_post_author',
+                'name' => 'import_options[post_author]',
+                'capability' => ['edit_posts'],
+                'selected' => $import_options['post_author'],
+            ]);
+            ?>
+        </label>
+    <?php endif; ?>
+
+    <label>
+        <?php esc_html_e('Categories', 'twitter-importer'); ?>
+        <select id="import_categories" name="import_options[categories][]" multiple size="3">
+            <?php foreach (get_categories(['hide_empty' => false]) as $category) : ?>
+                <option value="<?php echo esc_attr($category->term_id); ?>" <?php selected(in_array($category->term_id, $import_options['categories'], false)); ?>>
+                    <?php echo esc_html($category->name); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+    </label>
+
+    <label>
+        <?php esc_html_e('Tags', 'twitter-importer'); ?>
+        <input type="text" id="import_tags" name="import_options[tags]" value="<?php echo esc_attr($import_options['tags']); ?>" placeholder="<?php esc_attr_e('Comma separated', 'twitter-importer'); ?>">
+    </label>
+
+    <label>
+        <?php esc_html_e('Tweet Text', 'twitter-importer'); ?>
+        <select id="import_text_as" name="import_options[text_as]">
+            <option value="content" <?php selected($import_options['text_as'], 'content'); ?>><?php esc_html_e('Add to the post content', 'twitter-importer'); ?></option>
+            <option value="excerpt" <?php selected($import_options['text_as'], 'excerpt'); ?>><?php esc_html_e('Use as the excerpt', 'twitter-importer'); ?></option>
+            <option value="none" <?php selected($import_options['text_as'], 'none'); ?>><?php esc_html_e('Do not import', 'twitter-importer'); ?></option>
+        </select>
+    </label>
+
+    <?php if (isset($duplicate_labels)) : ?>
+        <label>
+            <?php esc_html_e('Already Imported', 'twitter-importer'); ?>
+            <select id="import_duplicates" name="import_options[duplicates]">
+                <?php foreach ($duplicate_labels as $policy => $label) : ?>
+                    <option value="<?php echo esc_attr($policy); ?>" <?php selected($import_options['duplicates'], $policy); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+    <?php endif; ?>
+
+    <label class="twitter-importer-option-checkbox">
+        <input type="checkbox" id="import_use_tweet_date" name="import_options[use_tweet_date]" value="1" <?php checked($import_options['use_tweet_date']); ?>>
+        <?php esc_html_e("Use the tweet's date as the post date", 'twitter-importer'); ?>
+    </label>
+
+    <label class="twitter-importer-option-wide">
+        <?php esc_html_e('Title Template', 'twitter-importer'); ?>
+        <input type="text" id="import_title_template" name="import_options[title_template]" class="regular-text" value="<?php echo esc_attr($import_options['title_template']); ?>">
+        <span class="description"><?php esc_html_e('Available tokens: {username}, {name}, {id}, {text}, {date}', 'twitter-importer'); ?></span>
+    </label>
+</div>
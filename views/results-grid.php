@@ -0,0 +1,77 @@
+<?php
+/**
+ * Import queue and results grid shared by the "Search & Import" and
+ * "Import from Archive" pages, driven by admin-main-importer.js.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+?>
+<div class="twitter-importer-queue" style="display: none;">
+    <div class="twitter-importer-queue-header">
+        <h2><?php esc_html_e('Import Queue', 'twitter-importer'); ?></h2>
+        <div class="twitter-importer-queue-summary"></div>
+        <button type="button" id="queue_clear" class="button"><?php esc_html_e('Clear Finished', 'twitter-importer'); ?></button>
+    </div>
+    <table class="widefat striped">
+        <thead>
+            <tr>
+                <th><?php esc_html_e('Account', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Tweet ID', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Status', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Details', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Actions', 'twitter-importer'); ?></th>
+            </tr>
+        </thead>
+        <tbody></tbody>
+    </table>
+</div>
+
+<div class="twitter-importer-results">
+    <div class="twitter-importer-results-header" style="display: none;">
+        <div class="twitter-importer-results-count"></div>
+        <div class="twitter-importer-results-actions">
+            <button id="select_all" class="button"><?php esc_html_e('Select All','twitter-importer'); ?></button>
+            <button id="import_selected" class="button button-primary"><?php esc_html_e('Import Selected','twitter-importer'); ?></button>
+        </div>
+    </div>
+
+    <div class="twitter-importer-results-toolbar" style="display: none;">
+        <label>
+            <?php esc_html_e('Sort by','twitter-importer'); ?>
+            <select id="filter_sort_by">
+                <option value=""><?php esc_html_e('Default order','twitter-importer'); ?></option>
+                <option value="views_desc"><?php esc_html_e('Most views','twitter-importer'); ?></option>
+                <option value="views_asc"><?php esc_html_e('Fewest views','twitter-importer'); ?></option>
+                <option value="date_desc"><?php esc_html_e('Newest first','twitter-importer'); ?></option>
+                <option value="date_asc"><?php esc_html_e('Oldest first','twitter-importer'); ?></option>
+            </select>
+        </label>
+        <label>
+            <?php esc_html_e('Min. views','twitter-importer'); ?>
+            <input type="number" id="filter_min_views" min="0" step="1" class="small-text">
+        </label>
+        <label style="display: none;">
+            <?php esc_html_e('Account','twitter-importer'); ?>
+            <select id="filter_username"></select>
+        </label>
+        <label>
+            <input type="checkbox" id="filter_hide_imported">
+            <?php esc_html_e('Hide imported','twitter-importer'); ?>
+        </label>
+    </div>
+
+    <div class="twitter-importer-results-content" aria-label="<?php esc_attr_e('Results', 'twitter-importer'); ?>">
+        <div class="twitter-importer-no-results">
+            <?php esc_html_e('Search for videos to get started.','twitter-importer'); ?>
+        </div>
+    </div>
+
+    <div class="twitter-importer-load-more" style="display: none;">
+        <button type="button" id="load_more" class="button"><?php esc_html_e('Load More','twitter-importer'); ?></button>
+    </div>
+</div>
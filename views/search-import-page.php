@@ -43,24 +43,18 @@ if (!defined('ABSPATH')) {
 
             <div class="twitter-importer-search-button">
                 <button type="button" id="search_button" class="button button-primary"><?php esc_html_e('Search','twitter-importer'); ?></button>
+                <button type="button" id="refresh_button" class="button" title="<?php esc_attr_e('Search again without using cached API responses', 'twitter-importer'); ?>"><?php esc_html_e('Refresh','twitter-importer'); ?></button>
+                <button type="button" id="save_watcher" class="button" title="<?php esc_attr_e('Import new media from this account or search automatically', 'twitter-importer'); ?>"><?php esc_html_e('Save as Watcher','twitter-importer'); ?></button>
             </div>
         </form>
     </div>
 
-    <div class="twitter-importer-results">
-        <div class="twitter-importer-results-header" style="display: none;">
-            <div class="twitter-importer-results-count"></div>
-            <div class="twitter-importer-results-actions">
-                <button id="select_all" class="button"><?php esc_html_e('Select All','twitter-importer'); ?></button>
-                <button id="import_selected" class="button button-primary"><?php esc_html_e('Import Selected','twitter-importer'); ?></button>
-            </div>
-        </div>
+    <details class="twitter-importer-options">
+        <summary><?php esc_html_e('Import Options', 'twitter-importer'); ?></summary>
 
-        <div class="twitter-importer-results-content">
-            <div class="twitter-importer-no-results">
-                <?php esc_html_e('Search for videos to get started.','twitter-importer'); ?>
-            </div>
-        </div>
-    </div>
+        <?php require plugin_dir_path(__FILE__) . 'import-options-fields.php'; ?>
+    </details>
+
+    <?php require plugin_dir_path(__FILE__) . 'results-grid.php'; ?>
 
 </div>
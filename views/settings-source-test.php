@@ -0,0 +1,35 @@
+<?php
+/**
+ * "Test Connection" box shown under the settings forms.
+ *
+ * Expects $sources, the registered media sources keyed by ID.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+?>
+<div class="metabox-holder postbox ti-source-test">
+    <div class="postbox-header">
+        <h2><?php esc_html_e('Test Connection', 'twitter-importer'); ?></h2>
+    </div>
+    <div class="inside">
+        <p class="description"><?php esc_html_e('Looks up a tweet and shows what each media source answers. Save your settings first.', 'twitter-importer'); ?></p>
+        <p>
+            <label for="ti_test_source" class="screen-reader-text"><?php esc_html_e('Source', 'twitter-importer'); ?></label>
+            <select id="ti_test_source">
+                <option value=""><?php esc_html_e('All configured sources, in order', 'twitter-importer'); ?></option>
+                <?php foreach ($sources as $source_id => $source) : ?>
+                    <option value="<?php echo esc_attr($source_id); ?>"><?php echo esc_html($source->get_label()); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <label for="ti_test_value" class="screen-reader-text"><?php esc_html_e('Tweet URL or ID', 'twitter-importer'); ?></label>
+            <input type="text" id="ti_test_value" class="regular-text" placeholder="<?php esc_attr_e('Tweet URL or ID with media...', 'twitter-importer'); ?>">
+            <button type="button" id="ti_test_button" class="button"><?php esc_html_e('Test connection', 'twitter-importer'); ?></button>
+        </p>
+        <div class="ti-source-test-results"></div>
+    </div>
+</div>
@@ -0,0 +1,244 @@
+<?php
+/**
+ * Admin Page View for Twitter Importer.
+ *
+ * This view is for the "Watchers" page: saved usernames and keyword
+ * searches that are imported automatically on a schedule.
+ *
+ * @package TwitterImporter
+ */
+
+// Exit if accessed directly.
+if (!defined('ABSPATH')) {
+    exit();
+}
+
+$notices = [
+    'saved' => __('Watcher saved.', 'twitter-importer'),
+    'ran' => __('Watcher run finished. See the run log below.', 'twitter-importer'),
+    'paused' => __('Watcher paused.', 'twitter-importer'),
+    'resumed' => __('Watcher resumed.', 'twitter-importer'),
+    'deleted' => __('Watcher deleted.', 'twitter-importer'),
+];
+$type_labels = [
+    'username' => __('Username', 'twitter-importer'),
+    'keywords' => __('Keywords', 'twitter-importer'),
+];
+?>
+<div class="wrap twitter-importer-wrap ti-watchers-wrap">
+    <h1 class="wp-heading-inline"><?php esc_html_e('Watchers', 'twitter-importer'); ?></h1>
+    <?php if ($watcher) : ?>
+        <a href="<?php echo esc_url(admin_url('admin.php?page=ti-watchers')); ?>" class="page-title-action"><?php esc_html_e('Add New', 'twitter-importer'); ?></a>
+    <?php endif; ?>
+    <hr class="wp-header-end">
+
+    <p><?php esc_html_e('Watchers check a username or keyword search on a schedule and import any media that has not been imported yet.', 'twitter-importer'); ?></p>
+
+    <?php if (isset($notices[$notice])) : ?>
+        <div class="notice notice-success is-dismissible"><p><?php echo esc_html($notices[$notice]); ?></p></div>
+    <?php endif; ?>
+    <?php if ($error !== '') : ?>
+        <div class="notice notice-error is-dismissible"><p><?php echo esc_html($error); ?></p></div>
+    <?php endif; ?>
+
+    <table class="widefat striped ti-watchers-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e('Name', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Source', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Interval', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Next Run', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Last Run', 'twitter-importer'); ?></th>
+                <th><?php esc_html_e('Actions', 'twitter-importer'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php if (empty($watchers)) : ?>
+                <tr><td colspan="6"><?php esc_html_e('No watchers yet. Add one below, or use "Save as Watcher" on the search page.', 'twitter-importer'); ?></td></tr>
+            <?php endif; ?>
+            <?php foreach ($watchers as $item) : ?>
+                <?php $last = $item['log'][0] ?? null; ?>
+                <tr class="<?php echo $item['active'] ? '' : 'ti-watcher-paused'; ?>">
+                    <td>
+                        <strong><a href="<?php echo esc_url($this->get_watchers_page_url(['watcher' => $item['id']])); ?>"><?php echo esc_html($item['name']); ?></a></strong>
+                        <?php if (!$item['active']) : ?>
+                            &mdash; <?php esc_html_e('Paused', 'twitter-importer'); ?>
+                        <?php endif; ?>
+                    </td>
+                    <td><?php echo esc_html(($type_labels[$item['type']] ?? $item['type']) . ': ' . $item['query']); ?></td>
+                    <td><?php echo esc_html($intervals[$item['interval']] ?? $item['interval']); ?></td>
+                    <td>
+                        <?php
+                        echo $item['next_run']
+                            ? esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $item['next_run']))
+                            : '&mdash;';
+                        ?>
+                    </td>
+                    <td>
+                        <?php if ($last) : ?>
+                            <?php
+                            printf(
+                                /* translators: 1: time since the run, 2: created, 3: skipped, 4: failed */
+                                esc_html__('%1$s ago: %2$d created, %3$d skipped, %4$d failed', 'twitter-importer'),
+                                esc_html(human_time_diff($last['time'])),
+                                count($last['created']),
+                                (int) $last['skipped'],
+                                count($last['failed'])
+                            );
+                            ?>
+                        <?php else : ?>
+                            <?php esc_html_e('Never', 'twitter-importer'); ?>
+                        <?php endif; ?>
+                    </td>
+                    <td class="ti-watcher-actions">
+                        <a href="<?php echo esc_url($this->get_watchers_page_url(['watcher' => $item['id']])); ?>"><?php esc_html_e('Edit', 'twitter-importer'); ?></a> |
+                        <a href="<?php echo esc_url($this->get_watcher_action_url($item['id'], 'run')); ?>"><?php esc_html_e('Run Now', 'twitter-importer'); ?></a> |
+                        <?php if ($item['active']) : ?>
+                            <a href="<?php echo esc_url($this->get_watcher_action_url($item['id'], 'pause')); ?>"><?php esc_html_e('Pause', 'twitter-importer'); ?></a> |
+                        <?php else : ?>
+                            <a href="<?php echo esc_url($this->get_watcher_action_url($item['id'], 'resume')); ?>"><?php esc_html_e('Resume', 'twitter-importer'); ?></a> |
+                        <?php endif; ?>
+                        <a href="<?php echo esc_url($this->get_watcher_action_url($item['id'], 'delete')); ?>" class="ti-watcher-delete" onclick="return confirm('<?php echo esc_js(__('Delete this watcher? Imported posts are kept.', 'twitter-importer')); ?>');"><?php esc_html_e('Delete', 'twitter-importer'); ?></a>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+
+    <div class="metabox-holder postbox ti-watcher-form">
+        <div class="postbox-header">
+            <h2><?php echo $watcher ? esc_html(sprintf(__('Edit Watcher: %s', 'twitter-importer'), $watcher['name'])) : esc_html__('Add Watcher', 'twitter-importer'); ?></h2>
+        </div>
+        <div class="inside">
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="ti_save_watcher">
+                <input type="hidden" name="watcher_id" value="<?php echo esc_attr($watcher['id'] ?? 0); ?>">
+                <?php wp_nonce_field('ti-save-watcher'); ?>
+
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><label for="watcher_type"><?php esc_html_e('Watch', 'twitter-importer'); ?></label></th>
+                        <td>
+                            <select id="watcher_type" name="watcher_type">
+                                <?php foreach ($type_labels as $type => $label) : ?>
+                                    <option value="<?php echo esc_attr($type); ?>" <?php selected($watcher['type'] ?? 'username', $type); ?>><?php echo esc_html($label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                            <input type="text" id="watcher_query" name="watcher_query" class="regular-text" value="<?php echo esc_attr($watcher['query'] ?? ''); ?>" placeholder="<?php esc_attr_e('Enter a username or keywords...', 'twitter-importer'); ?>" required>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="watcher_name"><?php esc_html_e('Name', 'twitter-importer'); ?></label></th>
+                        <td>
+                            <input type="text" id="watcher_name" name="watcher_name" class="regular-text" value="<?php echo esc_attr($watcher['name'] ?? ''); ?>">
+                            <p class="description"><?php esc_html_e('Optional. Defaults to the username or keywords.', 'twitter-importer'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="watcher_interval"><?php esc_html_e('Check Every', 'twitter-importer'); ?></label></th>
+                        <td>
+                            <select id="watcher_interval" name="watcher_interval">
+                                <?php foreach ($intervals as $interval => $label) : ?>
+                                    <option value="<?php echo esc_attr($interval); ?>" <?php selected($watcher['interval'] ?? 'hourly', $interval); ?>><?php echo esc_html($label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                            <p class="description">
+                                <?php
+                                printf(
+                                    /* translators: %d: maximum posts per run */
+                                    esc_html__('Each run imports up to %d new posts; anything beyond that waits for the next run.', 'twitter-importer'),
+                                    self::WATCHER_RUN_LIMIT
+                                );
+                                ?>
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Status', 'twitter-importer'); ?></th>
+                        <td>
+                            <label>
+                                <input type="checkbox" name="watcher_active" value="1" <?php checked($watcher['active'] ?? true); ?>>
+                                <?php esc_html_e('Active', 'twitter-importer'); ?>
+                            </label>
+                        </td>
+                    </tr>
+                </table>
+
+                <h3><?php esc_html_e('Import Options', 'twitter-importer'); ?></h3>
+                <?php require plugin_dir_path(__FILE__) . 'import-options-fields.php'; ?>
+
+                <?php submit_button($watcher ? __('Update Watcher', 'twitter-importer') : __('Add Watcher', 'twitter-importer')); ?>
+            </form>
+        </div>
+    </div>
+
+    <?php if ($watcher) : ?>
+        <div class="metabox-holder postbox ti-watcher-log">
+            <div class="postbox-header"><h2><?php esc_html_e('Run Log', 'twitter-importer'); ?></h2></div>
+            <div class="inside">
+                <?php if (empty($watcher['log'])) : ?>
+                    <p><?php esc_html_e('This watcher has not run yet.', 'twitter-importer'); ?></p>
+                <?php else : ?>
+                    <table class="widefat striped">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e('Run', 'twitter-importer'); ?></th>
+                                <th><?php esc_html_e('Created', 'twitter-importer'); ?></th>
+                                <th><?php esc_html_e('Skipped', 'twitter-importer'); ?></th>
+                                <th><?php esc_html_e('Failed', 'twitter-importer'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php foreach ($watcher['log'] as $entry) : ?>
+                                <tr>
+                                    <td><?php echo esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $entry['time'])); ?></td>
+                                    <td>
+                                        <?php if (empty($entry['created'])) : ?>
+                                            0
+                                        <?php else : ?>
+                                            <ul class="ti-watcher-log-list">
+                                                <?php foreach ($entry['created'] as $post_id) : ?>
+                                                    <li>
+                                                        <?php if (get_post($post_id)) : ?>
+                                                            <a href="<?php echo esc_url(get_edit_post_link($post_id)); ?>"><?php echo esc_html(get_the_title($post_id) ?: '#' . $post_id); ?></a>
+                                                        <?php else : ?>
+                                                            <?php echo esc_html(sprintf(__('Post #%d (deleted)', 'twitter-importer'), $post_id)); ?>
+                                                        <?php endif; ?>
+                                                    </li>
+                                                <?php endforeach; ?>
+                                            </ul>
+                                        <?php endif; ?>
+                                    </td>
+                                    <td>
+                                        <?php
+                                        echo esc_html((int) $entry['skipped']);
+                                        if (!empty($entry['deferred'])) {
+                                            echo ' ' . esc_html(sprintf(__('(+%d left for the next run)', 'twitter-importer'), $entry['deferred']));
+                                        }
+                                        ?>
+                                    </td>
+                                    <td>
+                                        <?php if (empty($entry['failed'])) : ?>
+                                            0
+                                        <?php else : ?>
+                                            <ul class="ti-watcher-log-list">
+                                                <?php foreach ($entry['failed'] as $failure) : ?>
+                                                    <li>
+                                                        <?php if ($failure['id'] !== '') : ?>
+                                                            <code><?php echo esc_html($failure['id']); ?></code>:
+                                                        <?php endif; ?>
+                                                        <?php echo esc_html($failure['message']); ?>
+                                                    </li>
+                                                <?php endforeach; ?>
+                                            </ul>
+                                        <?php endif; ?>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                <?php endif; ?>
+            </div>
+        </div>
+    <?php endif; ?>
+</div>